@@ -0,0 +1,158 @@
+// Logic analysis panel: expression and minimized SOP per OUTPUT gate
+import {
+  MAX_KMAP_VARS,
+  extractExpression,
+  formatExpression,
+  implicantsToExpression,
+  kmapLayout,
+  minimizeSOP,
+} from "./boolean.js";
+import { escapeHtml, formatLevel } from "./truthTable.js";
+
+function bitString(value, bits) {
+  return bits === 0 ? "" : value.toString(2).padStart(bits, "0");
+}
+
+// Fed by the truth table panel, whose table it shares
+export class LogicAnalysisPanel {
+  constructor() {
+    this.table = null;
+    this.results = [];
+    this.kmapOutputId = null;
+  }
+
+  // Show the K-map of the given OUTPUT gate (e.g. when it is selected)
+  showKmapFor(gateId) {
+    if (!this.results.some((result) => result.id === gateId)) return;
+    this.kmapOutputId = gateId;
+    this.render();
+  }
+
+  // The flattened circuit, so expressions see through subcircuit
+  // instances, and its truth table
+  update({ gates, wires }, table) {
+    const labels = new Map(
+      table.inputs
+        .filter((io) => io.bit === null)
+        .map((io) => [io.id, io.label]),
+    );
+    const names = table.inputs.map((io) => io.label);
+
+    this.table = table;
+    this.results = table.outputs.map((output, column) => {
+      const result = {
+        id: output.id,
+        label: output.label,
+        expression:
+          output.bit === null
+            ? formatExpression(
+                extractExpression(gates, wires, output.id, labels),
+              )
+            : null,
+        minimized: null,
+        values: null,
+      };
+      if (table.tooLarge) return result;
+
+      // Rows whose output is unknown are treated as don't-cares
+      const minterms = [];
+      const dontCares = [];
+      result.values = table.rows.map((row, index) => {
+        const level = row.outputs[column];
+        if (level === true) minterms.push(index);
+        if (level === undefined) dontCares.push(index);
+        return level;
+      });
+
+      result.minimized = formatExpression(
+        implicantsToExpression(
+          minimizeSOP(names.length, minterms, dontCares),
+          names,
+        ),
+      );
+      return result;
+    });
+
+    if (!this.results.some((result) => result.id === this.kmapOutputId)) {
+      this.kmapOutputId = this.results[0]?.id ?? null;
+    }
+    this.render();
+  }
+
+  render() {
+    const container = document.getElementById("analysisPanel");
+    if (!container) return;
+
+    if (this.results.length === 0) {
+      container.innerHTML =
+        '<div class="empty-state small"><p>Add Output gates</p></div>';
+      return;
+    }
+
+    container.innerHTML = this.results
+      .map(
+        (result) => `
+        <div class="analysis-output">
+          <div class="property-label">${escapeHtml(result.label)}</div>
+          ${result.expression !== null ? `<div class="analysis-expr">${escapeHtml(result.expression)}</div>` : ""}
+          ${result.minimized !== null ? `<div class="analysis-expr minimized">SOP: ${escapeHtml(result.minimized)}</div>` : ""}
+        </div>
+      `,
+      )
+      .join("");
+
+    const kmap = this.renderKmap();
+    if (kmap) container.appendChild(kmap);
+  }
+
+  renderKmap() {
+    const result = this.results.find((r) => r.id === this.kmapOutputId);
+    const inputs = this.table.inputs;
+    if (!result?.values || inputs.length === 0) return null;
+    if (inputs.length > MAX_KMAP_VARS) return null;
+
+    const layout = kmapLayout(inputs.length);
+    const rowNames = inputs
+      .slice(0, layout.rowBits)
+      .map((io) => escapeHtml(io.label));
+    const colNames = inputs
+      .slice(layout.rowBits)
+      .map((io) => escapeHtml(io.label));
+
+    const wrapper = document.createElement("div");
+    wrapper.className = "kmap";
+
+    const select = document.createElement("select");
+    select.className = "property-input";
+    select.innerHTML = this.results
+      .map(
+        (r) =>
+          `<option value="${escapeHtml(r.id)}" ${r.id === result.id ? "selected" : ""}>K-map: ${escapeHtml(r.label)}</option>`,
+      )
+      .join("");
+    select.addEventListener("change", () => this.showKmapFor(select.value));
+    wrapper.appendChild(select);
+
+    const header = layout.cols
+      .map((c) => `<th>${bitString(c, layout.colBits)}</th>`)
+      .join("");
+    const rows = layout.cells
+      .map((cells, r) => {
+        const values = cells
+          .map((index) => {
+            const level = result.values[index];
+            return `<td class="${level === true ? "on" : ""}">${formatLevel(level)}</td>`;
+          })
+          .join("");
+        return `<tr><th>${bitString(layout.rows[r], layout.rowBits)}</th>${values}</tr>`;
+      })
+      .join("");
+
+    const table = document.createElement("table");
+    table.className = "kmap-table";
+    table.innerHTML = `<thead><tr><th>${rowNames.join("")}\\${colNames.join("")}</th>${header}</tr></thead><tbody>${rows}</tbody>`;
+    wrapper.appendChild(table);
+
+    return wrapper;
+  }
+}
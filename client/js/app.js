@@ -2,15 +2,114 @@
 import { getCRDTManager } from "./crdt.js";
 import { CircuitEditor } from "./circuitEditor.js";
 import { PresenceManager } from "./presence.js";
+import { TruthTablePanel } from "./truthTable.js";
+import { LogicAnalysisPanel } from "./analysis.js";
+import { HistoryPanel } from "./history.js";
+import { definitionsUsing } from "./subcircuit.js";
+import { describeDiff, isEmptyDiff } from "./diff.js";
+import { parseCircuit, serializeCircuit } from "./circuitFormat.js";
+import { renderPdf, renderPng, renderSvg } from "./imageExport.js";
+import { HDL_LANGUAGES, toVHDL, toVerilog } from "./netlist.js";
+import { parseEquations, parseTruthTable } from "./boolean.js";
+import {
+  GATE_TYPES,
+  MAX_BUS_BITS,
+  MAX_CLOCK_HZ,
+  MAX_SELECT_BITS,
+  MIN_CLOCK_HZ,
+  formatBusValue,
+} from "./gates.js";
+
+// Random key this browser creates and joins sessions with; it lists the
+// sessions it owns (GET /api/sessions)
+const OWNER_KEY_ITEM = "circuitEditor.ownerKey";
+
+function ownerKey() {
+  let key = localStorage.getItem(OWNER_KEY_ITEM);
+  if (!key) {
+    const bytes = crypto.getRandomValues(new Uint8Array(24));
+    key = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+    localStorage.setItem(OWNER_KEY_ITEM, key);
+  }
+  return key;
+}
+
+// Properties panel inputs, built through the DOM so that gate fields
+// never become markup
+function propertyInput(tag, properties) {
+  const input = document.createElement(tag);
+  input.className = "property-input";
+  Object.assign(input, properties);
+  return input;
+}
+
+// A number input with its min, max, step and value
+function numberInput(properties) {
+  return propertyInput("input", { type: "number", ...properties });
+}
+
+function textInput(value) {
+  return propertyInput("input", { type: "text", value });
+}
+
+// A select of [value, text] options with `selected` chosen
+function selectInput(options, selected) {
+  const select = propertyInput("select", {});
+  options.forEach(([value, text]) => select.add(new Option(text, value)));
+  select.value = selected;
+  return select;
+}
+
+// "5 min ago" for a past date
+function timeAgo(date) {
+  const minutes = Math.floor((Date.now() - new Date(date)) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 48 ? `${hours} h ago` : `${Math.floor(hours / 24)} days ago`;
+}
+
+// Invite code from a pasted invite link or code
+function parseInvite(text) {
+  const value = text.trim();
+  const match = /[?&]invite=([A-Za-z0-9]+)/.exec(value);
+  return (match ? match[1] : value).toUpperCase();
+}
+
+// "3 of 10 uses · expires in 5 h" for an invite
+function describeInvite(invite) {
+  const uses =
+    invite.maxUses === null
+      ? `${invite.uses} uses`
+      : `${invite.uses} of ${invite.maxUses} uses`;
+  if (!invite.expiresAt) return uses;
+  const left = new Date(invite.expiresAt) - Date.now();
+  if (left <= 0) return `${uses} · expired`;
+  const hours = Math.ceil(left / 3600000);
+  return `${uses} · expires in ${hours < 48 ? `${hours} h` : `${Math.round(hours / 24)} days`}`;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
 
 class CircuitEditorApp {
   constructor() {
     this.crdt = null;
     this.editor = null;
     this.presence = null;
+    this.truthTable = null;
+    this.analysis = null;
+    this.history = null;
+    this.diff = null; // version diff listed in the Properties panel
     this.sessionId = null;
     this.userId = null;
-    this.inviteCode = null;
+    this.invites = []; // owner only: [{ code, role, expiresAt, maxUses, uses }]
 
     this.init();
   }
@@ -32,11 +131,25 @@ class CircuitEditorApp {
       this.presence = new PresenceManager(this.crdt);
       console.log("✅ Presence manager initialized");
 
+      // Initialize truth table panel
+      this.analysis = new LogicAnalysisPanel();
+      this.truthTable = new TruthTablePanel(this.crdt, (circuit, table) =>
+        this.analysis.update(circuit, table),
+      );
+      this.history = new HistoryPanel(this.crdt, this.editor, (message, type) =>
+        this.showToast(message, type),
+      );
+
       // Setup UI event listeners
       this.setupUI();
       this.setupDragDrop();
       this.setupModals();
       this.setupToolbar();
+      this.setupSimulation();
+      this.setupClock();
+      this.setupProperties();
+      this.setupSubcircuits();
+      this.setupConnection();
       console.log("✅ UI setup complete");
 
       // Check for session in URL
@@ -57,19 +170,16 @@ class CircuitEditorApp {
       this.showModal("joinSessionModal");
     });
 
-    // Share button
-    document.getElementById("shareBtn").addEventListener("click", () => {
-      if (this.inviteCode) {
-        document.getElementById("shareCodeDisplay").textContent =
-          this.inviteCode;
-        this.showModal("shareModal");
-      }
+    // Sessions this browser owns
+    document.getElementById("mySessionsBtn").addEventListener("click", () => {
+      this.showModal("sessionsModal");
+      this.loadOwnedSessions();
     });
 
-    // Copy invite code
-    document.getElementById("copyCodeBtn")?.addEventListener("click", () => {
-      navigator.clipboard.writeText(this.inviteCode);
-      this.showToast("Invite code copied!", "success");
+    // Share button (owners manage the invite links)
+    document.getElementById("shareBtn").addEventListener("click", () => {
+      this.renderInvites();
+      this.showModal("shareModal");
     });
   }
 
@@ -97,6 +207,9 @@ class CircuitEditorApp {
       .addEventListener("click", () => this.hideModal("joinSessionModal"));
 
     // Share Modal
+    document
+      .getElementById("createInviteBtn")
+      .addEventListener("click", () => this.createInvite());
     document
       .getElementById("closeShare")
       .addEventListener("click", () => this.hideModal("shareModal"));
@@ -104,6 +217,81 @@ class CircuitEditorApp {
       .getElementById("closeShareModal")
       .addEventListener("click", () => this.hideModal("shareModal"));
 
+    // My Sessions Modal
+    document
+      .getElementById("closeSessions")
+      .addEventListener("click", () => this.hideModal("sessionsModal"));
+    document
+      .getElementById("closeSessionsModal")
+      .addEventListener("click", () => this.hideModal("sessionsModal"));
+
+    // Insert From Expression Modal
+    document
+      .getElementById("confirmInsert")
+      .addEventListener("click", () => this.insertFromText());
+    document
+      .getElementById("cancelInsert")
+      .addEventListener("click", () => this.hideModal("insertModal"));
+    document
+      .getElementById("closeInsertModal")
+      .addEventListener("click", () => this.hideModal("insertModal"));
+    // Save Snapshot Modal
+    document
+      .getElementById("confirmSnapshot")
+      .addEventListener("click", () => this.saveSnapshot());
+    document
+      .getElementById("cancelSnapshot")
+      .addEventListener("click", () => this.hideModal("snapshotModal"));
+    document
+      .getElementById("closeSnapshotModal")
+      .addEventListener("click", () => this.hideModal("snapshotModal"));
+
+    // Export Image Modal
+    document
+      .getElementById("confirmImage")
+      .addEventListener("click", () => this.exportImage());
+    document
+      .getElementById("cancelImage")
+      .addEventListener("click", () => this.hideModal("imageModal"));
+    document
+      .getElementById("closeImageModal")
+      .addEventListener("click", () => this.hideModal("imageModal"));
+
+    // Export Netlist Modal
+    document
+      .getElementById("confirmHdl")
+      .addEventListener("click", () => this.exportNetlist());
+    document
+      .getElementById("cancelHdl")
+      .addEventListener("click", () => this.hideModal("hdlModal"));
+    document
+      .getElementById("closeHdlModal")
+      .addEventListener("click", () => this.hideModal("hdlModal"));
+
+    // Create Subcircuit Modal
+    document
+      .getElementById("confirmSubcircuit")
+      .addEventListener("click", () => this.createSubcircuit());
+    document
+      .getElementById("cancelSubcircuit")
+      .addEventListener("click", () => this.hideModal("subcircuitModal"));
+    document
+      .getElementById("closeSubcircuitModal")
+      .addEventListener("click", () => this.hideModal("subcircuitModal"));
+
+    document.getElementsByName("insertSource").forEach((radio) => {
+      radio.addEventListener("change", () => {
+        document.getElementById("insertText").placeholder =
+          radio.value === "table"
+            ? "A B | Y\n0 0 | 0\n0 1 | 1\n1 0 | 1\n1 1 | 0"
+            : "Y = A'B + AC";
+        document.getElementById("insertHint").textContent =
+          radio.value === "table"
+            ? "First line names the columns; outputs go after |. Give one row per input combination; use 0, 1 or X (don't care, or both input values)."
+            : "One equation per line. Variables are single letters (A, B, C1); use ' or ! for NOT, juxtaposition or & for AND, + or | for OR, ^ for XOR.";
+      });
+    });
+
     // Close modals on backdrop click
     document.querySelectorAll(".modal-backdrop").forEach((backdrop) => {
       backdrop.addEventListener("click", (e) => {
@@ -132,6 +320,92 @@ class CircuitEditorApp {
       }
     });
 
+    document.getElementById("insertTool").addEventListener("click", () => {
+      if (!this.sessionId) {
+        this.showToast("Create or join a session first", "error");
+        return;
+      }
+      this.showModal("insertModal");
+    });
+
+    document.getElementById("subcircuitTool").addEventListener("click", () => {
+      if (!this.sessionId) {
+        this.showToast("Create or join a session first", "error");
+        return;
+      }
+      if (this.editor.selectedGates.size === 0) {
+        this.showToast("Drag a box around the gates to include", "error");
+        return;
+      }
+      document.getElementById("subcircuitName").value = "";
+      this.showModal("subcircuitModal");
+    });
+
+    document.getElementById("exportTool").addEventListener("click", () => {
+      if (!this.sessionId) {
+        this.showToast("Create or join a session first", "error");
+        return;
+      }
+      this.exportCircuit();
+    });
+
+    const importFile = document.getElementById("importFile");
+    document.getElementById("importTool").addEventListener("click", () => {
+      if (!this.sessionId) {
+        this.showToast("Create or join a session first", "error");
+        return;
+      }
+      if (!this.crdt.canEdit()) {
+        this.showToast("Viewers cannot edit the circuit", "error");
+        return;
+      }
+      importFile.value = "";
+      importFile.click();
+    });
+    importFile.addEventListener("change", () => {
+      if (importFile.files[0]) this.importCircuit(importFile.files[0]);
+    });
+
+    document.getElementById("imageTool").addEventListener("click", () => {
+      if (!this.sessionId) {
+        this.showToast("Create or join a session first", "error");
+        return;
+      }
+      this.showModal("imageModal");
+    });
+
+    document.getElementById("hdlTool").addEventListener("click", () => {
+      if (!this.sessionId) {
+        this.showToast("Create or join a session first", "error");
+        return;
+      }
+      this.showModal("hdlModal");
+    });
+
+    document.getElementById("saveSnapshot").addEventListener("click", () => {
+      if (!this.sessionId) {
+        this.showToast("Create or join a session first", "error");
+        return;
+      }
+      if (this.crdt.role !== "owner") {
+        this.showToast("Only the owner can save snapshots", "error");
+        return;
+      }
+      document.getElementById("snapshotName").value = "";
+      this.showModal("snapshotModal");
+    });
+
+    const compareFile = document.getElementById("compareFile");
+    document.getElementById("compareFiles").addEventListener("click", () => {
+      compareFile.value = "";
+      compareFile.click();
+    });
+    compareFile.addEventListener("change", () => {
+      if (compareFile.files.length > 0) {
+        this.history.compareFiles(Array.from(compareFile.files));
+      }
+    });
+
     document.getElementById("zoomIn").addEventListener("click", () => {
       this.editor.setZoom(this.editor.zoom + 0.25);
     });
@@ -140,20 +414,538 @@ class CircuitEditorApp {
     });
   }
 
-  setupDragDrop() {
+  setupSimulation() {
     const canvas = document.getElementById("circuitCanvas");
-    const gateItems = document.querySelectorAll(".gate-item");
+    const runBtn = document.getElementById("simRunTool");
+    const status = document.getElementById("simStatus");
+    let wasOscillating = false;
 
-    gateItems.forEach((item) => {
-      item.addEventListener("dragstart", (e) => {
-        e.dataTransfer.setData("gate-type", item.dataset.gate);
-        item.classList.add("dragging");
-      });
+    runBtn.addEventListener("click", () => {
+      this.editor.setSimulationRunning(!this.editor.simRunning);
+    });
+    document.getElementById("simStepTool").addEventListener("click", () => {
+      this.editor.stepSimulation();
+    });
 
-      item.addEventListener("dragend", () => {
-        item.classList.remove("dragging");
-      });
+    canvas.addEventListener("simulationstatus", (e) => {
+      const { running, time, stable, oscillating, period } = e.detail;
+
+      runBtn.textContent = running ? "Pause" : "Run";
+      runBtn.title = running ? "Pause simulation" : "Run simulation";
+
+      if (oscillating) {
+        status.textContent = period
+          ? `Oscillating (period ${period})`
+          : "Oscillating";
+      } else if (running) {
+        status.textContent = "Stable";
+      } else {
+        status.textContent = `Paused t=${time}${stable ? "" : " …"}`;
+      }
+      status.classList.toggle("oscillating", oscillating);
+
+      if (oscillating && !wasOscillating) {
+        this.showToast(
+          "Circuit does not settle: feedback loop is oscillating",
+          "error",
+        );
+      }
+      wasOscillating = oscillating;
+    });
+  }
+
+  setupClock() {
+    const runBtn = document.getElementById("clockRunTool");
+    let running = false;
+
+    runBtn.addEventListener("click", () => {
+      this.crdt.sendClockControl(running ? "stop" : "start");
+    });
+    document.getElementById("clockTickTool").addEventListener("click", () => {
+      this.crdt.sendClockControl("tick");
+    });
+    document.getElementById("clockResetTool").addEventListener("click", () => {
+      this.crdt.sendClockControl("reset");
+    });
+
+    const update = (clock) => {
+      if (!clock) return;
+      running = clock.running;
+      runBtn.textContent = running ? "Stop Clock" : "Start Clock";
+      runBtn.title = running ? "Stop session clock" : "Start session clock";
+      runBtn.classList.toggle("active", running);
+    };
+    this.crdt.on("connected", ({ clock }) => update(clock));
+    this.crdt.on("clock", update);
+  }
+
+  setupProperties() {
+    const canvas = document.getElementById("circuitCanvas");
+    canvas.addEventListener("wireerror", (e) => {
+      this.showToast(e.detail.message, "error");
+    });
+    canvas.addEventListener("diffchange", (e) => {
+      this.diff = e.detail;
+      this.renderProperties(null);
+    });
+    canvas.addEventListener("selectionchange", (e) => {
+      this.renderProperties(e.detail.gate);
+      if (e.detail.gate?.type === "OUTPUT") {
+        this.analysis.showKmapFor(e.detail.gateId);
+      }
+    });
+  }
+
+  // Connection badge; the CRDT manager reconnects on its own
+  setupConnection() {
+    const labels = {
+      connected: "Connected",
+      reconnecting: "Reconnecting…",
+      offline: "Offline",
+    };
+    this.crdt.on("status", (status) => {
+      if (!this.sessionId) return;
+      const badge = document.getElementById("sessionBadge");
+      badge.textContent = labels[status];
+      badge.classList.toggle("active", status === "connected");
+      badge.classList.toggle("reconnecting", status === "reconnecting");
+      badge.classList.toggle("offline", status === "offline");
+    });
+
+    // e.g. an edit the server rejected (the circuit is reloaded)
+    this.crdt.on("error", (message) => this.showToast(message, "error"));
+
+    // Owner controls: roles, the invite code and the lock apply live
+    this.crdt.on("connected", ({ invites }) => {
+      this.invites = invites ?? [];
+      this.renderInvites();
+    });
+
+    this.crdt.on("sessionUpdated", ({ change, invites, role }) => {
+      this.invites = invites ?? [];
+      this.renderInvites();
+      this.updateSessionUI(true, role);
+      if (role !== "owner") this.hideModal("shareModal");
+      this.history.render();
+      if (change) this.showToast(change, "info");
+    });
+
+    // Stop reconnecting and renewing the token of a session we can no
+    // longer use
+    const leave = () => {
+      this.sessionId = null;
+      this.crdt.disconnect();
+      this.invites = [];
+      this.updateSessionUI(false);
+    };
+    this.crdt.on("kicked", (message) => {
+      leave();
+      this.showToast(message, "error");
+    });
+    this.crdt.on("rejoinRequired", () => {
+      leave();
+      this.showToast(
+        "Your session has expired; join again with an invite",
+        "info",
+      );
+      this.showModal("joinSessionModal");
+    });
+
+    window.addEventListener("online", () => this.crdt.reconnectNow());
+  }
+
+  setupSubcircuits() {
+    const render = () => {
+      this.renderSubcircuitPalette();
+      this.renderScopeBar();
+    };
+    this.crdt.on("connected", render);
+    this.crdt.on("subcircuitsChanged", render);
+    this.crdt.on("scopeChanged", render);
+  }
+
+  // Palette entries for every definition; ones that would contain the
+  // subcircuit being edited are disabled
+  renderSubcircuitPalette() {
+    const palette = document.getElementById("subcircuitPalette");
+    const definitions = this.crdt.getSubcircuits();
+    if (definitions.size === 0) {
+      palette.innerHTML =
+        '<div class="empty-state small"><p>Select gates and click Subcircuit</p></div>';
+      return;
+    }
+
+    const scope = this.crdt.currentScope();
+    const recursive = scope ? definitionsUsing(scope, definitions) : new Set();
+    palette.innerHTML = "";
+    definitions.forEach((definition, id) => {
+      const item = document.createElement("div");
+      item.className = "gate-item";
+      item.dataset.gate = "SUBCIRCUIT";
+      item.dataset.subcircuit = id;
+      item.innerHTML = `<div class="gate-icon">SUB</div><span></span>`;
+      item.querySelector("span").textContent = definition.name;
+      if (recursive.has(id)) {
+        item.classList.add("disabled");
+        item.title = "A subcircuit cannot contain itself";
+      } else {
+        item.draggable = true;
+        this.makeDraggable(item);
+      }
+      palette.appendChild(item);
+    });
+  }
+
+  // Breadcrumbs back out of nested subcircuits
+  renderScopeBar() {
+    const bar = document.getElementById("scopeBar");
+    const definitions = this.crdt.getSubcircuits();
+    const scope = this.crdt.scope;
+    bar.style.display = scope.length > 0 ? "flex" : "none";
+    bar.innerHTML = "";
+
+    ["Main", ...scope.map((id) => definitions.get(id)?.name ?? "?")].forEach(
+      (name, depth) => {
+        if (depth > 0) bar.append("›");
+        if (depth === scope.length) {
+          const current = document.createElement("span");
+          current.textContent = name;
+          bar.appendChild(current);
+          return;
+        }
+        const link = document.createElement("button");
+        link.textContent = name;
+        link.addEventListener("click", () => this.crdt.exitSubcircuit(depth));
+        bar.appendChild(link);
+      },
+    );
+  }
+
+  // Main circuit and subcircuits, whichever one is being edited
+  exportCircuit() {
+    const data = serializeCircuit(this.crdt.getCircuit(), {
+      sessionId: this.sessionId,
+      exportedAt: new Date().toISOString(),
+    });
+    const json = JSON.stringify(data, null, 2);
+    downloadBlob(
+      new Blob([json], { type: "application/json" }),
+      "circuit.json",
+    );
+  }
+
+  // The circuit on the canvas (including a previewed version) as an image;
+  // a selection keeps the wires between selected gates
+  async exportImage() {
+    const checked = (name) =>
+      Array.from(document.getElementsByName(name)).find((r) => r.checked)
+        ?.value;
+    const format = checked("imageFormat");
+    const { selectedGate, selectedGates } = this.editor;
+    const selection =
+      selectedGates.size > 0
+        ? selectedGates
+        : new Set(selectedGate ? [selectedGate] : []);
+
+    let gates = this.editor.gates;
+    let wires = this.editor.wires;
+    if (checked("imageArea") === "selection") {
+      if (selection.size === 0) {
+        this.showToast("Select the gates to export first", "error");
+        return;
+      }
+      gates = new Map(Array.from(gates).filter(([id]) => selection.has(id)));
+      wires = wires.filter(
+        (wire) => gates.has(wire.from.gateId) && gates.has(wire.to.gateId),
+      );
+    }
+    if (gates.size === 0) {
+      this.showToast("The circuit is empty", "error");
+      return;
+    }
+
+    const options = {
+      levels: this.editor.simulator.levels,
+      background: checked("imageBackground"),
+      pinLabels: document.getElementById("imagePinLabels").checked,
+    };
+    try {
+      if (format === "svg") {
+        const svg = renderSvg({ gates, wires }, options);
+        downloadBlob(new Blob([svg], { type: "image/svg+xml" }), "circuit.svg");
+      } else if (format === "png") {
+        downloadBlob(await renderPng({ gates, wires }, options), "circuit.png");
+      } else {
+        downloadBlob(await renderPdf({ gates, wires }, options), "circuit.pdf");
+      }
+      this.hideModal("imageModal");
+    } catch (error) {
+      this.showToast(`Could not export image: ${error.message}`, "error");
+    }
+  }
+
+  // Main circuit and subcircuits as a structural Verilog or VHDL netlist
+  exportNetlist() {
+    const language = Array.from(document.getElementsByName("hdlLanguage")).find(
+      (r) => r.checked,
+    ).value;
+    const name =
+      document.getElementById("hdlModuleName").value.trim() || "circuit";
+    const circuit = this.crdt.getCircuit();
+    const text =
+      language === "vhdl"
+        ? toVHDL(circuit, { name })
+        : toVerilog(circuit, { name });
+    const { extension, type } = HDL_LANGUAGES[language];
+    downloadBlob(new Blob([text], { type }), `${name}.${extension}`);
+    this.hideModal("hdlModal");
+  }
+
+  async importCircuit(file) {
+    let circuit;
+    try {
+      circuit = parseCircuit(JSON.parse(await file.text()));
+    } catch (error) {
+      this.showToast(`Cannot import ${file.name}: ${error.message}`, "error");
+      return;
+    }
+
+    const message = `Replace the circuit with ${file.name} (${circuit.gates.size} components)? Everyone in the session will see the change.`;
+    if (!confirm(message)) return;
+
+    this.history.exitPreview();
+    if (this.crdt.importCircuit(circuit)) {
+      this.showToast(`Imported ${file.name}`, "success");
+    }
+  }
+
+  async saveSnapshot() {
+    const name = document.getElementById("snapshotName").value.trim();
+    if (!name) {
+      this.showToast("Please enter a name", "error");
+      return;
+    }
+
+    try {
+      await this.history.save(name);
+      this.hideModal("snapshotModal");
+      this.showToast(`Saved snapshot "${name}"`, "success");
+    } catch (error) {
+      this.showToast(error.message, "error");
+    }
+  }
+
+  createSubcircuit() {
+    const name = document.getElementById("subcircuitName").value.trim();
+    if (!name) {
+      this.showToast("Please enter a name", "error");
+      return;
+    }
+    if (!this.crdt.canEdit()) {
+      this.showToast("Viewers cannot edit the circuit", "error");
+      return;
+    }
+
+    const instance = this.editor.createSubcircuitFromSelection(name);
+    this.hideModal("subcircuitModal");
+    if (instance) {
+      this.showToast(`Created subcircuit ${name}`, "success");
+    }
+  }
+
+  // Changes between two versions, colored like their canvas highlights
+  renderDiff(panel) {
+    const { before, after, diff } = this.diff;
+    if (isEmptyDiff(diff)) {
+      panel.innerHTML =
+        '<div class="empty-state small"><p>No differences</p></div>';
+      return;
+    }
+
+    panel.innerHTML = `<div class="property-label">Changes</div>`;
+    const list = document.createElement("ul");
+    list.className = "diff-list";
+    describeDiff(diff, before, after).forEach(({ kind, text, gateId }) => {
+      const item = document.createElement("li");
+      item.className = `diff-${kind}`;
+      item.textContent = text;
+      item.addEventListener("click", () => this.editor.selectGate(gateId));
+      list.appendChild(item);
     });
+    panel.appendChild(list);
+  }
+
+  renderProperties(gate) {
+    const panel = document.getElementById("propertiesPanel");
+
+    if (!gate && this.diff) {
+      this.renderDiff(panel);
+      return;
+    }
+    if (!gate) {
+      panel.innerHTML =
+        '<div class="empty-state small"><p>Select a component</p></div>';
+      return;
+    }
+
+    panel.innerHTML = `
+      <div class="property-group">
+        <div class="property-label">Type</div>
+        <div class="property-type"></div>
+      </div>
+    `;
+    panel.querySelector(".property-type").textContent = gate.type;
+
+    // Re-render from the CRDT after an edit so dependent fields refresh
+    const refresh = () => this.renderProperties(this.crdt.getGate(gate.id));
+    const bits = gate.bits ?? 1;
+
+    if (gate.delay !== undefined) {
+      this.addPropertyField(
+        panel,
+        "Propagation delay",
+        numberInput({ min: 1, step: 1, value: gate.delay }),
+        (input) => {
+          const delay = Math.max(1, parseInt(input.value, 10) || 1);
+          this.crdt.updateGate(gate.id, { delay });
+          refresh();
+        },
+      );
+    }
+
+    if (!GATE_TYPES[gate.type].fixedWidth) {
+      this.addPropertyField(
+        panel,
+        "Bits",
+        numberInput({ min: 1, max: MAX_BUS_BITS, step: 1, value: bits }),
+        (input) => {
+          this.editor.configureGate(gate.id, {
+            bits: parseInt(input.value, 10) || 1,
+          });
+          refresh();
+        },
+      );
+    }
+
+    const maxInputs = GATE_TYPES[gate.type].maxInputs;
+    if (maxInputs) {
+      this.addPropertyField(
+        panel,
+        "Inputs",
+        numberInput({
+          min: 2,
+          max: maxInputs,
+          step: 1,
+          value: gate.inputs.length,
+        }),
+        (input) => {
+          this.editor.configureGate(gate.id, {
+            inputCount: parseInt(input.value, 10) || 2,
+          });
+          refresh();
+        },
+      );
+    }
+
+    if (gate.selectBits !== undefined) {
+      this.addPropertyField(
+        panel,
+        gate.type === "MUX" || gate.type === "DEMUX"
+          ? "Select bits"
+          : "Address bits",
+        numberInput({
+          min: 1,
+          max: MAX_SELECT_BITS,
+          step: 1,
+          value: gate.selectBits,
+        }),
+        (input) => {
+          this.editor.configureGate(gate.id, {
+            selectBits: parseInt(input.value, 10) || 1,
+          });
+          refresh();
+        },
+      );
+    }
+
+    if (gate.type === "CLOCK") {
+      this.addPropertyField(
+        panel,
+        "Frequency (Hz)",
+        numberInput({
+          min: MIN_CLOCK_HZ,
+          max: MAX_CLOCK_HZ,
+          step: 0.1,
+          value: gate.frequency ?? 1,
+        }),
+        (input) => {
+          const frequency = Math.min(
+            MAX_CLOCK_HZ,
+            Math.max(MIN_CLOCK_HZ, parseFloat(input.value) || 1),
+          );
+          this.crdt.updateGate(gate.id, { frequency });
+          refresh();
+        },
+      );
+    }
+
+    if (bits > 1 && (gate.type === "INPUT" || gate.type === "OUTPUT")) {
+      this.addPropertyField(
+        panel,
+        "Display",
+        selectInput(
+          [
+            ["hex", "Hexadecimal"],
+            ["dec", "Decimal"],
+          ],
+          gate.radix || "hex",
+        ),
+        (input) => {
+          this.crdt.updateGate(gate.id, { radix: input.value });
+          refresh();
+        },
+      );
+    }
+
+    if (bits > 1 && gate.type === "INPUT") {
+      this.addPropertyField(
+        panel,
+        "Value",
+        textInput(formatBusValue(gate.value ?? 0, bits, gate.radix)),
+        (input) => {
+          const value = Number(input.value.trim());
+          if (!Number.isInteger(value) || value < 0 || value >= 2 ** bits) {
+            this.showToast(`Value must fit in ${bits} bits`, "error");
+          } else {
+            this.crdt.updateGate(gate.id, { value });
+          }
+          refresh();
+        },
+      );
+    }
+  }
+
+  // Append a labelled input (see numberInput() and friends) to the
+  // properties panel
+  addPropertyField(panel, label, input, onChange) {
+    const group = document.createElement("div");
+    group.className = "property-group";
+    const heading = document.createElement("div");
+    heading.className = "property-label";
+    heading.textContent = label;
+    group.append(heading, input);
+
+    input.disabled = !this.crdt.canEdit();
+    input.addEventListener("change", () => onChange(input));
+    panel.appendChild(group);
+    return input;
+  }
+
+  setupDragDrop() {
+    const canvas = document.getElementById("circuitCanvas");
+    const gateItems = document.querySelectorAll(".gate-item");
+
+    gateItems.forEach((item) => this.makeDraggable(item));
 
     canvas.addEventListener("dragover", (e) => {
       e.preventDefault();
@@ -171,11 +963,58 @@ class CircuitEditorApp {
         const rect = canvas.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top - 44; // Account for toolbar
-        this.editor.addGate(gateType, x, y);
+        const subcircuitId = e.dataTransfer.getData("subcircuit-id");
+        this.editor.addGate(
+          gateType,
+          x,
+          y,
+          subcircuitId ? { subcircuitId } : {},
+        );
       }
     });
   }
 
+  // Palette item drag source; subcircuit items also carry their definition
+  makeDraggable(item) {
+    item.addEventListener("dragstart", (e) => {
+      e.dataTransfer.setData("gate-type", item.dataset.gate);
+      if (item.dataset.subcircuit) {
+        e.dataTransfer.setData("subcircuit-id", item.dataset.subcircuit);
+      }
+      item.classList.add("dragging");
+    });
+
+    item.addEventListener("dragend", () => {
+      item.classList.remove("dragging");
+    });
+  }
+
+  insertFromText() {
+    const text = document.getElementById("insertText").value;
+    const source = Array.from(document.getElementsByName("insertSource")).find(
+      (r) => r.checked,
+    )?.value;
+
+    if (!this.crdt.canEdit()) {
+      this.showToast("Viewers cannot edit the circuit", "error");
+      return;
+    }
+
+    let equations;
+    try {
+      equations =
+        source === "table" ? parseTruthTable(text) : parseEquations(text);
+      if (equations.length === 0) throw new Error("Nothing to insert");
+    } catch (error) {
+      this.showToast(error.message, "error");
+      return;
+    }
+
+    const { gates } = this.editor.insertEquations(equations);
+    this.hideModal("insertModal");
+    this.showToast(`Inserted ${gates.length} components`, "success");
+  }
+
   async createSession() {
     const nameInput = document.getElementById("ownerName");
     const name = nameInput.value.trim() || "User";
@@ -184,17 +1023,17 @@ class CircuitEditorApp {
       const response = await fetch("/api/sessions", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ userName: name }),
+        body: JSON.stringify({ userName: name, ownerKey: ownerKey() }),
       });
 
       const data = await response.json();
 
       this.sessionId = data.sessionId;
       this.userId = data.userId;
-      this.inviteCode = data.inviteCode;
+      this.invites = data.invites;
 
       // Connect to WebSocket
-      await this.crdt.connect(this.sessionId, this.userId, data.role);
+      await this.crdt.connect(data);
       this.presence.init(this.userId);
       this.editor.syncFromCRDT();
 
@@ -213,12 +1052,9 @@ class CircuitEditorApp {
   async joinSession() {
     const codeInput = document.getElementById("inviteCode");
     const nameInput = document.getElementById("joinName");
-    const roleInputs = document.getElementsByName("joinRole");
 
-    const inviteCode = codeInput.value.trim().toUpperCase();
+    const inviteCode = parseInvite(codeInput.value);
     const name = nameInput.value.trim() || "User";
-    const role =
-      Array.from(roleInputs).find((r) => r.checked)?.value || "editor";
 
     if (!inviteCode) {
       this.showToast("Please enter an invite code", "error");
@@ -229,7 +1065,7 @@ class CircuitEditorApp {
       // Find session by invite code
       const findResponse = await fetch(`/api/sessions/invite/${inviteCode}`);
       if (!findResponse.ok) {
-        this.showToast("Invalid invite code", "error");
+        this.showToast("Invalid or expired invite", "error");
         return;
       }
 
@@ -239,7 +1075,11 @@ class CircuitEditorApp {
       const joinResponse = await fetch(`/api/sessions/${session.id}/join`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ userName: name, role, inviteCode }),
+        body: JSON.stringify({
+          userName: name,
+          inviteCode,
+          ownerKey: ownerKey(),
+        }),
       });
 
       const data = await joinResponse.json();
@@ -251,10 +1091,9 @@ class CircuitEditorApp {
 
       this.sessionId = data.sessionId;
       this.userId = data.userId;
-      this.inviteCode = inviteCode;
 
       // Connect to WebSocket
-      await this.crdt.connect(this.sessionId, this.userId, data.role);
+      await this.crdt.connect(data);
       this.presence.init(this.userId);
       this.editor.syncFromCRDT();
 
@@ -273,8 +1112,12 @@ class CircuitEditorApp {
   checkUrlSession() {
     const params = new URLSearchParams(window.location.search);
     const sessionId = params.get("session");
+    const invite = params.get("invite");
 
-    if (sessionId) {
+    if (invite) {
+      document.getElementById("inviteCode").value = invite;
+    }
+    if (sessionId || invite) {
       // Pre-fill and show join modal
       this.showModal("joinSessionModal");
     }
@@ -287,8 +1130,9 @@ class CircuitEditorApp {
 
     if (connected) {
       badge.textContent = "Connected";
+      badge.classList.remove("reconnecting", "offline");
       badge.classList.add("active");
-      shareBtn.disabled = false;
+      shareBtn.disabled = role !== "owner";
 
       if (role === "viewer") {
         readonlyBadge.style.display = "flex";
@@ -297,12 +1141,156 @@ class CircuitEditorApp {
       }
     } else {
       badge.textContent = "No Session";
-      badge.classList.remove("active");
+      badge.classList.remove("active", "reconnecting", "offline");
       shareBtn.disabled = true;
       readonlyBadge.style.display = "none";
     }
   }
 
+  inviteLink(code) {
+    return `${window.location.origin}${window.location.pathname}?invite=${code}`;
+  }
+
+  // Invite links in the Share modal, each with its role and limits
+  renderInvites() {
+    const list = document.getElementById("inviteList");
+    list.innerHTML = "";
+    if (this.invites.length === 0) {
+      list.innerHTML =
+        '<div class="empty-state small"><p>No invite links</p></div>';
+      return;
+    }
+
+    this.invites.forEach((invite) => {
+      const item = document.createElement("div");
+      item.className = "invite-item";
+      item.innerHTML = `
+        <span class="user-item-role ${invite.role}">${invite.role}</span>
+        <div class="invite-info">
+          <div class="invite-code">${invite.code}</div>
+          <div class="history-meta">${describeInvite(invite)}</div>
+        </div>
+        <button class="btn btn-secondary" data-action="copy">Copy link</button>
+        <button class="btn btn-secondary" data-action="revoke">Revoke</button>
+      `;
+      item
+        .querySelector('[data-action="copy"]')
+        .addEventListener("click", () => {
+          navigator.clipboard.writeText(this.inviteLink(invite.code));
+          this.showToast(`${invite.role} invite link copied!`, "success");
+        });
+      item
+        .querySelector('[data-action="revoke"]')
+        .addEventListener("click", () => this.revokeInvite(invite.code));
+      list.appendChild(item);
+    });
+  }
+
+  async createInvite() {
+    const role =
+      Array.from(document.getElementsByName("inviteRole")).find(
+        (r) => r.checked,
+      )?.value || "viewer";
+    const expiry = document.getElementById("inviteExpiry").value;
+    const maxUses = document.getElementById("inviteMaxUses").value;
+    const data = await this.manageInvites("POST", "", {
+      role,
+      expiresIn: expiry ? Number(expiry) : null,
+      maxUses: maxUses ? Number(maxUses) : null,
+    });
+    if (!data) return;
+    document.getElementById("inviteMaxUses").value = "";
+    navigator.clipboard.writeText(this.inviteLink(data.invite.code));
+    this.showToast(`${role} invite link created and copied!`, "success");
+  }
+
+  async revokeInvite(code) {
+    if (!confirm("Revoke this invite link? It stops admitting anyone.")) {
+      return;
+    }
+    await this.manageInvites("DELETE", `/${code}`);
+  }
+
+  // Call an invite endpoint; the new list arrives as a session update
+  async manageInvites(method, path, body) {
+    try {
+      const response = await fetch(
+        `/api/sessions/${this.sessionId}/invites${path}`,
+        {
+          method,
+          headers: {
+            "Content-Type": "application/json",
+            ...this.crdt.authHeaders(),
+          },
+          body: body && JSON.stringify(body),
+        },
+      );
+      const data = await response.json();
+      if (data.error) throw new Error(data.error);
+      return data;
+    } catch (error) {
+      this.showToast(error.message, "error");
+      return null;
+    }
+  }
+
+  // The sessions this browser owns, with their activity and circuit size
+  async loadOwnedSessions() {
+    const list = document.getElementById("sessionList");
+    list.innerHTML = '<div class="empty-state small"><p>Loading…</p></div>';
+    try {
+      const response = await fetch("/api/sessions", {
+        headers: { "X-Owner-Key": ownerKey() },
+      });
+      const data = await response.json();
+      if (data.error) throw new Error(data.error);
+      this.renderOwnedSessions(data.sessions);
+      // Idle sessions are only deleted when the server keeps them for a while
+      const deleted =
+        data.retentionDays > 0
+          ? ` and deleted after ${data.retentionDays} days without activity`
+          : "";
+      document.getElementById("sessionsHint").textContent =
+        `Sessions this browser owns. Idle sessions are unloaded from the server's memory${deleted}.`;
+    } catch (error) {
+      list.innerHTML = "";
+      this.showToast(error.message, "error");
+    }
+  }
+
+  renderOwnedSessions(sessions) {
+    const list = document.getElementById("sessionList");
+    list.innerHTML = "";
+    if (sessions.length === 0) {
+      list.innerHTML =
+        '<div class="empty-state small"><p>You do not own any sessions</p></div>';
+      return;
+    }
+
+    sessions.forEach((session) => {
+      const { gates, wires, subcircuits } = session.circuit;
+      const item = document.createElement("div");
+      item.className = "invite-item";
+      item.innerHTML = `
+        <div class="invite-info">
+          <div class="session-name"></div>
+          <div class="history-meta">
+            ${session.userCount} users · ${session.onlineCount} online ·
+            active ${timeAgo(session.lastActivity)}
+          </div>
+          <div class="history-meta">
+            ${gates} gates · ${wires} wires · ${subcircuits} subcircuits
+          </div>
+        </div>
+      `;
+      item.querySelector(".session-name").textContent =
+        session.id === this.sessionId
+          ? `${session.name} (this session)`
+          : session.name;
+      list.appendChild(item);
+    });
+  }
+
   showModal(modalId) {
     document.getElementById(modalId).classList.add("active");
   }
@@ -315,7 +1303,9 @@ class CircuitEditorApp {
     const container = document.getElementById("toastContainer");
     const toast = document.createElement("div");
     toast.className = `toast ${type}`;
-    toast.innerHTML = `<span class="toast-message">${message}</span>`;
+    // Messages can carry names and server text, so they are never markup
+    toast.innerHTML = '<span class="toast-message"></span>';
+    toast.querySelector(".toast-message").textContent = message;
     container.appendChild(toast);
 
     setTimeout(() => {
@@ -0,0 +1,445 @@
+// Boolean expressions: parsing, extraction from circuits, minimization
+//
+// Expression nodes:
+//   { type: "var", name }
+//   { type: "const", value }
+//   { type: "not", arg }
+//   { type: "and" | "or" | "xor", args: [...] }
+//   { type: "unknown" }  (a signal that depends on a feedback loop)
+
+// K-maps are drawn for at most this many variables
+export const MAX_KMAP_VARS = 6;
+
+export const variable = (name) => ({ type: "var", name });
+export const constant = (value) => ({ type: "const", value: !!value });
+export const not = (arg) => ({ type: "not", arg });
+export const and = (args) => ({ type: "and", args });
+export const or = (args) => ({ type: "or", args });
+export const xor = (args) => ({ type: "xor", args });
+
+const OPERATORS = { and: " & ", or: " | ", xor: " ^ " };
+
+// Render an expression like `(A & B) | !C`
+export function formatExpression(expr) {
+  switch (expr.type) {
+    case "var":
+      return expr.name;
+    case "const":
+      return expr.value ? "1" : "0";
+    case "unknown":
+      return "?";
+    case "not": {
+      const inner = formatExpression(expr.arg);
+      return expr.arg.type in OPERATORS ? `!(${inner})` : `!${inner}`;
+    }
+    default: {
+      if (expr.args.length === 1) return formatExpression(expr.args[0]);
+      return expr.args
+        .map((arg) => {
+          const inner = formatExpression(arg);
+          return arg.type in OPERATORS && arg.type !== expr.type
+            ? `(${inner})`
+            : inner;
+        })
+        .join(OPERATORS[expr.type]);
+    }
+  }
+}
+
+/**
+ * Trace back from a gate through the wires and build its expression.
+ * `labels` maps INPUT gate ids to variable names. Unconnected inputs
+ * read as 0, matching the simulator. Buses and wiring components have no
+ * single-bit expression and come back unknown.
+ */
+export function extractExpression(gates, wires, gateId, labels) {
+  const drivers = new Map(); // input pinId -> driving gateId
+  for (const wire of wires) drivers.set(wire.to.pinId, wire.from.gateId);
+
+  const visiting = new Set();
+  const visit = (id) => {
+    const gate = gates.get(id);
+    if (!gate) return constant(false);
+    if ((gate.bits ?? 1) > 1) return { type: "unknown" };
+    if (gate.type === "INPUT") return variable(labels.get(id) ?? id);
+    if (visiting.has(id)) return { type: "unknown" };
+
+    visiting.add(id);
+    const args = gate.inputs.map((pin) =>
+      drivers.has(pin.id) ? visit(drivers.get(pin.id)) : constant(false),
+    );
+    visiting.delete(id);
+
+    switch (gate.type) {
+      case "AND":
+        return and(args);
+      case "OR":
+        return or(args);
+      case "XOR":
+        return xor(args);
+      case "NOT":
+        return not(args[0]);
+      case "NAND":
+        return not(and(args));
+      case "NOR":
+        return not(or(args));
+      case "OUTPUT":
+      case "PORT":
+        return args[0];
+      default:
+        return { type: "unknown" };
+    }
+  };
+
+  return visit(gateId);
+}
+
+function countBits(n) {
+  let count = 0;
+  for (; n; n &= n - 1) count++;
+  return count;
+}
+
+// Quine-McCluskey: every prime implicant of the given on-set
+function primeImplicants(minterms) {
+  let terms = minterms.map((value) => ({ value, mask: 0 }));
+  const primes = [];
+
+  while (terms.length > 0) {
+    const merged = new Map();
+    const used = new Set();
+
+    for (let i = 0; i < terms.length; i++) {
+      for (let j = i + 1; j < terms.length; j++) {
+        const a = terms[i];
+        const b = terms[j];
+        if (a.mask !== b.mask) continue;
+        const diff = a.value ^ b.value;
+        if (countBits(diff) !== 1) continue;
+
+        const term = { value: a.value & ~diff, mask: a.mask | diff };
+        merged.set(`${term.value}/${term.mask}`, term);
+        used.add(i).add(j);
+      }
+    }
+
+    terms.forEach((term, i) => {
+      if (!used.has(i)) primes.push(term);
+    });
+    terms = Array.from(merged.values());
+  }
+
+  return primes;
+}
+
+const covers = (term, minterm) => (minterm & ~term.mask) === term.value;
+
+// Smallest set of primes covering every minterm (exact search)
+function minimumCover(primes, minterms) {
+  let best = null;
+
+  const search = (chosen, uncovered) => {
+    if (best && chosen.length >= best.length) return;
+    if (uncovered.length === 0) {
+      best = chosen;
+      return;
+    }
+
+    // Branch on the minterm with the fewest candidate primes
+    let pivot = null;
+    let candidates = null;
+    for (const minterm of uncovered) {
+      const options = primes.filter((p) => covers(p, minterm));
+      if (!candidates || options.length < candidates.length) {
+        pivot = minterm;
+        candidates = options;
+      }
+    }
+
+    for (const prime of candidates) {
+      search(
+        [...chosen, prime],
+        uncovered.filter((m) => m !== pivot && !covers(prime, m)),
+      );
+    }
+  };
+
+  search([], minterms);
+  return best ?? [];
+}
+
+/**
+ * Minimize a function of `numVars` variables to a sum of products.
+ * Variable 0 is the most significant bit of a minterm index, as in the
+ * truth table. Returns implicants as { value, mask }, where set mask bits
+ * mark eliminated variables.
+ */
+export function minimizeSOP(numVars, minterms, dontCares = []) {
+  if (minterms.length === 0) return [];
+  const primes = primeImplicants([...minterms, ...dontCares]);
+  return minimumCover(primes, minterms).sort(
+    (a, b) => b.mask - a.mask || a.value - b.value,
+  );
+}
+
+// Turn minimized implicants into an expression over the given names
+export function implicantsToExpression(implicants, names) {
+  if (implicants.length === 0) return constant(false);
+
+  const products = implicants.map(({ value, mask }) => {
+    const literals = [];
+    names.forEach((name, i) => {
+      const bit = 1 << (names.length - 1 - i);
+      if (mask & bit) return;
+      literals.push(value & bit ? variable(name) : not(variable(name)));
+    });
+    if (literals.length === 0) return constant(true);
+    return literals.length === 1 ? literals[0] : and(literals);
+  });
+
+  return products.length === 1 ? products[0] : or(products);
+}
+
+function grayCode(bits) {
+  const codes = [];
+  for (let i = 0; i < 1 << bits; i++) codes.push(i ^ (i >> 1));
+  return codes;
+}
+
+/**
+ * Karnaugh map layout for `numVars` variables. The first half of the
+ * variables index rows, the rest index columns, both in Gray code order.
+ * `cells[r][c]` is the minterm index shown in that cell.
+ */
+export function kmapLayout(numVars) {
+  const rowBits = Math.floor(numVars / 2);
+  const colBits = numVars - rowBits;
+  const rows = grayCode(rowBits);
+  const cols = grayCode(colBits);
+
+  return {
+    rowBits,
+    colBits,
+    rows,
+    cols,
+    cells: rows.map((r) => cols.map((c) => (r << colBits) | c)),
+  };
+}
+
+// Split expression text into tokens; variables are one letter plus an
+// optional numeric suffix so that juxtaposition (`AB`) means A & B
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (/[A-Za-z]/.test(ch)) {
+      const match = /^[A-Za-z][0-9_]*/.exec(text.slice(i))[0];
+      tokens.push({ type: "var", value: match, pos: i });
+      i += match.length;
+    } else if (ch === "0" || ch === "1") {
+      tokens.push({ type: "const", value: ch === "1", pos: i });
+      i++;
+    } else if ("+|&*·^⊕!~¬'()".includes(ch)) {
+      tokens.push({ type: ch, pos: i });
+      i++;
+    } else {
+      throw new Error(`Unexpected character '${ch}' at position ${i + 1}`);
+    }
+  }
+  return tokens;
+}
+
+const OR_TOKENS = ["+", "|"];
+const XOR_TOKENS = ["^", "⊕"];
+const AND_TOKENS = ["&", "*", "·"];
+const NOT_TOKENS = ["!", "~", "¬"];
+
+/**
+ * Parse a Boolean expression such as `A'B + AC` or `(A & B) | !C`.
+ *
+ * Precedence from loosest to tightest: OR (`+`, `|`), XOR (`^`),
+ * AND (`&`, `*` or juxtaposition), NOT (prefix `!`/`~` or postfix `'`).
+ */
+export function parseExpression(text) {
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const accept = (types) => {
+    if (peek() && types.includes(peek().type)) return tokens[index++];
+    return null;
+  };
+  const fail = (message) => {
+    const token = peek();
+    throw new Error(
+      token ? `${message} at position ${token.pos + 1}` : `${message} at end`,
+    );
+  };
+
+  const startsOperand = (token) =>
+    token &&
+    (token.type === "var" ||
+      token.type === "const" ||
+      token.type === "(" ||
+      NOT_TOKENS.includes(token.type));
+
+  const parseOr = () => {
+    const args = [parseXor()];
+    while (accept(OR_TOKENS)) args.push(parseXor());
+    return args.length === 1 ? args[0] : or(args);
+  };
+
+  const parseXor = () => {
+    const args = [parseAnd()];
+    while (accept(XOR_TOKENS)) args.push(parseAnd());
+    return args.length === 1 ? args[0] : xor(args);
+  };
+
+  const parseAnd = () => {
+    const args = [parseUnary()];
+    while (accept(AND_TOKENS) || startsOperand(peek())) {
+      args.push(parseUnary());
+    }
+    return args.length === 1 ? args[0] : and(args);
+  };
+
+  const parseUnary = () => {
+    if (accept(NOT_TOKENS)) return not(parseUnary());
+
+    let expr;
+    const token = peek();
+    if (accept(["var"])) {
+      expr = variable(token.value);
+    } else if (accept(["const"])) {
+      expr = constant(token.value);
+    } else if (accept(["("])) {
+      expr = parseOr();
+      if (!accept([")"])) fail("Expected ')'");
+    } else {
+      fail("Expected a variable");
+    }
+
+    while (accept(["'"])) expr = not(expr);
+    return expr;
+  };
+
+  if (tokens.length === 0) throw new Error("Expression is empty");
+  const expr = parseOr();
+  if (index < tokens.length) fail("Unexpected token");
+  return expr;
+}
+
+/**
+ * Parse one equation per line (or `;`), e.g. `Y = A'B + AC`.
+ * Lines without a name are assigned Y, Y1, Y2...
+ */
+export function parseEquations(text) {
+  const lines = text
+    .split(/[\n;]/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  return lines.map((line, i) => {
+    const match = /^([A-Za-z]\w*)\s*=(.*)$/.exec(line);
+    const output = match ? match[1] : lines.length === 1 ? "Y" : `Y${i + 1}`;
+    try {
+      return { output, expr: parseExpression(match ? match[2] : line) };
+    } catch (err) {
+      throw new Error(`${output}: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Parse a pasted truth table into minimized equations.
+ *
+ * The first line names the columns; output columns follow a `|` or, if
+ * there is none, only the last column is an output. Cells are 0, 1 or X
+ * (don't care); an X among the inputs stands for both values. Every input
+ * combination needs exactly one row.
+ */
+export function parseTruthTable(text) {
+  const lines = text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  if (lines.length < 2) throw new Error("Truth table needs a header and rows");
+
+  const split = (line) => line.split(/[\s,|]+/).filter(Boolean);
+  const header = split(lines[0]);
+  const divider = lines[0].indexOf("|");
+  const inputCount =
+    divider === -1
+      ? header.length - 1
+      : split(lines[0].slice(0, divider)).length;
+  const inputs = header.slice(0, inputCount);
+  const outputs = header.slice(inputCount);
+
+  if (inputs.length === 0 || outputs.length === 0) {
+    throw new Error("Truth table needs at least one input and one output");
+  }
+  // The exact minimization is exponential; keep it to K-map sizes
+  if (inputs.length > MAX_KMAP_VARS) {
+    throw new Error(
+      `Truth table has too many inputs (${inputs.length}, max ${MAX_KMAP_VARS})`,
+    );
+  }
+
+  const minterms = outputs.map(() => []);
+  const dontCares = outputs.map(() => []);
+  const rowOf = new Map(); // input combination -> row number
+  lines.slice(1).forEach((line, i) => {
+    const cells = split(line).map((cell) => cell.toUpperCase());
+    if (cells.length !== header.length) {
+      throw new Error(
+        `Row ${i + 1} has ${cells.length} columns, expected ${header.length}`,
+      );
+    }
+    if (cells.some((cell) => !["0", "1", "X"].includes(cell))) {
+      throw new Error(`Row ${i + 1} may only contain 0, 1 or X`);
+    }
+
+    // An X among the inputs expands to both values
+    let indices = [0];
+    cells.slice(0, inputCount).forEach((cell) => {
+      indices = indices.flatMap((index) =>
+        cell === "X" ? [index * 2, index * 2 + 1] : [index * 2 + Number(cell)],
+      );
+    });
+
+    for (const index of indices) {
+      if (rowOf.has(index)) {
+        throw new Error(
+          `Row ${i + 1} repeats the inputs of row ${rowOf.get(index)}`,
+        );
+      }
+      rowOf.set(index, i + 1);
+    }
+
+    cells.slice(inputCount).forEach((cell, column) => {
+      if (cell === "1") minterms[column].push(...indices);
+      if (cell === "X") dontCares[column].push(...indices);
+    });
+  });
+
+  const rowCount = 1 << inputs.length;
+  if (rowOf.size < rowCount) {
+    let missing = 0;
+    while (rowOf.has(missing)) missing++;
+    const bits = missing.toString(2).padStart(inputs.length, "0");
+    throw new Error(
+      `Truth table has no row for inputs ${bits.split("").join(" ")} (${rowOf.size} of ${rowCount} rows given)`,
+    );
+  }
+
+  return outputs.map((output, column) => ({
+    output,
+    expr: implicantsToExpression(
+      minimizeSOP(inputs.length, minterms[column], dontCares[column]),
+      inputs,
+    ),
+  }));
+}
@@ -6,8 +6,34 @@ import {
   isPointInGate,
   getPinAtPoint,
   getPinPositions,
+  buildPins,
+  MAX_BUS_BITS,
+  MAX_SELECT_BITS,
 } from "./gates.js";
-import { createWire, drawWire, drawTempWire } from "./wire.js";
+import {
+  createWire,
+  drawWire,
+  drawTempWire,
+  drawWireHighlight,
+  getWireEnds,
+} from "./wire.js";
+import { EventSimulator } from "./simulation.js";
+import { synthesizeCircuit } from "./synthesize.js";
+import { flattenCircuit } from "./subcircuit.js";
+
+// How often an oscillating circuit advances while the simulation runs
+const OSCILLATION_STEP_MS = 250;
+
+// Highlight colors of a version diff
+const DIFF_COLORS = {
+  added: "rgba(16, 185, 129, 0.6)",
+  removed: "rgba(239, 68, 68, 0.6)",
+  moved: "rgba(59, 130, 246, 0.6)",
+  changed: "rgba(245, 158, 11, 0.6)",
+};
+
+// A dragged gate's position is sent to the CRDT at most this often
+const DRAG_SYNC_MS = 50;
 
 export class CircuitEditor {
   constructor(canvas, crdt) {
@@ -18,7 +44,17 @@ export class CircuitEditor {
     // State
     this.gates = new Map();
     this.wires = [];
+
+    // Simulation state
+    this.simulator = new EventSimulator();
+    this.publishedEdges = 0; // simulator.edges when values were last shared
+    this.simulator.seed = (gateId) => this.seedSequential(gateId);
+    this.simRunning = true;
+    this.simResult = { stable: true, oscillating: false };
+    this.oscillationTimer = null;
     this.selectedGate = null;
+    this.selectedGates = new Set(); // rubber-band selection
+    this.selectionBox = null;
     this.selectedWire = null;
     this.hoveredGate = null;
     this.hoveredPin = null;
@@ -29,6 +65,13 @@ export class CircuitEditor {
     // Drag state
     this.isDragging = false;
     this.dragOffset = { x: 0, y: 0 };
+    this.pendingMove = null; // { gateId, x, y } not yet sent
+    this.dragTimer = null;
+
+    // Read-only view of another version: { gates, wires, definitions }
+    this.preview = null;
+    // Changes highlighted on the preview: { before, diff } (see diff.js)
+    this.diffView = null;
 
     // Wire drawing state
     this.isDrawingWire = false;
@@ -69,6 +112,13 @@ export class CircuitEditor {
     this.canvas.addEventListener("mouseup", (e) => this.onMouseUp(e));
     this.canvas.addEventListener("dblclick", (e) => this.onDoubleClick(e));
 
+    // A button released outside the canvas, or a window losing focus
+    // mid-gesture, never reaches the canvas's mouseup
+    window.addEventListener("mouseup", (e) => {
+      if (e.target !== this.canvas) this.cancelGesture();
+    });
+    window.addEventListener("blur", () => this.cancelGesture());
+
     // Keyboard shortcuts
     document.addEventListener("keydown", (e) => this.onKeyDown(e));
   }
@@ -77,21 +127,191 @@ export class CircuitEditor {
     if (!this.crdt) return;
 
     this.crdt.on("gatesChanged", () => {
+      if (this.preview) return;
       this.gates = this.crdt.getAllGates();
+      this.applyPendingMove();
+      this.simulate();
       this.draw();
     });
 
     this.crdt.on("wiresChanged", () => {
+      if (this.preview) return;
       this.wires = this.crdt.getAllWires();
+      this.simulate();
       this.draw();
     });
+
+    // The clock may have moved on while disconnected; stored values are
+    // taken from collaborators once the document is in sync
+    this.crdt.on("connected", ({ clock }) => {
+      if (!clock) return;
+      this.simulator.setClock(clock.tick, clock.rate);
+      this.simulator.resetState(true);
+      if (this.simRunning) this.runSimulation();
+      this.draw();
+    });
+    this.crdt.on("synced", () => this.adoptSequentialState());
+
+    this.crdt.on("clock", (clock) => this.onClock(clock));
+
+    this.crdt.on("subcircuitsChanged", () => this.syncFromCRDT());
+
+    // Entering or leaving a subcircuit shows a different circuit
+    this.crdt.on("scopeChanged", () => {
+      this.selectedGate = null;
+      this.selectedGates = new Set();
+      this.selectedWire = null;
+      this.pan = { x: 0, y: 0 };
+      this.syncFromCRDT();
+      this.emitSelection();
+    });
+  }
+
+  // Session clock tick (or reset) from the server
+  onClock({ tick, rate, reset }) {
+    this.simulator.setClock(tick, rate);
+    if (reset) this.simulator.resetState();
+    if (this.simRunning) this.runSimulation();
+    this.draw();
+  }
+
+  // Whether the simulated circuit is the live main circuit, whose
+  // sequential values are shared with collaborators
+  sharesSequentialState() {
+    return !this.preview && !!this.crdt && !this.crdt.currentScope();
+  }
+
+  // Shared value for a flip-flop, register or counter seen for the first
+  // time. Values from before a clock reset (another epoch) or from a tick
+  // this client has not reached are not taken.
+  seedSequential(gateId) {
+    if (!this.sharesSequentialState()) return null;
+    const shared = this.crdt.getSequentialState(gateId);
+    if (
+      !shared ||
+      shared.epoch !== this.crdt.clock?.epoch ||
+      shared.tick > this.simulator.clock.tick
+    ) {
+      return null;
+    }
+    return { q: shared.q ?? undefined };
+  }
+
+  // Take over the shared values, e.g. after reconnecting
+  adoptSequentialState() {
+    if (!this.sharesSequentialState()) return;
+    this.simulator.state.forEach((_, gateId) => {
+      const shared = this.seedSequential(gateId);
+      if (shared) this.simulator.adoptState(gateId, shared.q);
+    });
+    if (this.simRunning) this.runSimulation();
+    this.draw();
+  }
+
+  // Share the stored values after the simulator has taken a clock edge;
+  // only the clock's keeper writes them (see CRDTManager.keepsClock())
+  publishSequentialState() {
+    if (!this.sharesSequentialState() || !this.simRunning) return;
+    if (this.simulator.edges === this.publishedEdges) return;
+    if (!this.crdt.keepsClock()) return;
+    this.publishedEdges = this.simulator.edges;
+    this.crdt.publishSequentialState(this.simulator.state);
   }
 
   // Sync state from CRDT
   syncFromCRDT() {
-    if (!this.crdt) return;
+    if (!this.crdt || this.preview) return;
     this.gates = this.crdt.getAllGates();
     this.wires = this.crdt.getAllWires();
+    this.simulate();
+    this.draw();
+  }
+
+  // Edits need an editor role and the live circuit on screen
+  canEdit() {
+    return !this.preview && !!this.crdt && this.crdt.canEdit();
+  }
+
+  // Show another version of the circuit (e.g. a history snapshot) without
+  // editing it; the live circuit keeps syncing underneath. With a diff,
+  // changes since `diffView.before` are highlighted.
+  showPreview(circuit, diffView = null) {
+    this.preview = circuit;
+    this.diffView = diffView;
+    this.emitDiffChange();
+    this.selectedGate = null;
+    this.selectedGates = new Set();
+    this.selectedWire = null;
+    this.gates = circuit.gates;
+    this.wires = circuit.wires;
+    this.simulate();
+    this.draw();
+    this.emitSelection();
+  }
+
+  exitPreview() {
+    if (!this.preview) return;
+    this.preview = null;
+    this.diffView = null;
+    this.emitDiffChange();
+    this.syncFromCRDT();
+  }
+
+  // Feed the current circuit, with subcircuit instances expanded, to the
+  // simulator and advance it if running
+  simulate() {
+    const { gates, wires } = flattenCircuit(
+      this.gates,
+      this.wires,
+      this.preview?.definitions ??
+        (this.crdt ? this.crdt.getSubcircuits() : new Map()),
+    );
+    this.simulator.load(gates, wires);
+    if (this.simRunning) {
+      this.runSimulation();
+    } else {
+      this.emitSimulationStatus();
+    }
+  }
+
+  runSimulation() {
+    this.stopOscillationTimer();
+    this.simResult = this.simulator.settle();
+    this.publishSequentialState();
+
+    // A circuit that never settles keeps ticking at a visible rate
+    if (this.simResult.oscillating) {
+      this.oscillationTimer = setInterval(() => {
+        this.simulator.step();
+        this.draw();
+      }, OSCILLATION_STEP_MS);
+    }
+    this.emitSimulationStatus();
+  }
+
+  stopOscillationTimer() {
+    if (this.oscillationTimer) {
+      clearInterval(this.oscillationTimer);
+      this.oscillationTimer = null;
+    }
+  }
+
+  setSimulationRunning(running) {
+    this.simRunning = running;
+    if (running) {
+      this.runSimulation();
+    } else {
+      this.stopOscillationTimer();
+      this.emitSimulationStatus();
+    }
+    this.draw();
+  }
+
+  // Advance the paused simulation by one event time
+  stepSimulation() {
+    if (this.simRunning) this.setSimulationRunning(false);
+    this.simulator.step();
+    this.emitSimulationStatus();
     this.draw();
   }
 
@@ -134,8 +354,10 @@ export class CircuitEditor {
       for (const [id, gate] of this.gates) {
         if (isPointInGate(gate, pos.x, pos.y)) {
           this.selectedGate = id;
+          this.selectedGates = new Set();
           this.selectedWire = null;
           this.isDragging = true;
+          this.crdt.beginUndoGroup();
           this.dragOffset = {
             x: pos.x - gate.x,
             y: pos.y - gate.y,
@@ -146,9 +368,11 @@ export class CircuitEditor {
         }
       }
 
-      // Deselect
+      // Deselect and start a rubber-band selection
       this.selectedGate = null;
+      this.selectedGates = new Set();
       this.selectedWire = null;
+      this.selectionBox = { x1: pos.x, y1: pos.y, x2: pos.x, y2: pos.y };
       this.draw();
       this.emitSelection();
     }
@@ -172,6 +396,7 @@ export class CircuitEditor {
       this.crdt.sendAwareness({
         cursor: { x: pos.x, y: pos.y },
         selection: this.selectedGate ? [this.selectedGate] : [],
+        scope: this.crdt.currentScope(),
       });
     }
 
@@ -182,15 +407,22 @@ export class CircuitEditor {
       return;
     }
 
+    if (this.selectionBox) {
+      this.selectionBox.x2 = pos.x;
+      this.selectionBox.y2 = pos.y;
+      this.draw();
+      return;
+    }
+
     // Dragging gate
     if (this.isDragging && this.selectedGate) {
       const gate = this.gates.get(this.selectedGate);
-      if (gate && this.crdt && this.crdt.canEdit()) {
+      if (gate && this.canEdit()) {
         const newPos = this.snapToGridPos({
           x: pos.x - this.dragOffset.x,
           y: pos.y - this.dragOffset.y,
         });
-        this.crdt.updateGate(this.selectedGate, { x: newPos.x, y: newPos.y });
+        this.moveGate(this.selectedGate, newPos.x, newPos.y);
       }
       return;
     }
@@ -230,14 +462,35 @@ export class CircuitEditor {
           pin.type === "input" &&
           pin.gateId !== this.wireStart.gateId
         ) {
+          // Both ends of a wire must carry the same bus width
+          const width = this.wireStart.pin.width;
+          if (pin.pin.width !== width) {
+            this.emitWireError(
+              `Width mismatch: cannot connect a ${width}-bit output to a ${pin.pin.width}-bit input`,
+            );
+            break;
+          }
+
+          // An input is driven by one wire at most
+          if (
+            this.wires.some(
+              (wire) =>
+                wire.to.gateId === pin.gateId && wire.to.pinId === pin.pin.id,
+            )
+          ) {
+            this.emitWireError("That input already has a wire");
+            break;
+          }
+
           // Create wire
           const wire = createWire(
             this.wireStart.gateId,
             this.wireStart.pin.id,
             pin.gateId,
             pin.pin.id,
+            width,
           );
-          if (this.crdt) {
+          if (this.canEdit()) {
             this.crdt.addWire(wire);
           }
           break;
@@ -245,20 +498,103 @@ export class CircuitEditor {
       }
     }
 
+    // Select every gate fully inside the rubber band
+    if (this.selectionBox) {
+      const box = this.selectionBox;
+      const left = Math.min(box.x1, box.x2);
+      const right = Math.max(box.x1, box.x2);
+      const top = Math.min(box.y1, box.y2);
+      const bottom = Math.max(box.y1, box.y2);
+      for (const [id, gate] of this.gates) {
+        if (
+          gate.x >= left &&
+          gate.x + gate.width <= right &&
+          gate.y >= top &&
+          gate.y + gate.height <= bottom
+        ) {
+          this.selectedGates.add(id);
+        }
+      }
+      this.selectionBox = null;
+      this.emitSelection();
+    }
+
     this.isDrawingWire = false;
     this.wireStart = null;
+    this.endDrag();
+    this.draw();
+  }
+
+  // Drop an unfinished wire or rubber band and end a drag where it is
+  cancelGesture() {
+    if (!this.isDrawingWire && !this.selectionBox && !this.isDragging) return;
+    this.isDrawingWire = false;
+    this.wireStart = null;
+    this.selectionBox = null;
+    this.endDrag();
+    this.draw();
+  }
+
+  // Send a dragged gate's last position and close the drag's undo step
+  endDrag() {
+    if (!this.isDragging) return;
     this.isDragging = false;
+    this.flushMove();
+    this.crdt.endUndoGroup();
+  }
+
+  // Move a gate locally right away; the CRDT gets the latest position at
+  // most every DRAG_SYNC_MS, so a drag does not flood the session
+  moveGate(gateId, x, y) {
+    const gate = this.gates.get(gateId);
+    if (!gate || (gate.x === x && gate.y === y)) return;
+
+    this.pendingMove = { gateId, x, y };
+    this.applyPendingMove();
     this.draw();
+    if (!this.dragTimer) {
+      this.dragTimer = setTimeout(() => this.flushMove(), DRAG_SYNC_MS);
+    }
+  }
+
+  // Keep an unsent drag position when gates are reloaded from the CRDT
+  applyPendingMove() {
+    if (!this.pendingMove) return;
+    const { gateId, x, y } = this.pendingMove;
+    const gate = this.gates.get(gateId);
+    if (gate) this.gates.set(gateId, { ...gate, x, y });
+  }
+
+  flushMove() {
+    clearTimeout(this.dragTimer);
+    this.dragTimer = null;
+    if (!this.pendingMove) return;
+
+    const { gateId, x, y } = this.pendingMove;
+    this.pendingMove = null;
+    this.crdt.updateGate(gateId, { x, y });
   }
 
   onDoubleClick(e) {
+    if (this.preview) return;
     const pos = this.getMousePos(e);
 
-    // Toggle input gate value
+    // Open a subcircuit instance's inner circuit
+    for (const gate of this.gates.values()) {
+      if (gate.type === "SUBCIRCUIT" && isPointInGate(gate, pos.x, pos.y)) {
+        this.crdt?.enterSubcircuit(gate.subcircuitId);
+        return;
+      }
+    }
+
+    // Toggle input gate value (bus inputs count up)
     for (const [id, gate] of this.gates) {
       if (gate.type === "INPUT" && isPointInGate(gate, pos.x, pos.y)) {
-        if (this.crdt && this.crdt.canEdit()) {
-          this.crdt.updateGate(id, { value: !gate.value });
+        if (this.canEdit()) {
+          const bits = gate.bits ?? 1;
+          const value =
+            bits > 1 ? ((gate.value ?? 0) + 1) % 2 ** bits : !gate.value;
+          this.crdt.updateGate(id, { value });
         }
         return;
       }
@@ -266,6 +602,14 @@ export class CircuitEditor {
   }
 
   onKeyDown(e) {
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) undo and redo your own edits
+    if ((e.ctrlKey || e.metaKey) && (e.key === "z" || e.key === "Z")) {
+      if (e.target.closest?.("input, textarea") || this.preview) return;
+      e.preventDefault();
+      if (e.shiftKey) this.crdt.redo();
+      else this.crdt.undo();
+      return;
+    }
     if (e.key === "Delete" || e.key === "Backspace") {
       if (this.selectedGate) {
         this.deleteGate(this.selectedGate);
@@ -279,18 +623,97 @@ export class CircuitEditor {
     }
   }
 
-  // Add gate from drag and drop
-  addGate(type, x, y) {
-    if (!this.crdt || !this.crdt.canEdit()) return null;
+  // Add gate from drag and drop (options as for createGate)
+  addGate(type, x, y, options = {}) {
+    if (!this.canEdit()) return null;
 
     const pos = this.snapToGridPos({ x, y });
-    const gate = createGate(type, pos.x, pos.y);
+    const gate = createGate(type, pos.x, pos.y, options);
     this.crdt.addGate(gate);
     return gate;
   }
 
+  // Build gates for parsed equations at the top-left of the view
+  insertEquations(equations) {
+    if (!this.canEdit()) return null;
+
+    const origin = this.snapToGridPos({
+      x: 40 - this.pan.x,
+      y: 40 - this.pan.y,
+    });
+    const { gates, wires } = synthesizeCircuit(equations, origin);
+    this.crdt.insertCircuit(gates, wires);
+    return { gates, wires };
+  }
+
+  // Change a gate's bus width, select width or fan-in
+  // ({ bits?, selectBits?, inputCount? }); wires on pins that disappear or
+  // no longer fit are removed in the same transaction
+  configureGate(gateId, params) {
+    if (!this.canEdit()) return;
+    const gate = this.gates.get(gateId);
+    if (!gate) return;
+
+    const gateType = GATE_TYPES[gate.type];
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+    const bits = clamp(params.bits ?? gate.bits ?? 1, 1, MAX_BUS_BITS);
+    const updates = { bits };
+    if (gate.selectBits !== undefined) {
+      updates.selectBits = clamp(
+        params.selectBits ?? gate.selectBits,
+        1,
+        MAX_SELECT_BITS,
+      );
+    }
+    if (gateType.maxInputs) {
+      updates.inputCount = clamp(
+        params.inputCount ?? gate.inputCount ?? gate.inputs.length,
+        2,
+        gateType.maxInputs,
+      );
+    }
+    Object.assign(updates, buildPins(gate.id, gate.type, updates));
+    if (gate.type === "INPUT") {
+      updates.value = bits > 1 ? Number(gate.value ?? 0) % 2 ** bits : false;
+    }
+    this.crdt.reconfigureGate(gateId, updates);
+  }
+
+  /**
+   * Turn the rubber-band selection into a named subcircuit. The selected
+   * gates move into the new definition and one instance takes their place.
+   * Returns the instance, or null if nothing is selected.
+   */
+  createSubcircuitFromSelection(name) {
+    if (!this.canEdit()) return null;
+    const selected = Array.from(this.selectedGates)
+      .map((id) => this.gates.get(id))
+      .filter(Boolean);
+    if (selected.length === 0) return null;
+
+    const left = Math.min(...selected.map((gate) => gate.x));
+    const top = Math.min(...selected.map((gate) => gate.y));
+    const id = "sub-" + Math.random().toString(36).substr(2, 9);
+    const instance = createGate("SUBCIRCUIT", left, top, { subcircuitId: id });
+
+    // Inner gates keep their layout, shifted to near the origin
+    const origin = {
+      x: left - 2 * this.gridSize,
+      y: top - 2 * this.gridSize,
+    };
+    this.crdt.createSubcircuit(
+      { id, name, origin },
+      selected.map((gate) => gate.id),
+      instance,
+    );
+    this.selectedGates = new Set();
+    this.selectedGate = instance.id;
+    this.emitSelection();
+    return instance;
+  }
+
   deleteGate(gateId) {
-    if (!this.crdt || !this.crdt.canEdit()) return;
+    if (!this.canEdit()) return;
     this.crdt.deleteGate(gateId);
     if (this.selectedGate === gateId) {
       this.selectedGate = null;
@@ -299,13 +722,13 @@ export class CircuitEditor {
   }
 
   deleteWire(wireId) {
-    if (!this.crdt || !this.crdt.canEdit()) return;
+    if (!this.canEdit()) return;
     this.crdt.deleteWire(wireId);
     this.draw();
   }
 
   clearAll() {
-    if (!this.crdt || !this.crdt.canEdit()) return;
+    if (!this.canEdit()) return;
     this.crdt.clearCircuit();
     this.selectedGate = null;
     this.draw();
@@ -338,25 +761,22 @@ export class CircuitEditor {
     // Draw grid
     this.drawGrid();
 
+    if (this.diffView) this.drawDiffUnderlay();
+
     // Draw wires
     for (const wire of this.wires) {
-      const fromGate = this.gates.get(wire.from.gateId);
-      const toGate = this.gates.get(wire.to.gateId);
-      if (fromGate && toGate) {
-        const fromPins = getPinPositions(fromGate);
-        const toPins = getPinPositions(toGate);
-        const fromPin = fromPins.outputs.find((p) => p.id === wire.from.pinId);
-        const toPin = toPins.inputs.find((p) => p.id === wire.to.pinId);
-        if (fromPin && toPin) {
-          drawWire(
-            ctx,
-            fromPin.x,
-            fromPin.y,
-            toPin.x,
-            toPin.y,
-            this.selectedWire === wire.id,
-          );
-        }
+      const ends = getWireEnds(wire, this.gates);
+      if (ends) {
+        drawWire(
+          ctx,
+          ends.from.x,
+          ends.from.y,
+          ends.to.x,
+          ends.to.y,
+          this.selectedWire === wire.id,
+          this.simulator.levels.get(wire.from.pinId),
+          wire.width ?? 1,
+        );
       }
     }
 
@@ -374,12 +794,97 @@ export class CircuitEditor {
 
     // Draw gates
     for (const [id, gate] of this.gates) {
-      drawGate(ctx, gate, this.selectedGate === id, this.hoveredGate === id);
+      drawGate(
+        ctx,
+        gate,
+        this.selectedGate === id || this.selectedGates.has(id),
+        this.hoveredGate === id,
+        this.simulator.levels,
+      );
+    }
+
+    if (this.diffView) this.drawDiffOutlines();
+
+    if (this.selectionBox) {
+      const { x1, y1, x2, y2 } = this.selectionBox;
+      ctx.save();
+      ctx.strokeStyle = "rgba(99,102,241,0.8)";
+      ctx.fillStyle = "rgba(99,102,241,0.1)";
+      ctx.setLineDash([4, 4]);
+      ctx.fillRect(x1, y1, x2 - x1, y2 - y1);
+      ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+      ctx.restore();
     }
 
     ctx.restore();
   }
 
+  // Under the shown version: faded removed gates and wires, where moved
+  // gates used to be, and halos on added and rewired wires
+  drawDiffUnderlay() {
+    const ctx = this.ctx;
+    const { before, diff } = this.diffView;
+    const halo = (wire, gates, color, dashed) => {
+      const ends = getWireEnds(wire, gates);
+      if (!ends) return;
+      const { from, to } = ends;
+      drawWireHighlight(ctx, from.x, from.y, to.x, to.y, color, dashed);
+    };
+
+    diff.wires.removed.forEach((wire) =>
+      halo(wire, before.gates, DIFF_COLORS.removed, true),
+    );
+    diff.wires.rewired.forEach(({ before: old }) =>
+      halo(old, before.gates, DIFF_COLORS.removed, true),
+    );
+    diff.wires.added.forEach((wire) =>
+      halo(wire, this.gates, DIFF_COLORS.added),
+    );
+    diff.wires.rewired.forEach(({ after }) =>
+      halo(after, this.gates, DIFF_COLORS.changed),
+    );
+
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    diff.gates.removed.forEach((gate) =>
+      drawGate(ctx, gate, false, false, new Map()),
+    );
+    ctx.restore();
+
+    ctx.save();
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = DIFF_COLORS.moved;
+    ctx.lineWidth = 2;
+    diff.gates.moved.forEach(({ before: old, after }) => {
+      ctx.strokeRect(old.x, old.y, old.width, old.height);
+      ctx.beginPath();
+      ctx.moveTo(old.x + old.width / 2, old.y + old.height / 2);
+      ctx.lineTo(after.x + after.width / 2, after.y + after.height / 2);
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  // Outlines around gates that were added, removed, moved or changed
+  drawDiffOutlines() {
+    const ctx = this.ctx;
+    const { diff } = this.diffView;
+    const outline = (gate, color) => {
+      ctx.strokeStyle = color;
+      ctx.strokeRect(gate.x - 6, gate.y - 6, gate.width + 12, gate.height + 12);
+    };
+
+    ctx.save();
+    ctx.lineWidth = 3;
+    diff.gates.added.forEach((gate) => outline(gate, DIFF_COLORS.added));
+    diff.gates.removed.forEach((gate) => outline(gate, DIFF_COLORS.removed));
+    diff.gates.changed.forEach(({ gate }) =>
+      outline(gate, DIFF_COLORS.changed),
+    );
+    diff.gates.moved.forEach(({ after }) => outline(after, DIFF_COLORS.moved));
+    ctx.restore();
+  }
+
   drawGrid() {
     const ctx = this.ctx;
     ctx.strokeStyle = "rgba(255, 255, 255, 0.03)";
@@ -403,11 +908,51 @@ export class CircuitEditor {
     }
   }
 
+  // Select a gate from outside the canvas (e.g. a diff entry)
+  selectGate(gateId) {
+    this.selectedGate = this.gates.has(gateId) ? gateId : null;
+    this.selectedGates = new Set();
+    this.selectedWire = null;
+    this.draw();
+  }
+
+  // A previewed version has no editable properties, so it reports no gate
   emitSelection() {
+    const gate =
+      this.selectedGate && !this.preview
+        ? this.gates.get(this.selectedGate)
+        : null;
     const event = new CustomEvent("selectionchange", {
       detail: {
         gateId: this.selectedGate,
-        gate: this.selectedGate ? this.gates.get(this.selectedGate) : null,
+        gate,
+        gateIds: Array.from(this.selectedGates),
+      },
+    });
+    this.canvas.dispatchEvent(event);
+  }
+
+  // The highlighted diff changed (detail: { before, after, diff } or null)
+  emitDiffChange() {
+    const detail = this.diffView
+      ? { ...this.diffView, after: this.preview }
+      : null;
+    this.canvas.dispatchEvent(new CustomEvent("diffchange", { detail }));
+  }
+
+  emitWireError(message) {
+    const event = new CustomEvent("wireerror", { detail: { message } });
+    this.canvas.dispatchEvent(event);
+  }
+
+  emitSimulationStatus() {
+    const event = new CustomEvent("simulationstatus", {
+      detail: {
+        running: this.simRunning,
+        time: this.simulator.time,
+        stable: this.simulator.isStable(),
+        oscillating: this.simRunning && this.simResult.oscillating,
+        period: this.simResult.period ?? null,
       },
     });
     this.canvas.dispatchEvent(event);
@@ -0,0 +1,350 @@
+// Circuit files and the circuit layout of a session document. Shared by the
+// client (export/import) and the server (GET/PUT /api/sessions/:id/circuit).
+import {
+  GATE_TYPES,
+  MAX_BUS_BITS,
+  MAX_CLOCK_HZ,
+  MAX_SELECT_BITS,
+  MIN_CLOCK_HZ,
+  buildPins,
+} from "./gates.js";
+import { resolveInstance } from "./subcircuit.js";
+
+export const CIRCUIT_FORMAT = "circuit-editor";
+export const CIRCUIT_FORMAT_VERSION = 1;
+
+// Problems listed in an import error message; the rest are counted
+const MAX_LISTED_PROBLEMS = 5;
+
+// Subcircuit definitions of a `subcircuits` Y.Map as plain data
+export function readDefinitions(subcircuits) {
+  const definitions = new Map();
+  subcircuits.forEach((definition, id) => {
+    const gates = new Map();
+    definition.get("gates").forEach((gate, key) => gates.set(key, gate));
+    definitions.set(id, {
+      id,
+      name: definition.get("name"),
+      gates,
+      wires: definition.get("wires").toArray(),
+    });
+  });
+  return definitions;
+}
+
+/**
+ * The circuit stored in a session document:
+ *   gates: Map<id, gate>        main circuit, SUBCIRCUIT instances unresolved
+ *   wires: wire[]
+ *   definitions: Map<id, { id, name, gates: Map, wires: [] }>
+ */
+export function readCircuit(doc) {
+  const gates = new Map();
+  doc.getMap("gates").forEach((gate, id) => gates.set(id, gate));
+  return {
+    gates,
+    wires: doc.getArray("wires").toArray(),
+    definitions: readDefinitions(doc.getMap("subcircuits")),
+  };
+}
+
+/**
+ * Replace the main circuit and all subcircuit definitions of `doc` with
+ * `circuit`. Call inside a transaction so clients receive one change.
+ */
+export function writeCircuit(Y, doc, circuit) {
+  const gates = doc.getMap("gates");
+  const wires = doc.getArray("wires");
+  const subcircuits = doc.getMap("subcircuits");
+
+  Array.from(gates.keys()).forEach((id) => gates.delete(id));
+  circuit.gates.forEach((gate, id) => gates.set(id, gate));
+  wires.delete(0, wires.length);
+  wires.push(circuit.wires);
+
+  Array.from(subcircuits.keys()).forEach((id) => subcircuits.delete(id));
+  circuit.definitions.forEach(({ id, name, gates: inner, wires: links }) => {
+    const definition = new Y.Map();
+    subcircuits.set(id, definition);
+    definition.set("name", name);
+    const innerGates = new Y.Map();
+    inner.forEach((gate, key) => innerGates.set(key, gate));
+    definition.set("gates", innerGates);
+    const innerWires = new Y.Array();
+    innerWires.push(links);
+    definition.set("wires", innerWires);
+  });
+}
+
+// Versioned JSON file contents for a circuit
+export function serializeCircuit(circuit, metadata = {}) {
+  return {
+    format: CIRCUIT_FORMAT,
+    version: CIRCUIT_FORMAT_VERSION,
+    metadata,
+    gates: Array.from(circuit.gates.values()),
+    wires: circuit.wires,
+    subcircuits: Array.from(circuit.definitions.values()).map(
+      ({ id, name, gates, wires }) => ({
+        id,
+        name,
+        gates: Array.from(gates.values()),
+        wires,
+      }),
+    ),
+  };
+}
+
+export const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const inRange = (value, min, max) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+// Check a gate's type and parameters; returns the gate with its pins
+// rebuilt from them, or null after adding to `problems`
+export function readGate(gate, where, problems) {
+  if (!isObject(gate) || typeof gate.id !== "string" || !gate.id) {
+    problems.push(`${where}: gate without an id`);
+    return null;
+  }
+  const at = `${where}: gate ${gate.id}`;
+  const gateType = GATE_TYPES[gate.type];
+  if (!gateType || gate.type === "PORT") {
+    problems.push(`${at} has unknown type ${JSON.stringify(gate.type)}`);
+    return null;
+  }
+  if (!Number.isFinite(gate.x) || !Number.isFinite(gate.y)) {
+    problems.push(`${at} has no position`);
+    return null;
+  }
+  if (gate.bits !== undefined && !inRange(gate.bits, 1, MAX_BUS_BITS)) {
+    problems.push(`${at} has invalid bits ${gate.bits}`);
+    return null;
+  }
+  if (
+    gate.selectBits !== undefined &&
+    !inRange(gate.selectBits, 1, MAX_SELECT_BITS)
+  ) {
+    problems.push(`${at} has invalid selectBits ${gate.selectBits}`);
+    return null;
+  }
+  if (
+    gate.inputCount !== undefined &&
+    !inRange(gate.inputCount, 2, gateType.maxInputs ?? gateType.inputs)
+  ) {
+    problems.push(`${at} has invalid inputCount ${gate.inputCount}`);
+    return null;
+  }
+  // Fields the editor displays must have their own type, never markup
+  const bits = gate.bits ?? 1;
+  const invalid = [
+    ["delay", (delay) => Number.isInteger(delay) && delay >= 0],
+    [
+      "frequency",
+      (hz) => Number.isFinite(hz) && hz >= MIN_CLOCK_HZ && hz <= MAX_CLOCK_HZ,
+    ],
+    [
+      "value",
+      (value) =>
+        value === null ||
+        typeof value === "boolean" ||
+        inRange(value, 0, 2 ** bits - 1),
+    ],
+    ["radix", (radix) => radix === "hex" || radix === "dec"],
+    ["label", (label) => typeof label === "string"],
+  ].find(([field, valid]) => gate[field] !== undefined && !valid(gate[field]));
+  if (invalid) {
+    const [field] = invalid;
+    problems.push(`${at} has invalid ${field} ${JSON.stringify(gate[field])}`);
+    return null;
+  }
+  if (gate.type === "SUBCIRCUIT") {
+    if (typeof gate.subcircuitId === "string") return gate;
+    problems.push(`${at} has no subcircuit`);
+    return null;
+  }
+  return {
+    ...gate,
+    width: gateType.width,
+    ...buildPins(gate.id, gate.type, gate),
+  };
+}
+
+// Check one circuit level (main or a definition); wires must join an
+// existing output pin to an existing input pin of the same width, and an
+// input pin takes at most one wire
+function readLevel(data, where, definitions, problems) {
+  const gates = new Map();
+  if (!Array.isArray(data.gates)) {
+    problems.push(`${where}: gates must be an array`);
+  } else {
+    data.gates.forEach((raw) => {
+      const gate = readGate(raw, where, problems);
+      if (!gate) return;
+      if (gates.has(gate.id)) {
+        problems.push(`${where}: duplicate gate id ${gate.id}`);
+      } else if (
+        gate.type === "SUBCIRCUIT" &&
+        !definitions.has(gate.subcircuitId)
+      ) {
+        problems.push(
+          `${where}: gate ${gate.id} uses missing subcircuit ${gate.subcircuitId}`,
+        );
+      } else {
+        gates.set(gate.id, gate);
+      }
+    });
+  }
+
+  const pins = (gateId, side) => {
+    const gate = gates.get(gateId);
+    if (!gate) return null;
+    const resolved =
+      gate.type === "SUBCIRCUIT" ? resolveInstance(gate, definitions) : gate;
+    return resolved[side];
+  };
+
+  const wires = [];
+  const wireIds = new Set();
+  const drivenPins = new Set();
+  if (!Array.isArray(data.wires)) {
+    problems.push(`${where}: wires must be an array`);
+  } else {
+    data.wires.forEach((wire) => {
+      if (!isObject(wire) || typeof wire.id !== "string") {
+        problems.push(`${where}: wire without an id`);
+        return;
+      }
+      const at = `${where}: wire ${wire.id}`;
+      if (wireIds.has(wire.id)) {
+        problems.push(`${where}: duplicate wire id ${wire.id}`);
+        return;
+      }
+      if (!isObject(wire.from) || !isObject(wire.to)) {
+        problems.push(`${at} has no endpoints`);
+        return;
+      }
+      const from = pins(wire.from.gateId, "outputs");
+      const to = pins(wire.to.gateId, "inputs");
+      if (!from || !to) {
+        problems.push(`${at} references a missing gate`);
+        return;
+      }
+      const fromPin = from.find((pin) => pin.id === wire.from.pinId);
+      const toPin = to.find((pin) => pin.id === wire.to.pinId);
+      if (!fromPin || !toPin) {
+        problems.push(`${at} references a missing pin`);
+        return;
+      }
+      const width = wire.width ?? 1;
+      if (fromPin.width !== width || toPin.width !== width) {
+        problems.push(`${at} does not match its pins' width`);
+        return;
+      }
+      const driven = `${wire.to.gateId}/${wire.to.pinId}`;
+      if (drivenPins.has(driven)) {
+        problems.push(`${at} drives input ${wire.to.pinId}, which has a wire`);
+        return;
+      }
+      drivenPins.add(driven);
+      wireIds.add(wire.id);
+      wires.push(wire);
+    });
+  }
+
+  return { gates, wires };
+}
+
+// Ids of the definitions instanced inside `definition`, at any depth
+function nestedDefinitions(definition, definitions) {
+  const found = new Set();
+  const visit = ({ gates }) =>
+    gates.forEach((gate) => {
+      if (gate.type !== "SUBCIRCUIT" || found.has(gate.subcircuitId)) return;
+      found.add(gate.subcircuitId);
+      visit(definitions.get(gate.subcircuitId));
+    });
+  visit(definition);
+  return found;
+}
+
+/**
+ * Validate circuit file contents and return the circuit, ready for
+ * writeCircuit(). Throws an Error listing the problems (unknown gate types,
+ * wires to missing gates or pins, subcircuits without a name or containing
+ * themselves, ...); `error.problems` has all of them.
+ */
+export function parseCircuit(data) {
+  if (!isObject(data) || data.format !== CIRCUIT_FORMAT) {
+    throw new Error("Not a circuit file");
+  }
+  if (!inRange(data.version, 1, CIRCUIT_FORMAT_VERSION)) {
+    throw new Error(`Unsupported circuit file version ${data.version}`);
+  }
+
+  const problems = [];
+  const subcircuits = data.subcircuits ?? [];
+  if (!Array.isArray(subcircuits)) {
+    throw new Error("subcircuits must be an array");
+  }
+
+  // Instance pins only depend on a definition's INPUT and OUTPUT gates, so
+  // those are read first and definitions may use each other in any order
+  const definitions = new Map();
+  const sources = new Map();
+  subcircuits.forEach((definition) => {
+    if (!isObject(definition) || typeof definition.id !== "string") {
+      problems.push("Subcircuit without an id");
+      return;
+    }
+    if (definitions.has(definition.id)) {
+      problems.push(`Duplicate subcircuit id ${definition.id}`);
+      return;
+    }
+    const named =
+      typeof definition.name === "string" && definition.name.trim() !== "";
+    if (!named) problems.push(`Subcircuit ${definition.id} has no name`);
+    const name = named ? definition.name : definition.id;
+    const io = new Map();
+    (Array.isArray(definition.gates) ? definition.gates : [])
+      .filter((gate) => gate?.type === "INPUT" || gate?.type === "OUTPUT")
+      .forEach((gate) => {
+        const checked = readGate(gate, `Subcircuit ${name}`, []);
+        if (checked) io.set(checked.id, checked);
+      });
+    definitions.set(definition.id, {
+      id: definition.id,
+      name,
+      gates: io,
+      wires: [],
+    });
+    sources.set(definition.id, definition);
+  });
+  sources.forEach((source, id) => {
+    const definition = definitions.get(id);
+    Object.assign(
+      definition,
+      readLevel(source, `Subcircuit ${definition.name}`, definitions, problems),
+    );
+  });
+
+  definitions.forEach((definition, id) => {
+    if (nestedDefinitions(definition, definitions).has(id)) {
+      problems.push(`Subcircuit ${definition.name} contains itself`);
+    }
+  });
+
+  const main = readLevel(data, "Circuit", definitions, problems);
+
+  if (problems.length > 0) {
+    const listed = problems.slice(0, MAX_LISTED_PROBLEMS).join("; ");
+    const more = problems.length - MAX_LISTED_PROBLEMS;
+    const error = new Error(
+      more > 0 ? `${listed}; and ${more} more problems` : listed,
+    );
+    error.problems = problems;
+    throw error;
+  }
+  return { ...main, definitions };
+}
@@ -1,4 +1,34 @@
 // CRDT integration using Yjs for real-time collaboration
+import { resolveCircuit, resolveInstance } from "./subcircuit.js";
+import { readCircuit, readDefinitions, writeCircuit } from "./circuitFormat.js";
+import {
+  SYNC_STEP_1,
+  SYNC_STEP_2,
+  UPDATE,
+  decodeSyncMessage,
+  encodeSyncMessage,
+} from "./syncProtocol.js";
+
+// Transaction origin of updates received from the server, so they are not
+// sent back
+const REMOTE_ORIGIN = "remote";
+
+// Transaction origin of this client's own edits; only these can be undone
+const LOCAL_ORIGIN = "local";
+
+// Transaction origin of shared flip-flop, register and counter values,
+// which are not edits and cannot be undone
+const SIMULATION_ORIGIN = "simulation";
+
+// Reconnect delays double from the base up to the cap; after a few failed
+// attempts the connection is reported as offline (retries continue)
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const ATTEMPTS_BEFORE_OFFLINE = 5;
+
+// Session tokens are renewed halfway to their expiry; a failed renewal is
+// retried after this long
+const TOKEN_RETRY_MS = 60000;
 
 // CRDT Document Manager
 export class CRDTManager {
@@ -7,12 +37,23 @@ export class CRDTManager {
     this.gates = null;
     this.wires = null;
     this.metadata = null;
+    this.subcircuits = null;
+    this.sequential = null; // gateId -> { q, tick, epoch } of sequential components
+    this.synced = false; // received the server's state since connecting
+    this.scope = []; // ids of the subcircuits being edited, outermost first
     this.ws = null;
     this.listeners = new Map();
     this.userId = null;
     this.sessionId = null;
     this.role = null;
+    this.clock = null; // { tick, running, rate, keeper, epoch } of the session
+    this.token = null; // signed session token, sent to join and to the API
+    this.tokenTimer = null;
     this.Y = null;
+    this.status = "offline"; // connected | reconnecting | offline
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.shouldReconnect = false;
   }
 
   // Initialize the CRDT document
@@ -27,87 +68,289 @@ export class CRDTManager {
       throw error;
     }
 
+    this.createDoc();
+    return this;
+  }
+
+  // Start over with an empty document and bind the shared types to it
+  createDoc() {
     this.doc = new this.Y.Doc();
+    this.scope = [];
     this.gates = this.doc.getMap("gates");
     this.wires = this.doc.getArray("wires");
     this.metadata = this.doc.getMap("metadata");
+    this.subcircuits = this.doc.getMap("subcircuits");
+    this.sequential = this.doc.getMap("sequential");
+    this.synced = false;
+
+    // Undo only ever reverts this client's edits. Every transaction is its
+    // own step unless grouped with beginUndoGroup()/endUndoGroup().
+    this.undoManager = new this.Y.UndoManager(
+      [this.gates, this.wires, this.subcircuits],
+      { trackedOrigins: new Set([LOCAL_ORIGIN]), captureTimeout: 0 },
+    );
+
+    // Send each local transaction's delta as it happens
+    this.doc.on("update", (update, origin) => {
+      if (origin !== REMOTE_ORIGIN) this.sendUpdate(update);
+    });
 
     this.setupObservers();
-    return this;
   }
 
-  // Apply state from server
-  applyState(stateArray) {
-    if (!stateArray || !this.doc) return;
-    const state = new Uint8Array(stateArray);
-    this.Y.applyUpdate(this.doc, state);
+  /**
+   * Replace the document with the server's copy, e.g. after the server
+   * rejected one of this client's updates. Local changes the server does
+   * not have are dropped.
+   */
+  resync() {
+    const inSubcircuit = this.scope.length > 0;
+    this.undoManager.destroy();
+    this.doc.destroy();
+    this.createDoc();
+    if (inSubcircuit) this.emit("scopeChanged", { scope: this.scope });
+    this.emit("subcircuitsChanged");
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(
+        encodeSyncMessage(SYNC_STEP_1, this.Y.encodeStateVector(this.doc)),
+      );
+    }
+  }
+
+  // Apply a state diff or incremental update from the server
+  applyUpdate(update) {
+    if (!update || !this.doc) return;
+    this.Y.applyUpdate(this.doc, update, REMOTE_ORIGIN);
   }
 
-  // Apply incremental update
-  applyUpdate(updateArray) {
-    if (!updateArray || !this.doc) return;
-    const update = new Uint8Array(updateArray);
-    this.Y.applyUpdate(this.doc, update);
+  /**
+   * Handle a binary sync message. The server opens with its state vector
+   * (step 1), which is answered with whatever it is missing (step 2), e.g.
+   * edits made while offline. Step 2 replies and updates are applied.
+   */
+  handleSyncMessage(data) {
+    const { type, payload } = decodeSyncMessage(new Uint8Array(data));
+    switch (type) {
+      case SYNC_STEP_1:
+        if (this.canEdit()) {
+          const diff = this.Y.encodeStateAsUpdate(this.doc, payload);
+          this.ws.send(encodeSyncMessage(SYNC_STEP_2, diff));
+        }
+        break;
+      case SYNC_STEP_2:
+        // The answer to our state vector: we now have the server's state
+        this.applyUpdate(payload);
+        this.synced = true;
+        this.emit("synced");
+        break;
+      case UPDATE:
+        this.applyUpdate(payload);
+        break;
+    }
   }
 
-  // Connect to WebSocket server
-  async connect(sessionId, userId, role) {
+  // Connect to WebSocket server with the { sessionId, userId, role, token,
+  // expiresAt } of a created or joined session. Resolves with the first
+  // init message; later drops are retried with backoff until disconnect().
+  async connect({ sessionId, userId, role, token, expiresAt }) {
     this.sessionId = sessionId;
     this.userId = userId;
     this.role = role;
+    this.setToken({ token, expiresAt });
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
 
+    return new Promise((resolve, reject) => {
+      this.openSocket(resolve, reject);
+    });
+  }
+
+  openSocket(resolve, reject) {
     const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
     const host = window.location.hostname || "localhost";
     const port = 3001;
 
-    return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(`${protocol}//${host}:${port}`);
-
-      this.ws.onopen = () => {
-        console.log("🔌 WebSocket connected");
-        this.ws.send(
-          JSON.stringify({
-            type: "join",
-            sessionId,
-            userId,
-          }),
-        );
-      };
-
-      this.ws.onmessage = (event) => {
-        try {
-          const message = JSON.parse(event.data);
-          this.handleMessage(message);
-          if (message.type === "init") {
-            resolve(message);
-          }
-        } catch (e) {
-          console.error("Failed to parse message:", e);
+    const ws = new WebSocket(`${protocol}//${host}:${port}`);
+    ws.binaryType = "arraybuffer";
+    this.ws = ws;
+    let joined = false;
+
+    ws.onopen = () => {
+      console.log("🔌 WebSocket connected");
+      this.synced = false;
+      ws.send(
+        JSON.stringify({
+          type: "join",
+          token: this.token,
+        }),
+      );
+    };
+
+    ws.onmessage = (event) => {
+      // Binary frames carry sync messages; everything else is JSON
+      if (event.data instanceof ArrayBuffer) {
+        this.handleSyncMessage(event.data);
+        return;
+      }
+      try {
+        const message = JSON.parse(event.data);
+        if (message.type === "init") {
+          joined = true;
+          this.shouldReconnect = true;
+          this.reconnectAttempts = 0;
+          this.setStatus("connected");
+        } else if (message.type === "error" && !joined) {
+          // The server refused the join (e.g. the session is gone)
+          this.shouldReconnect = false;
         }
-      };
+        this.handleMessage(message);
+        if (message.type === "init") resolve?.(message);
+      } catch (e) {
+        console.error("Failed to parse message:", e);
+      }
+    };
 
-      this.ws.onerror = (error) => {
-        console.error("WebSocket error:", error);
-        reject(error);
-      };
+    ws.onerror = (error) => {
+      console.error("WebSocket error:", error);
+      if (!joined) reject?.(error);
+    };
 
-      this.ws.onclose = () => {
+    ws.onclose = () => {
+      if (this.ws !== ws) return;
+      if (joined) {
         console.log("🔌 WebSocket disconnected");
         this.emit("disconnected");
-      };
-    });
+      }
+      if (this.shouldReconnect) {
+        this.scheduleReconnect();
+      } else {
+        this.setStatus("offline");
+      }
+    };
+  }
+
+  // Retry with exponential backoff and jitter. Local edits keep going into
+  // the document and are merged by the sync handshake once rejoined.
+  scheduleReconnect() {
+    this.reconnectAttempts++;
+    const offline =
+      !navigator.onLine || this.reconnectAttempts > ATTEMPTS_BEFORE_OFFLINE;
+    this.setStatus(offline ? "offline" : "reconnecting");
+
+    const delay = Math.min(
+      RECONNECT_BASE_MS * 2 ** (this.reconnectAttempts - 1),
+      RECONNECT_MAX_MS,
+    );
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(
+      () => this.openSocket(),
+      delay * (0.5 + Math.random() / 2),
+    );
+  }
+
+  // Retry right away, e.g. when the browser reports the network is back
+  reconnectNow() {
+    if (!this.shouldReconnect || this.status === "connected") return;
+    this.reconnectAttempts = 0;
+    clearTimeout(this.reconnectTimer);
+    this.setStatus("reconnecting");
+    const pending = this.ws;
+    this.ws = null;
+    pending?.close();
+    this.openSocket();
+  }
+
+  // Use a new session token, on open connections too, and schedule its
+  // renewal
+  setToken({ token, expiresAt }) {
+    this.token = token;
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: "token", token }));
+    }
+    clearTimeout(this.tokenTimer);
+    this.tokenTimer = setTimeout(
+      () => this.refreshToken(),
+      Math.max(0, (expiresAt - Date.now()) / 2),
+    );
+  }
+
+  async refreshToken() {
+    try {
+      const response = await fetch(`/api/sessions/${this.sessionId}/token`, {
+        method: "POST",
+        headers: this.authHeaders(),
+      });
+      const data = await response.json();
+      if (!this.shouldReconnect) return;
+      if (data.error) throw new Error(data.error);
+      this.setToken(data);
+    } catch (error) {
+      console.error("Failed to renew session token:", error);
+      // Stop once we have left the session or been told to
+      if (!this.shouldReconnect) return;
+      this.tokenTimer = setTimeout(() => this.refreshToken(), TOKEN_RETRY_MS);
+    }
+  }
+
+  // Headers for the session's REST endpoints
+  authHeaders() {
+    return { Authorization: `Bearer ${this.token}` };
+  }
+
+  setStatus(status) {
+    if (status === this.status) return;
+    this.status = status;
+    this.emit("status", status);
   }
 
   // Handle incoming messages
   handleMessage(message) {
     switch (message.type) {
       case "init":
-        if (message.state) this.applyState(message.state);
         this.role = message.role;
-        this.emit("connected", { users: message.users, role: message.role });
+        this.clock = message.clock;
+        // Ask for only what this document is missing
+        this.ws.send(
+          encodeSyncMessage(SYNC_STEP_1, this.Y.encodeStateVector(this.doc)),
+        );
+        this.emit("connected", {
+          users: message.users,
+          role: message.role,
+          locked: message.locked,
+          invites: message.invites,
+          clock: message.clock,
+        });
+        break;
+      case "token":
+        // Reissued by the server, e.g. after a role change
+        this.setToken(message);
+        break;
+      case "session-updated": {
+        // The owner changed a role, removed someone or changed a setting
+        const self = message.users.find((user) => user.id === this.userId);
+        if (self) this.role = self.role;
+        this.emit("sessionUpdated", {
+          change: message.change,
+          users: message.users,
+          locked: message.locked,
+          invites: message.invites,
+          role: this.role,
+        });
+        break;
+      }
+      case "kicked":
+        this.shouldReconnect = false;
+        this.emit("kicked", message.message);
         break;
-      case "sync":
-        this.applyUpdate(message.update);
+      case "clock":
+        this.clock = {
+          tick: message.tick,
+          running: message.running,
+          rate: message.rate,
+          keeper: message.keeper,
+          epoch: message.epoch,
+        };
+        this.emit("clock", { ...this.clock, reset: !!message.reset });
         break;
       case "awareness":
         this.emit("awareness", {
@@ -124,8 +367,26 @@ export class CRDTManager {
       case "user-joined":
         this.emit("usersUpdated", message.users);
         break;
+      case "snapshots":
+        this.emit("snapshots", message.snapshots);
+        break;
       case "error":
         console.error("Server error:", message.message);
+        // The server's document no longer matches ours
+        if (message.code === "invalid-update") this.resync();
+        // Our token expired (e.g. after a long time offline) or was signed
+        // with another secret: joining again with an invite gives a new one
+        if (message.code === "invalid-token") {
+          this.shouldReconnect = false;
+          this.emit("rejoinRequired", message.message);
+          break;
+        }
+        // We are no longer a member, e.g. after being away too long
+        if (message.code === "not-member") {
+          this.shouldReconnect = false;
+          this.emit("kicked", message.message);
+          break;
+        }
         this.emit("error", message.message);
         break;
     }
@@ -133,7 +394,7 @@ export class CRDTManager {
 
   // Set up CRDT observers
   setupObservers() {
-    this.gates.observe((event) => {
+    this.onGatesChange = (event) => {
       this.emit("gatesChanged", {
         added: Array.from(event.changes.keys.entries())
           .filter(([_, change]) => change.action === "add")
@@ -145,25 +406,69 @@ export class CRDTManager {
           .filter(([_, change]) => change.action === "update")
           .map(([key]) => this.gates.get(key)),
       });
-    });
-
-    this.wires.observe(() => {
+    };
+    this.onWiresChange = () => {
       this.emit("wiresChanged", { wires: this.getAllWires() });
+    };
+    this.gates.observe(this.onGatesChange);
+    this.wires.observe(this.onWiresChange);
+
+    // Instances anywhere may change shape when a definition is edited
+    this.subcircuits.observeDeep(() => {
+      // Leave a subcircuit whose definition was removed or replaced
+      // (e.g. by an undo or a restored snapshot)
+      const id = this.currentScope();
+      if (id && this.subcircuits.get(id)?.get("gates") !== this.gates) {
+        this.setScope([]);
+      }
+      this.emit("subcircuitsChanged");
     });
   }
 
-  // Send CRDT update to server
-  sendUpdate() {
+  // Id of the subcircuit being edited, or null for the main circuit
+  currentScope() {
+    return this.scope.length > 0 ? this.scope[this.scope.length - 1] : null;
+  }
+
+  // Point gate and wire operations at a subcircuit definition's inner
+  // circuit; an empty scope is the main circuit
+  setScope(scope) {
+    const id = scope.length > 0 ? scope[scope.length - 1] : null;
+    const definition = id ? this.subcircuits.get(id) : null;
+    if (id && !definition) return false;
+
+    this.gates.unobserve(this.onGatesChange);
+    this.wires.unobserve(this.onWiresChange);
+    this.scope = scope;
+    this.gates = definition
+      ? definition.get("gates")
+      : this.doc.getMap("gates");
+    this.wires = definition
+      ? definition.get("wires")
+      : this.doc.getArray("wires");
+    this.gates.observe(this.onGatesChange);
+    this.wires.observe(this.onWiresChange);
+
+    this.emit("scopeChanged", { scope: this.scope });
+    return true;
+  }
+
+  enterSubcircuit(id) {
+    return this.setScope([...this.scope, id]);
+  }
+
+  // Leave to the given depth (0 = main circuit)
+  exitSubcircuit(depth = this.scope.length - 1) {
+    return this.setScope(this.scope.slice(0, Math.max(0, depth)));
+  }
+
+  // Send a local document update to the server as a binary frame.
+  // While disconnected the update stays in the document and reaches the
+  // server through the sync handshake on the next connect.
+  sendUpdate(update) {
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
     if (this.role === "viewer") return;
-
-    const update = this.Y.encodeStateAsUpdate(this.doc);
-    this.ws.send(
-      JSON.stringify({
-        type: "sync",
-        update: Array.from(update),
-      }),
-    );
+    this.ws.send(encodeSyncMessage(UPDATE, update));
   }
 
   // Send awareness update
@@ -172,13 +477,80 @@ export class CRDTManager {
     this.ws.send(JSON.stringify({ type: "awareness", state }));
   }
 
+  // Ask the server to start, stop, tick or reset the session clock
+  sendClockControl(action) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    if (!this.canEdit()) return;
+    this.ws.send(JSON.stringify({ type: "clock-control", action }));
+  }
+
+  // Shared stored value { q, tick, epoch } of a sequential component of
+  // the main circuit (unknown values are null), or null
+  getSequentialState(gateId) {
+    return this.sequential.get(gateId) ?? null;
+  }
+
+  // Whether this client is the one that shares sequential values: the
+  // editor who last controlled the session clock, or one picked by the
+  // server when nobody connected has
+  keepsClock() {
+    return !!this.clock && this.clock.keeper === this.userId;
+  }
+
+  // Share the simulator's sequential values (gateId -> { q }) as of the
+  // session clock's tick, writing only what differs. Values from an earlier
+  // epoch (before a reset) are replaced; ones from a later tick are kept.
+  publishSequentialState(state) {
+    if (!this.synced || !this.canEdit() || !this.keepsClock()) return;
+    const { tick, epoch } = this.clock;
+    this.doc.transact(() => {
+      state.forEach(({ q }, gateId) => {
+        const shared = this.sequential.get(gateId);
+        const value = q ?? null;
+        const stale = !shared || shared.epoch !== epoch;
+        if (stale || (shared.tick <= tick && shared.q !== value)) {
+          this.sequential.set(gateId, { q: value, tick, epoch });
+        }
+      });
+      Array.from(this.sequential.keys())
+        .filter((gateId) => !state.has(gateId))
+        .forEach((gateId) => this.sequential.delete(gateId));
+    }, SIMULATION_ORIGIN);
+  }
+
+  // Run local edits as one transaction tagged as this client's
+  transact(fn) {
+    this.doc.transact(fn, LOCAL_ORIGIN);
+  }
+
+  undo() {
+    if (!this.canEdit()) return false;
+    return this.undoManager.undo() !== null;
+  }
+
+  redo() {
+    if (!this.canEdit()) return false;
+    return this.undoManager.redo() !== null;
+  }
+
+  // Merge the transactions until endUndoGroup() into one undo step,
+  // e.g. the position updates of a gate drag
+  beginUndoGroup() {
+    this.undoManager.stopCapturing();
+    this.undoManager.captureTimeout = Infinity;
+  }
+
+  endUndoGroup() {
+    this.undoManager.captureTimeout = 0;
+    this.undoManager.stopCapturing();
+  }
+
   // Gate operations
   addGate(gate) {
     if (this.role === "viewer") return false;
-    this.doc.transact(() => {
+    this.transact(() => {
       this.gates.set(gate.id, gate);
     });
-    this.sendUpdate();
     return true;
   }
 
@@ -186,16 +558,42 @@ export class CRDTManager {
     if (this.role === "viewer") return false;
     const gate = this.gates.get(gateId);
     if (!gate) return false;
-    this.doc.transact(() => {
+    this.transact(() => {
       this.gates.set(gateId, { ...gate, ...updates });
     });
-    this.sendUpdate();
+    return true;
+  }
+
+  // Replace a gate's pins; wires on pins that disappeared or changed
+  // width are removed in the same transaction
+  reconfigureGate(gateId, updates) {
+    if (this.role === "viewer") return false;
+    const gate = this.gates.get(gateId);
+    if (!gate) return false;
+
+    const next = { ...gate, ...updates };
+    const widths = new Map();
+    [...next.inputs, ...next.outputs].forEach((pin) =>
+      widths.set(pin.id, pin.width ?? 1),
+    );
+
+    this.transact(() => {
+      this.gates.set(gateId, next);
+      const wiresToDelete = [];
+      this.wires.forEach((wire, index) => {
+        const end = [wire.from, wire.to].find((e) => e.gateId === gateId);
+        if (end && widths.get(end.pinId) !== (wire.width ?? 1)) {
+          wiresToDelete.unshift(index);
+        }
+      });
+      wiresToDelete.forEach((index) => this.wires.delete(index, 1));
+    });
     return true;
   }
 
   deleteGate(gateId) {
     if (this.role === "viewer") return false;
-    this.doc.transact(() => {
+    this.transact(() => {
       this.gates.delete(gateId);
       // Delete associated wires
       const wiresToDelete = [];
@@ -206,27 +604,32 @@ export class CRDTManager {
       });
       wiresToDelete.forEach((index) => this.wires.delete(index, 1));
     });
-    this.sendUpdate();
     return true;
   }
 
-  getGate(gateId) {
-    return this.gates.get(gateId);
+  // Gates are returned with SUBCIRCUIT instances resolved against their
+  // definitions (pins, height and name)
+  getGate(gateId, definitions = this.getSubcircuits()) {
+    const gate = this.gates.get(gateId);
+    if (gate?.type !== "SUBCIRCUIT") return gate;
+    return resolveInstance(gate, definitions);
   }
 
   getAllGates() {
+    const definitions = this.getSubcircuits();
     const gates = new Map();
-    this.gates.forEach((value, key) => gates.set(key, value));
+    this.gates.forEach((_, key) =>
+      gates.set(key, this.getGate(key, definitions)),
+    );
     return gates;
   }
 
   // Wire operations
   addWire(wire) {
     if (this.role === "viewer") return false;
-    this.doc.transact(() => {
+    this.transact(() => {
       this.wires.push([wire]);
     });
-    this.sendUpdate();
     return true;
   }
 
@@ -237,10 +640,19 @@ export class CRDTManager {
       if (wire.id === wireId) wireIndex = index;
     });
     if (wireIndex === -1) return false;
-    this.doc.transact(() => {
+    this.transact(() => {
       this.wires.delete(wireIndex, 1);
     });
-    this.sendUpdate();
+    return true;
+  }
+
+  // Add a batch of gates and wires as one atomic change
+  insertCircuit(gates, wires) {
+    if (this.role === "viewer") return false;
+    this.transact(() => {
+      gates.forEach((gate) => this.gates.set(gate.id, gate));
+      wires.forEach((wire) => this.wires.push([wire]));
+    });
     return true;
   }
 
@@ -248,15 +660,108 @@ export class CRDTManager {
     return this.wires.toArray();
   }
 
+  // Subcircuit definitions as plain { id, name, gates: Map, wires: [] }
+  getSubcircuits() {
+    return readDefinitions(this.subcircuits);
+  }
+
+  // An empty subcircuit definition, added to the document
+  createDefinition(id, name) {
+    const definition = new this.Y.Map();
+    this.subcircuits.set(id, definition);
+    definition.set("name", name);
+    definition.set("gates", new this.Y.Map());
+    definition.set("wires", new this.Y.Array());
+    return definition;
+  }
+
+  // Full state of the document, e.g. for readState()
+  encodeState() {
+    return this.Y.encodeStateAsUpdate(this.doc);
+  }
+
+  // The main circuit and all definitions, whichever scope is being edited
+  // (see readCircuit() in circuitFormat.js)
+  getCircuit() {
+    return readCircuit(this.doc);
+  }
+
+  /**
+   * The circuit stored in a full document state (e.g. a history snapshot)
+   * with instances resolved for display. The live document is not touched.
+   */
+  readState(state) {
+    const doc = new this.Y.Doc();
+    this.Y.applyUpdate(doc, state);
+    return resolveCircuit(readCircuit(doc));
+  }
+
+  /**
+   * Replace the circuit and its subcircuits with `circuit` (as returned by
+   * getCircuit() or parseCircuit()), as one new undoable change that
+   * reaches every client like any other edit.
+   */
+  importCircuit(circuit) {
+    if (this.role === "viewer") return false;
+    this.setScope([]);
+    this.transact(() => writeCircuit(this.Y, this.doc, circuit));
+    return true;
+  }
+
+  // Restore the circuit stored in a full document state
+  restoreState(state) {
+    const doc = new this.Y.Doc();
+    this.Y.applyUpdate(doc, state);
+    return this.importCircuit(readCircuit(doc));
+  }
+
+  /**
+   * Move the given gates, and the wires between them, into a new subcircuit
+   * definition and put `instance` in their place, as one transaction.
+   * Inner positions are taken relative to `origin`; wires crossing the
+   * selection boundary are removed.
+   */
+  createSubcircuit({ id, name, origin }, gateIds, instance) {
+    if (this.role === "viewer") return false;
+    const inside = new Set(gateIds);
+
+    this.transact(() => {
+      const definition = this.createDefinition(id, name);
+      const gates = definition.get("gates");
+      const wires = definition.get("wires");
+
+      inside.forEach((gateId) => {
+        const gate = this.gates.get(gateId);
+        gates.set(gateId, {
+          ...gate,
+          x: gate.x - origin.x,
+          y: gate.y - origin.y,
+        });
+        this.gates.delete(gateId);
+      });
+
+      const wiresToDelete = [];
+      this.wires.forEach((wire, index) => {
+        const from = inside.has(wire.from.gateId);
+        const to = inside.has(wire.to.gateId);
+        if (from && to) wires.push([wire]);
+        if (from || to) wiresToDelete.unshift(index);
+      });
+      wiresToDelete.forEach((index) => this.wires.delete(index, 1));
+
+      this.gates.set(instance.id, instance);
+    });
+    return true;
+  }
+
   clearCircuit() {
     if (this.role === "viewer") return false;
-    this.doc.transact(() => {
+    this.transact(() => {
       const gateIds = [];
       this.gates.forEach((_, key) => gateIds.push(key));
       gateIds.forEach((id) => this.gates.delete(id));
       while (this.wires.length > 0) this.wires.delete(0, 1);
     });
-    this.sendUpdate();
     return true;
   }
 
@@ -285,10 +790,15 @@ export class CRDTManager {
   }
 
   disconnect() {
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.tokenTimer);
     if (this.ws) {
-      this.ws.close();
+      const ws = this.ws;
       this.ws = null;
+      ws.close();
     }
+    this.setStatus("offline");
   }
 
   canEdit() {
@@ -0,0 +1,151 @@
+// Differences between two versions of a circuit, matched by gate and wire id
+import { GATE_TYPES } from "./gates.js";
+
+// Gate fields derived from others or compared separately (position)
+const IGNORED_FIELDS = new Set([
+  "id",
+  "x",
+  "y",
+  "width",
+  "height",
+  "inputs",
+  "outputs",
+  "ports",
+  "name",
+]);
+
+function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return Array.from(keys).filter(
+    (key) =>
+      !IGNORED_FIELDS.has(key) &&
+      JSON.stringify(before[key]) !== JSON.stringify(after[key]),
+  );
+}
+
+function sameEnds(a, b) {
+  return (
+    a.from.gateId === b.from.gateId &&
+    a.from.pinId === b.from.pinId &&
+    a.to.gateId === b.to.gateId &&
+    a.to.pinId === b.to.pinId
+  );
+}
+
+/**
+ * Compare two circuits given as { gates: Map, wires: [] } (e.g. from
+ * CRDTManager.readState() or getAllGates()/getAllWires()).
+ *
+ * Returns
+ *   gates: { added: [gate], removed: [gate],
+ *            moved: [{ id, before, after }],
+ *            changed: [{ id, gate, fields }] }   other properties, e.g. bits
+ *   wires: { added: [wire], removed: [wire],
+ *            rewired: [{ id, before, after }] }  endpoints changed
+ */
+export function diffCircuits(before, after) {
+  const gates = { added: [], removed: [], moved: [], changed: [] };
+  after.gates.forEach((gate, id) => {
+    const old = before.gates.get(id);
+    if (!old) {
+      gates.added.push(gate);
+      return;
+    }
+    if (old.x !== gate.x || old.y !== gate.y) {
+      gates.moved.push({ id, before: old, after: gate });
+    }
+    const fields = changedFields(old, gate);
+    if (fields.length > 0) gates.changed.push({ id, gate, fields });
+  });
+  before.gates.forEach((gate, id) => {
+    if (!after.gates.has(id)) gates.removed.push(gate);
+  });
+
+  const wires = { added: [], removed: [], rewired: [] };
+  const beforeWires = new Map(before.wires.map((wire) => [wire.id, wire]));
+  const afterIds = new Set(after.wires.map((wire) => wire.id));
+  after.wires.forEach((wire) => {
+    const old = beforeWires.get(wire.id);
+    if (!old) wires.added.push(wire);
+    else if (!sameEnds(old, wire)) {
+      wires.rewired.push({ id: wire.id, before: old, after: wire });
+    }
+  });
+  before.wires.forEach((wire) => {
+    if (!afterIds.has(wire.id)) wires.removed.push(wire);
+  });
+
+  return { gates, wires };
+}
+
+export function isEmptyDiff({ gates, wires }) {
+  return [...Object.values(gates), ...Object.values(wires)].every(
+    (list) => list.length === 0,
+  );
+}
+
+function gateName(gate) {
+  return gate?.name ?? GATE_TYPES[gate?.type]?.name ?? gate?.type ?? "?";
+}
+
+/**
+ * One line per change for listing, with the gate to highlight:
+ * [{ kind: "added" | "removed" | "moved" | "changed" | "rewired", text,
+ *    gateId }]. Wire endpoints are named after the gates of the version
+ * they belong to.
+ */
+export function describeDiff(diff, before, after) {
+  // Gate name, with the pin number when the gate has several on that side
+  const endText = ({ gateId, pinId }, circuit, side) => {
+    const gate = circuit.gates.get(gateId);
+    const pins = gate?.[side] ?? [];
+    const index = pins.findIndex((pin) => pin.id === pinId);
+    return pins.length > 1 && index >= 0
+      ? `${gateName(gate)}:${index + 1}`
+      : gateName(gate);
+  };
+  const wireText = (wire, circuit) =>
+    `${endText(wire.from, circuit, "outputs")} → ${endText(
+      wire.to,
+      circuit,
+      "inputs",
+    )}`;
+
+  return [
+    ...diff.gates.added.map((gate) => ({
+      kind: "added",
+      text: `Added ${gateName(gate)}`,
+      gateId: gate.id,
+    })),
+    ...diff.gates.removed.map((gate) => ({
+      kind: "removed",
+      text: `Removed ${gateName(gate)}`,
+      gateId: gate.id,
+    })),
+    ...diff.gates.moved.map(({ id, after: gate }) => ({
+      kind: "moved",
+      text: `Moved ${gateName(gate)}`,
+      gateId: id,
+    })),
+    ...diff.gates.changed.map(({ id, gate, fields }) => ({
+      kind: "changed",
+      text: `Changed ${gateName(gate)} (${fields.join(", ")})`,
+      gateId: id,
+    })),
+    ...diff.wires.added.map((wire) => ({
+      kind: "added",
+      text: `Added wire ${wireText(wire, after)}`,
+      gateId: wire.to.gateId,
+    })),
+    ...diff.wires.removed.map((wire) => ({
+      kind: "removed",
+      text: `Removed wire ${wireText(wire, before)}`,
+      gateId: wire.to.gateId,
+    })),
+    ...diff.wires.rewired.map(({ before: old, after: wire }) => ({
+      kind: "rewired",
+      text: `Rewired ${wireText(old, before)} to ${wireText(wire, after)}`,
+      gateId: wire.to.gateId,
+    })),
+  ];
+}
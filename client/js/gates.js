@@ -1,9 +1,12 @@
-// Gate definitions
+// Gate definitions. `inputs` is the default fan-in; types with `maxInputs`
+// let each gate choose its own `inputCount` up to that limit.
 export const GATE_TYPES = {
   AND: {
     name: "AND",
     inputs: 2,
+    maxInputs: 8,
     outputs: 1,
+    delay: 1,
     width: 80,
     height: 50,
     color: "#6366f1",
@@ -11,7 +14,9 @@ export const GATE_TYPES = {
   OR: {
     name: "OR",
     inputs: 2,
+    maxInputs: 8,
     outputs: 1,
+    delay: 1,
     width: 80,
     height: 50,
     color: "#22d3ee",
@@ -20,6 +25,7 @@ export const GATE_TYPES = {
     name: "NOT",
     inputs: 1,
     outputs: 1,
+    delay: 1,
     width: 70,
     height: 40,
     color: "#f59e0b",
@@ -27,7 +33,9 @@ export const GATE_TYPES = {
   XOR: {
     name: "XOR",
     inputs: 2,
+    maxInputs: 8,
     outputs: 1,
+    delay: 1,
     width: 80,
     height: 50,
     color: "#10b981",
@@ -35,7 +43,9 @@ export const GATE_TYPES = {
   NAND: {
     name: "NAND",
     inputs: 2,
+    maxInputs: 8,
     outputs: 1,
+    delay: 1,
     width: 80,
     height: 50,
     color: "#8b5cf6",
@@ -43,7 +53,9 @@ export const GATE_TYPES = {
   NOR: {
     name: "NOR",
     inputs: 2,
+    maxInputs: 8,
     outputs: 1,
+    delay: 1,
     width: 80,
     height: 50,
     color: "#ec4899",
@@ -64,60 +76,461 @@ export const GATE_TYPES = {
     height: 40,
     color: "#ef4444",
   },
+  // Splits an N-bit bus into N single-bit outputs (bit 0 on top)
+  SPLITTER: {
+    name: "SPLITTER",
+    inputs: 1,
+    outputs: 1,
+    defaultBits: 4,
+    width: 30,
+    height: 50,
+    color: "#3b82f6",
+  },
+  // Merges N single-bit inputs (bit 0 on top) into an N-bit bus
+  MERGER: {
+    name: "MERGER",
+    inputs: 1,
+    outputs: 1,
+    defaultBits: 4,
+    width: 30,
+    height: 50,
+    color: "#3b82f6",
+  },
+
+  // Sequential components. `pins` names each pin; `bus` pins carry the
+  // component's full width and `pullUp` pins read high when unconnected.
+  CLOCK: {
+    name: "CLOCK",
+    inputs: 0,
+    outputs: 1,
+    fixedWidth: true,
+    width: 50,
+    height: 40,
+    color: "#f97316",
+  },
+  DFF: {
+    name: "D FF",
+    inputs: 2,
+    outputs: 2,
+    fixedWidth: true,
+    delay: 1,
+    pins: {
+      inputs: [{ name: "D" }, { name: "CLK", clock: true }],
+      outputs: [{ name: "Q" }, { name: "Q'" }],
+    },
+    width: 70,
+    height: 60,
+    color: "#14b8a6",
+  },
+  JKFF: {
+    name: "JK FF",
+    inputs: 3,
+    outputs: 2,
+    fixedWidth: true,
+    delay: 1,
+    pins: {
+      inputs: [{ name: "J" }, { name: "CLK", clock: true }, { name: "K" }],
+      outputs: [{ name: "Q" }, { name: "Q'" }],
+    },
+    width: 70,
+    height: 60,
+    color: "#14b8a6",
+  },
+  TFF: {
+    name: "T FF",
+    inputs: 2,
+    outputs: 2,
+    fixedWidth: true,
+    delay: 1,
+    pins: {
+      inputs: [{ name: "T" }, { name: "CLK", clock: true }],
+      outputs: [{ name: "Q" }, { name: "Q'" }],
+    },
+    width: 70,
+    height: 60,
+    color: "#14b8a6",
+  },
+  REGISTER: {
+    name: "REG",
+    inputs: 3,
+    outputs: 1,
+    defaultBits: 4,
+    delay: 1,
+    pins: {
+      inputs: [
+        { name: "D", bus: true },
+        { name: "EN", pullUp: true },
+        { name: "CLK", clock: true },
+      ],
+      outputs: [{ name: "Q", bus: true }],
+    },
+    width: 80,
+    height: 60,
+    color: "#0ea5e9",
+  },
+  COUNTER: {
+    name: "CTR",
+    inputs: 3,
+    outputs: 1,
+    defaultBits: 4,
+    delay: 1,
+    pins: {
+      inputs: [
+        { name: "EN", pullUp: true },
+        { name: "RST" },
+        { name: "CLK", clock: true },
+      ],
+      outputs: [{ name: "Q", bus: true }],
+    },
+    width: 80,
+    height: 60,
+    color: "#0ea5e9",
+  },
+
+  // Combinational building blocks. Their `pins` are a function of the
+  // gate's `bits` (data width) and `selectBits` (select/address width),
+  // returning explicit pin widths; `bottom` pins sit on the lower edge.
+  MUX: {
+    name: "MUX",
+    defaultBits: 1,
+    defaultSelectBits: 1,
+    delay: 1,
+    pins: ({ bits, selectBits }) => ({
+      inputs: [
+        ...Array.from({ length: 2 ** selectBits }, (_, i) => ({
+          name: `D${i}`,
+          width: bits,
+        })),
+        { name: "S", width: selectBits, bottom: true },
+      ],
+      outputs: [{ name: "Y", width: bits }],
+    }),
+    width: 60,
+    height: 60,
+    color: "#a855f7",
+  },
+  DEMUX: {
+    name: "DEMUX",
+    defaultBits: 1,
+    defaultSelectBits: 1,
+    delay: 1,
+    pins: ({ bits, selectBits }) => ({
+      inputs: [
+        { name: "D", width: bits },
+        { name: "S", width: selectBits, bottom: true },
+      ],
+      outputs: Array.from({ length: 2 ** selectBits }, (_, i) => ({
+        name: `Y${i}`,
+        width: bits,
+      })),
+    }),
+    width: 60,
+    height: 60,
+    color: "#a855f7",
+  },
+  DECODER: {
+    name: "DEC",
+    fixedWidth: true,
+    defaultSelectBits: 2,
+    delay: 1,
+    pins: ({ selectBits }) => ({
+      inputs: [
+        { name: "A", width: selectBits },
+        { name: "EN", width: 1, pullUp: true, bottom: true },
+      ],
+      outputs: Array.from({ length: 2 ** selectBits }, (_, i) => ({
+        name: `Y${i}`,
+        width: 1,
+      })),
+    }),
+    width: 60,
+    height: 60,
+    color: "#a855f7",
+  },
+  // Priority encoder: the highest-numbered active input wins
+  ENCODER: {
+    name: "ENC",
+    fixedWidth: true,
+    defaultSelectBits: 2,
+    delay: 1,
+    pins: ({ selectBits }) => ({
+      inputs: Array.from({ length: 2 ** selectBits }, (_, i) => ({
+        name: `I${i}`,
+        width: 1,
+      })),
+      outputs: [
+        { name: "Y", width: selectBits },
+        { name: "V", width: 1 },
+      ],
+    }),
+    width: 60,
+    height: 60,
+    color: "#a855f7",
+  },
+  ADDER: {
+    name: "ADD",
+    defaultBits: 4,
+    delay: 1,
+    pins: ({ bits }) => ({
+      inputs: [
+        { name: "A", width: bits },
+        { name: "B", width: bits },
+        { name: "Cin", width: 1, bottom: true },
+      ],
+      outputs: [
+        { name: "S", width: bits },
+        { name: "Cout", width: 1 },
+      ],
+    }),
+    width: 70,
+    height: 60,
+    color: "#84cc16",
+  },
+  // Unsigned magnitude comparator
+  COMPARATOR: {
+    name: "CMP",
+    defaultBits: 4,
+    delay: 1,
+    pins: ({ bits }) => ({
+      inputs: [
+        { name: "A", width: bits },
+        { name: "B", width: bits },
+      ],
+      outputs: [
+        { name: "<", width: 1 },
+        { name: "=", width: 1 },
+        { name: ">", width: 1 },
+      ],
+    }),
+    width: 70,
+    height: 60,
+    color: "#84cc16",
+  },
+
+  // Instance of a user-defined subcircuit (`subcircuitId`). Its `ports`
+  // come from the definition's INPUT and OUTPUT gates when it is read.
+  SUBCIRCUIT: {
+    name: "SUB",
+    fixedWidth: true,
+    pins: ({ ports }) => ports ?? { inputs: [], outputs: [] },
+    width: 90,
+    height: 60,
+    color: "#eab308",
+  },
 };
 
-export function createGate(type, x, y) {
+// Widest bus a pin can carry
+export const MAX_BUS_BITS = 32;
+
+// Widest select/address input of a MUX, DEMUX, decoder or encoder
+export const MAX_SELECT_BITS = 4;
+
+// Slowest and fastest CLOCK component; the fastest toggles once per
+// session clock tick (10/s)
+export const MIN_CLOCK_HZ = 0.1;
+export const MAX_CLOCK_HZ = 5;
+
+// Vertical distance between pins on components with many pins
+const PIN_PITCH = 20;
+
+/**
+ * Pin specs ({ width, name?, key?, clock?, pullUp?, bottom? }) for a
+ * component of the given type and parameters ({ bits, selectBits,
+ * inputCount, ports }). Splitters and
+ * mergers fan a bus out to single bits; components with named pins follow
+ * their `pins` table or function; every other pin carries the component's
+ * full width.
+ */
+export function getPinSpecs(type, params = {}) {
+  const gateType = GATE_TYPES[type];
+  const bits = params.bits ?? 1;
+  const single = (count, width) =>
+    Array.from({ length: count }, () => ({ width }));
+
+  if (type === "SPLITTER") {
+    return { inputs: single(1, bits), outputs: single(bits, 1) };
+  }
+  if (type === "MERGER") {
+    return { inputs: single(bits, 1), outputs: single(1, bits) };
+  }
+  if (typeof gateType.pins === "function") {
+    return gateType.pins({
+      bits,
+      selectBits: params.selectBits ?? gateType.defaultSelectBits ?? 1,
+      ports: params.ports,
+    });
+  }
+  if (gateType.pins) {
+    const spec = ({ bus, ...pin }) => ({ ...pin, width: bus ? bits : 1 });
+    return {
+      inputs: gateType.pins.inputs.map(spec),
+      outputs: gateType.pins.outputs.map(spec),
+    };
+  }
+  return {
+    inputs: single(params.inputCount ?? gateType.inputs, bits),
+    outputs: single(gateType.outputs, bits),
+  };
+}
+
+/**
+ * Pins and height for a gate with the given parameters. Pin ids depend only
+ * on the gate id and index (or the spec's `key`), so wires on pins that
+ * survive a resize stay attached.
+ */
+export function buildPins(gateId, type, params = {}) {
+  const gateType = GATE_TYPES[type];
+  const specs = getPinSpecs(type, params);
+  const left = specs.inputs.filter((spec) => !spec.bottom).length;
+  const count = Math.max(left, specs.outputs.length);
+  // Fan-in gates pack their inputs one pitch apart; other components keep
+  // a pitch of margin so saved layouts keep their size
+  const rows = gateType.maxInputs ? count : count + 1;
+
+  return {
+    height: Math.max(gateType.height, rows * PIN_PITCH),
+    inputs: specs.inputs.map((spec, i) => ({
+      id: spec.key ? `${gateId}-${spec.key}` : `${gateId}-in-${i}`,
+      index: i,
+      width: spec.width,
+      ...(spec.pullUp && { pullUp: true }),
+      ...(spec.bottom && { bottom: true }),
+      wireId: null,
+    })),
+    outputs: specs.outputs.map((spec, i) => ({
+      id: spec.key ? `${gateId}-${spec.key}` : `${gateId}-out-${i}`,
+      index: i,
+      width: spec.width,
+      wireIds: [],
+    })),
+  };
+}
+
+// Bus width of a pin; pins saved before buses existed are single-bit
+export function pinWidth(pin) {
+  return pin.width ?? 1;
+}
+
+// Text for a bus value in the gate's chosen radix
+export function formatBusValue(value, bits, radix = "hex") {
+  if (value === undefined) return "X";
+  if (radix === "dec") return String(value);
+  return (
+    "0x" +
+    value
+      .toString(16)
+      .toUpperCase()
+      .padStart(Math.ceil(bits / 4), "0")
+  );
+}
+
+// options.delay overrides the type's default propagation delay;
+// options.bits sets the bus width (default 1, or the type's defaultBits);
+// options.selectBits sets the select width of types with defaultSelectBits;
+// options.inputCount sets the fan-in of types with maxInputs;
+// options.subcircuitId names the definition a SUBCIRCUIT instantiates
+export function createGate(type, x, y, options = {}) {
   const gateType = GATE_TYPES[type];
   if (!gateType) throw new Error(`Unknown gate type: ${type}`);
 
+  const bits = gateType.fixedWidth
+    ? 1
+    : (options.bits ?? gateType.defaultBits ?? 1);
+  const selectBits =
+    gateType.defaultSelectBits !== undefined
+      ? (options.selectBits ?? gateType.defaultSelectBits)
+      : undefined;
+  const inputCount = gateType.maxInputs
+    ? (options.inputCount ?? gateType.inputs)
+    : undefined;
+  const id = "gate-" + Math.random().toString(36).substr(2, 9);
+  const { height, inputs, outputs } = buildPins(id, type, {
+    bits,
+    selectBits,
+    inputCount,
+  });
+
   const gate = {
-    id: "gate-" + Math.random().toString(36).substr(2, 9),
+    id,
     type,
     x,
     y,
     width: gateType.width,
-    height: gateType.height,
-    inputs: [],
-    outputs: [],
-    value: type === "INPUT" ? false : null,
+    height,
+    bits,
+    inputs,
+    outputs,
+    value: type === "INPUT" ? (bits > 1 ? 0 : false) : null,
   };
 
-  for (let i = 0; i < gateType.inputs; i++) {
-    gate.inputs.push({ id: `${gate.id}-in-${i}`, index: i, wireId: null });
+  if (selectBits !== undefined) {
+    gate.selectBits = selectBits;
+  }
+  if (inputCount !== undefined) {
+    gate.inputCount = inputCount;
   }
-  for (let i = 0; i < gateType.outputs; i++) {
-    gate.outputs.push({ id: `${gate.id}-out-${i}`, index: i, wireIds: [] });
+  if (gateType.delay !== undefined) {
+    gate.delay = options.delay ?? gateType.delay;
+  }
+  if (type === "CLOCK") {
+    gate.frequency = options.frequency ?? 1;
+  }
+  if (type === "SUBCIRCUIT") {
+    gate.subcircuitId = options.subcircuitId;
   }
   return gate;
 }
 
+// Inputs are spread down the left edge, except `bottom` pins (e.g. a MUX
+// select), which are spread along the lower edge
 export function getPinPositions(gate) {
-  const gateType = GATE_TYPES[gate.type];
   const pins = { inputs: [], outputs: [] };
 
-  const inputSpacing = gate.height / (gateType.inputs + 1);
-  for (let i = 0; i < gateType.inputs; i++) {
+  const leftCount = gate.inputs.filter((pin) => !pin.bottom).length;
+  const bottomCount = gate.inputs.length - leftCount;
+  const inputSpacing = gate.height / (leftCount + 1);
+  const bottomSpacing = gate.width / (bottomCount + 1);
+  let left = 0;
+  let bottom = 0;
+  gate.inputs.forEach((pin) => {
     pins.inputs.push({
-      id: gate.inputs[i].id,
-      x: gate.x,
-      y: gate.y + inputSpacing * (i + 1),
+      id: pin.id,
+      width: pinWidth(pin),
+      ...(pin.bottom
+        ? { x: gate.x + bottomSpacing * ++bottom, y: gate.y + gate.height }
+        : { x: gate.x, y: gate.y + inputSpacing * ++left }),
     });
-  }
+  });
 
-  const outputSpacing = gate.height / (gateType.outputs + 1);
-  for (let i = 0; i < gateType.outputs; i++) {
+  const outputSpacing = gate.height / (gate.outputs.length + 1);
+  gate.outputs.forEach((pin, i) => {
     pins.outputs.push({
-      id: gate.outputs[i].id,
+      id: pin.id,
+      width: pinWidth(pin),
       x: gate.x + gate.width,
       y: gate.y + outputSpacing * (i + 1),
     });
-  }
+  });
   return pins;
 }
 
-export function drawGate(ctx, gate, isSelected = false, isHovered = false) {
+// Fill for an OUTPUT lamp at the given logic level
+function lampFill(level) {
+  if (level === true) return "#fbbf24";
+  if (level === false) return "rgba(30,30,45,0.9)";
+  return "#6b7280";
+}
+
+export function drawGate(
+  ctx,
+  gate,
+  isSelected = false,
+  isHovered = false,
+  levels = null,
+) {
   const gateType = GATE_TYPES[gate.type];
   const { x, y, width, height } = gate;
+  const bits = gate.bits ?? 1;
 
   ctx.save();
   if (isSelected || isHovered) {
@@ -147,19 +560,30 @@ export function drawGate(ctx, gate, isSelected = false, isHovered = false) {
       ctx.roundRect(x, y, width, height, 5);
     } else {
       ctx.arc(x + width / 2, y + height / 2, height / 2, 0, Math.PI * 2);
+      if (levels && bits === 1) {
+        ctx.fillStyle = lampFill(levels.get(gate.inputs[0].id));
+      }
     }
     ctx.fill();
     ctx.stroke();
+  } else if (
+    gate.type === "SPLITTER" ||
+    gate.type === "MERGER" ||
+    gate.type === "CLOCK" ||
+    gateType.pins
+  ) {
+    ctx.roundRect(x, y, width, height, 4);
+    ctx.fill();
+    ctx.stroke();
   } else {
+    // Wide fan-in makes the body taller than it is wide; cap the nose
+    // radius and join the two quarter arcs with a straight edge
+    const radius = Math.min(height / 2, width * 0.4);
     ctx.moveTo(x, y);
     ctx.lineTo(x + width * 0.5, y);
-    ctx.arc(
-      x + width * 0.5,
-      y + height / 2,
-      height / 2,
-      -Math.PI / 2,
-      Math.PI / 2,
-    );
+    ctx.arc(x + width * 0.5, y + radius, radius, -Math.PI / 2, 0);
+    ctx.lineTo(x + width * 0.5 + radius, y + height - radius);
+    ctx.arc(x + width * 0.5, y + height - radius, radius, 0, Math.PI / 2);
     ctx.lineTo(x, y + height);
     ctx.closePath();
     ctx.fill();
@@ -173,23 +597,14 @@ export function drawGate(ctx, gate, isSelected = false, isHovered = false) {
   }
   ctx.restore();
 
-  // Draw pins
+  // Draw pins (bus pins are larger and blue)
   const pins = getPinPositions(gate);
-  pins.inputs.forEach((pin) => {
+  [...pins.inputs, ...pins.outputs].forEach((pin) => {
     ctx.beginPath();
-    ctx.arc(pin.x, pin.y, 5, 0, Math.PI * 2);
-    ctx.fillStyle = "#4b5563";
+    ctx.arc(pin.x, pin.y, pin.width > 1 ? 6 : 5, 0, Math.PI * 2);
+    ctx.fillStyle = pin.width > 1 ? "#1d4ed8" : "#4b5563";
     ctx.fill();
-    ctx.strokeStyle = "#6b7280";
-    ctx.lineWidth = 1;
-    ctx.stroke();
-  });
-  pins.outputs.forEach((pin) => {
-    ctx.beginPath();
-    ctx.arc(pin.x, pin.y, 5, 0, Math.PI * 2);
-    ctx.fillStyle = "#4b5563";
-    ctx.fill();
-    ctx.strokeStyle = "#6b7280";
+    ctx.strokeStyle = pin.width > 1 ? "#3b82f6" : "#6b7280";
     ctx.lineWidth = 1;
     ctx.stroke();
   });
@@ -199,14 +614,104 @@ export function drawGate(ctx, gate, isSelected = false, isHovered = false) {
   ctx.font = "bold 11px Inter, sans-serif";
   ctx.textAlign = "center";
   ctx.textBaseline = "middle";
-  if (gate.type === "INPUT") {
+  if (gate.type === "INPUT" && bits > 1) {
+    ctx.fillStyle = "#60a5fa";
+    ctx.fillText(
+      formatBusValue(gate.value ?? 0, bits, gate.radix),
+      x + width / 2,
+      y + height / 2,
+    );
+  } else if (gate.type === "INPUT") {
     ctx.fillStyle = gate.value ? "#10b981" : "#ef4444";
     ctx.fillText(gate.value ? "1" : "0", x + width / 2, y + height / 2);
-  } else if (gate.type !== "OUTPUT") {
-    ctx.fillText(gate.type, x + width / 2, y + height / 2);
+  } else if (gate.type === "OUTPUT") {
+    if (bits > 1 && levels) {
+      ctx.fillStyle = "#60a5fa";
+      ctx.fillText(
+        formatBusValue(levels.get(gate.inputs[0].id), bits, gate.radix),
+        x + width / 2,
+        y + height / 2,
+      );
+    }
+  } else if (gate.type === "SPLITTER" || gate.type === "MERGER") {
+    ctx.fillText(String(bits), x + width / 2, y + height / 2);
+  } else if (gate.type === "CLOCK") {
+    drawClockIcon(ctx, x + width / 2, y + height / 2 - 6, gateType.color);
+    ctx.font = "10px Inter, sans-serif";
+    ctx.fillText(`${gate.frequency ?? 1}Hz`, x + width / 2, y + height - 9);
+  } else if (gateType.pins) {
+    drawPinNames(ctx, gate, pins);
+    ctx.font = "bold 10px Inter, sans-serif";
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#fff";
+    const name = gate.name ?? gateType.name;
+    ctx.fillText(
+      bits > 1 ? `${name}${bits}` : name,
+      x + width / 2,
+      y + height / 2,
+    );
+  } else {
+    ctx.fillText(
+      bits > 1 ? `${gate.type}${bits}` : gate.type,
+      x + width / 2,
+      y + height / 2,
+    );
   }
 }
 
+// Square-wave glyph for CLOCK components
+function drawClockIcon(ctx, cx, cy, color) {
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.moveTo(cx - 12, cy + 4);
+  ctx.lineTo(cx - 6, cy + 4);
+  ctx.lineTo(cx - 6, cy - 4);
+  ctx.lineTo(cx, cy - 4);
+  ctx.lineTo(cx, cy + 4);
+  ctx.lineTo(cx + 6, cy + 4);
+  ctx.lineTo(cx + 6, cy - 4);
+  ctx.lineTo(cx + 12, cy - 4);
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Pin names inside a component box, with a triangle on clock inputs
+function drawPinNames(ctx, gate, pins) {
+  const specs = getPinSpecs(gate.type, gate);
+
+  ctx.save();
+  ctx.font = "9px Inter, sans-serif";
+  ctx.fillStyle = "#d1d5db";
+  ctx.strokeStyle = "#d1d5db";
+  ctx.lineWidth = 1;
+
+  ctx.textAlign = "left";
+  pins.inputs.forEach((pin, i) => {
+    const spec = specs.inputs[i];
+    if (spec.bottom) {
+      ctx.textAlign = "center";
+      ctx.fillText(spec.name, pin.x, pin.y - 8);
+      ctx.textAlign = "left";
+    } else if (spec.clock) {
+      ctx.beginPath();
+      ctx.moveTo(pin.x, pin.y - 5);
+      ctx.lineTo(pin.x + 7, pin.y);
+      ctx.lineTo(pin.x, pin.y + 5);
+      ctx.stroke();
+    } else {
+      ctx.fillText(spec.name, pin.x + 6, pin.y);
+    }
+  });
+
+  ctx.textAlign = "right";
+  pins.outputs.forEach((pin, i) => {
+    ctx.fillText(specs.outputs[i].name, pin.x - 6, pin.y);
+  });
+  ctx.restore();
+}
+
 export function isPointInGate(gate, x, y) {
   return (
     x >= gate.x &&
@@ -0,0 +1,303 @@
+// Version history panel: named snapshots of the session document that can
+// be previewed read-only on the canvas, compared and restored as a new
+// change. Exported circuit files can be compared the same way.
+import { diffCircuits } from "./diff.js";
+import { parseCircuit } from "./circuitFormat.js";
+import { resolveCircuit } from "./subcircuit.js";
+
+// Compare target standing for the current document
+const LIVE = "live";
+
+function decodeBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// The circuit in an exported circuit file, as the editor displays it, and
+// when it was exported (null if the file does not say)
+export function readCircuitFile(text) {
+  const data = JSON.parse(text);
+  const exportedAt = Date.parse(data?.metadata?.exportedAt);
+  return {
+    circuit: resolveCircuit(parseCircuit(data)),
+    exportedAt: Number.isNaN(exportedAt) ? null : exportedAt,
+  };
+}
+
+export class HistoryPanel {
+  // notify(message, type) reports results and failures (e.g. as toasts)
+  constructor(crdt, editor, notify) {
+    this.crdt = crdt;
+    this.editor = editor;
+    this.notify = notify;
+    this.snapshots = [];
+    this.previewing = null; // { id, name, state } shown on the canvas, or
+    // { name } while comparing exported files
+    this.comparing = null; // snapshot id or LIVE diffed with the preview
+
+    this.setupListeners();
+  }
+
+  setupListeners() {
+    this.crdt.on("connected", () => this.load());
+    this.crdt.on("snapshots", (snapshots) => {
+      this.snapshots = snapshots;
+      this.render();
+    });
+  }
+
+  api(path = "") {
+    return `/api/sessions/${this.crdt.sessionId}/snapshots${path}`;
+  }
+
+  async load() {
+    try {
+      const response = await fetch(this.api(), {
+        headers: this.crdt.authHeaders(),
+      });
+      const data = await response.json();
+      if (data.error) throw new Error(data.error);
+      this.snapshots = data.snapshots;
+    } catch (error) {
+      console.error("Failed to load history:", error);
+      this.snapshots = [];
+    }
+    this.render();
+  }
+
+  // Save the current document on the server under `name` (owners only)
+  async save(name) {
+    const response = await fetch(this.api(), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...this.crdt.authHeaders(),
+      },
+      body: JSON.stringify({ name }),
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    return data;
+  }
+
+  async fetchSnapshot(id) {
+    const response = await fetch(this.api(`/${id}`), {
+      headers: this.crdt.authHeaders(),
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    return { id, name: data.name, state: decodeBase64(data.state) };
+  }
+
+  async preview(id) {
+    try {
+      this.previewing = await this.fetchSnapshot(id);
+      this.comparing = null;
+      this.editor.showPreview(this.crdt.readState(this.previewing.state));
+    } catch (error) {
+      this.notify(`Could not open snapshot: ${error.message}`, "error");
+    }
+    this.render();
+  }
+
+  /**
+   * Diff the previewed snapshot with another one or with the live circuit
+   * (LIVE). The newer version is shown with the changes since the older
+   * one highlighted; no target goes back to the plain preview.
+   */
+  async compare(targetId) {
+    if (!this.previewing) return;
+    const previewed = this.crdt.readState(this.previewing.state);
+    this.comparing = targetId || null;
+
+    try {
+      if (!this.comparing) {
+        this.editor.showPreview(previewed);
+      } else {
+        const target =
+          targetId === LIVE
+            ? this.crdt.readState(this.crdt.encodeState())
+            : this.crdt.readState((await this.fetchSnapshot(targetId)).state);
+
+        const order = (id) =>
+          id === LIVE
+            ? Infinity
+            : this.snapshots.findIndex((snapshot) => snapshot.id === id);
+        const [before, after] =
+          order(targetId) > order(this.previewing.id)
+            ? [previewed, target]
+            : [target, previewed];
+        this.editor.showPreview(after, {
+          before,
+          diff: diffCircuits(before, after),
+        });
+      }
+    } catch (error) {
+      this.comparing = null;
+      this.editor.showPreview(previewed);
+      this.notify(`Could not compare: ${error.message}`, "error");
+    }
+    this.render();
+  }
+
+  /**
+   * Diff exported circuit files: two with each other, the earlier export
+   * as the older version (or the first file if they do not say), or one
+   * with the live circuit.
+   */
+  async compareFiles(files) {
+    if (files.length === 0 || files.length > 2) {
+      this.notify("Pick one or two circuit files", "error");
+      return;
+    }
+
+    let versions;
+    try {
+      versions = await Promise.all(
+        files.map(async (file) => {
+          try {
+            return { name: file.name, ...readCircuitFile(await file.text()) };
+          } catch (error) {
+            throw new Error(`${file.name}: ${error.message}`);
+          }
+        }),
+      );
+    } catch (error) {
+      this.notify(`Could not compare: ${error.message}`, "error");
+      return;
+    }
+
+    if (versions.length === 1) {
+      versions.push({
+        name: "the live circuit",
+        circuit: this.crdt.readState(this.crdt.encodeState()),
+      });
+    } else if (
+      versions.every(({ exportedAt }) => exportedAt !== null) &&
+      versions[0].exportedAt > versions[1].exportedAt
+    ) {
+      versions.reverse();
+    }
+
+    const [before, after] = versions;
+    this.previewing = { name: `${before.name} → ${after.name}` };
+    this.comparing = null;
+    this.editor.showPreview(after.circuit, {
+      before: before.circuit,
+      diff: diffCircuits(before.circuit, after.circuit),
+    });
+    this.render();
+  }
+
+  exitPreview() {
+    this.previewing = null;
+    this.comparing = null;
+    this.editor.exitPreview();
+    this.render();
+  }
+
+  // Replace the live circuit with the previewed one for everyone; the
+  // restore is a regular edit, so it can be undone
+  restore() {
+    if (!this.previewing) return;
+    const { name, state } = this.previewing;
+    if (
+      !confirm(`Restore "${name}"? This replaces the circuit for everyone.`)
+    ) {
+      return;
+    }
+    this.exitPreview();
+    if (this.crdt.restoreState(state)) {
+      this.notify(`Restored "${name}"`, "success");
+    }
+  }
+
+  render() {
+    this.renderList();
+    this.renderPreviewBar();
+  }
+
+  // Timeline, newest first
+  renderList() {
+    const container = document.getElementById("historyList");
+    if (!container) return;
+
+    if (this.snapshots.length === 0) {
+      container.innerHTML =
+        '<div class="empty-state small"><p>No snapshots yet</p></div>';
+      return;
+    }
+
+    container.innerHTML = "";
+    [...this.snapshots].reverse().forEach((snapshot) => {
+      const item = document.createElement("button");
+      item.className = "history-item";
+      item.classList.toggle("active", snapshot.id === this.previewing?.id);
+      item.innerHTML = `<span class="history-name"></span><span class="history-meta"></span>`;
+      item.querySelector(".history-name").textContent = snapshot.name;
+      item.querySelector(".history-meta").textContent =
+        `${formatTime(snapshot.createdAt)} · ${snapshot.createdBy}`;
+      item.addEventListener("click", () => this.preview(snapshot.id));
+      container.appendChild(item);
+    });
+  }
+
+  renderPreviewBar() {
+    const bar = document.getElementById("previewBar");
+    if (!bar) return;
+
+    bar.style.display = this.previewing ? "flex" : "none";
+    bar.innerHTML = "";
+    if (!this.previewing) return;
+
+    const label = document.createElement("span");
+    label.textContent = `Previewing "${this.previewing.name}" (read-only)`;
+    bar.appendChild(label);
+
+    // Compared files are neither snapshots nor restorable
+    if (!this.previewing.state) {
+      bar.appendChild(this.closeButton());
+      return;
+    }
+
+    const compare = document.createElement("select");
+    const option = (value, text) => {
+      const element = document.createElement("option");
+      element.value = value;
+      element.textContent = text;
+      compare.appendChild(element);
+    };
+    option("", "Compare with…");
+    option(LIVE, "Live circuit");
+    this.snapshots
+      .filter((snapshot) => snapshot.id !== this.previewing.id)
+      .forEach((snapshot) => option(snapshot.id, snapshot.name));
+    compare.value = this.comparing ?? "";
+    compare.addEventListener("change", () => this.compare(compare.value));
+    bar.appendChild(compare);
+
+    if (this.crdt.role === "owner") {
+      const restore = document.createElement("button");
+      restore.textContent = "Restore";
+      restore.addEventListener("click", () => this.restore());
+      bar.appendChild(restore);
+    }
+
+    bar.appendChild(this.closeButton());
+  }
+
+  closeButton() {
+    const close = document.createElement("button");
+    close.textContent = "Back to live";
+    close.addEventListener("click", () => this.exitPreview());
+    return close;
+  }
+}
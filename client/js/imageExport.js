@@ -0,0 +1,425 @@
+// Circuit diagrams as SVG, PNG and PDF files for reports. All formats are
+// drawn by the canvas drawGate/drawWire, so they look like the editor;
+// SVG goes through SvgContext, which records those calls as vector paths.
+import { drawGate } from "./gates.js";
+import { drawWire, getWireEnds } from "./wire.js";
+import { getCircuitIO } from "./truthTable.js";
+
+// Space around the outermost gate, and extra room for I/O names
+const MARGIN = 20;
+const LABEL_MARGIN = 40;
+
+// PNG pixels per canvas pixel, lowered for circuits that would exceed
+// the largest canvas browsers reliably allocate
+export const PNG_SCALE = 3;
+const MAX_IMAGE_SIZE = 8192;
+
+// PDF points per canvas pixel (96 dpi)
+const PDF_POINTS_PER_PIXEL = 0.75;
+
+const LABEL_COLOR = "#6b7280";
+
+/**
+ * Area covered by a circuit ({ gates: Map, wires: [] }): gates with their
+ * pins and wires with their curves, plus a margin.
+ */
+export function circuitBounds({ gates, wires }, { pinLabels = false } = {}) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  const include = (x, y) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  };
+
+  gates.forEach((gate) => {
+    // Pins and NAND/NOR bubbles stick out by up to 10px
+    include(gate.x - 10, gate.y - 10);
+    include(gate.x + gate.width + 10, gate.y + gate.height + 10);
+    if (pinLabels && gate.type === "INPUT") {
+      include(gate.x - LABEL_MARGIN, gate.y);
+    }
+    if (pinLabels && gate.type === "OUTPUT") {
+      include(gate.x + gate.width + LABEL_MARGIN, gate.y);
+    }
+  });
+  wires.forEach((wire) => {
+    const ends = getWireEnds(wire, gates);
+    if (!ends) return;
+    // The curve stays within its control points (see traceWire)
+    const offset = Math.min(Math.abs(ends.to.x - ends.from.x) * 0.5, 80);
+    include(ends.from.x + offset, ends.from.y);
+    include(ends.to.x - offset, ends.to.y);
+  });
+
+  if (minX > maxX) return { x: 0, y: 0, width: MARGIN * 2, height: MARGIN * 2 };
+  return {
+    x: minX - MARGIN,
+    y: minY - MARGIN,
+    width: maxX - minX + MARGIN * 2,
+    height: maxY - minY + MARGIN * 2,
+  };
+}
+
+/**
+ * Draw a circuit in its own coordinates on any 2D context.
+ * Options: levels (simulation levels to show, as in the editor) and
+ * pinLabels (name INPUT and OUTPUT gates like the truth table does).
+ */
+export function drawCircuit(
+  ctx,
+  { gates, wires },
+  { levels = new Map(), pinLabels = false } = {},
+) {
+  wires.forEach((wire) => {
+    const ends = getWireEnds(wire, gates);
+    if (!ends) return;
+    drawWire(
+      ctx,
+      ends.from.x,
+      ends.from.y,
+      ends.to.x,
+      ends.to.y,
+      false,
+      levels.get(wire.from.pinId),
+      wire.width ?? 1,
+    );
+  });
+  gates.forEach((gate) => drawGate(ctx, gate, false, false, levels));
+  if (pinLabels) drawIOLabels(ctx, gates);
+}
+
+// Truth-table names left of inputs and right of outputs
+function drawIOLabels(ctx, gates) {
+  const io = getCircuitIO(gates);
+  ctx.save();
+  ctx.font = "bold 11px Inter, sans-serif";
+  ctx.fillStyle = LABEL_COLOR;
+  ctx.textBaseline = "middle";
+  ctx.textAlign = "right";
+  io.inputs.forEach(({ id, label }) => {
+    const gate = gates.get(id);
+    ctx.fillText(label, gate.x - 10, gate.y + gate.height / 2);
+  });
+  ctx.textAlign = "left";
+  io.outputs.forEach(({ id, label }) => {
+    const gate = gates.get(id);
+    ctx.fillText(label, gate.x + gate.width + 10, gate.y + gate.height / 2);
+  });
+  ctx.restore();
+}
+
+const escapeXml = (text) =>
+  String(text).replace(
+    /[<>&"]/g,
+    (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c],
+  );
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const TEXT_ANCHORS = { left: "start", start: "start", center: "middle" };
+
+// Drawing properties as on a fresh canvas; save() and restore() copy them
+const DEFAULT_STATE = {
+  fillStyle: "#000",
+  strokeStyle: "#000",
+  lineWidth: 1,
+  lineDash: [],
+  globalAlpha: 1,
+  font: "10px sans-serif",
+  textAlign: "start",
+  textBaseline: "alphabetic",
+};
+
+/**
+ * The part of CanvasRenderingContext2D used by drawGate and drawWire,
+ * recorded as SVG elements. Shadows only mark selection and hover, which
+ * exports leave out, so they are ignored.
+ */
+class SvgContext {
+  constructor() {
+    this.elements = [];
+    this.state = { ...DEFAULT_STATE, lineDash: [] };
+    this.stack = [];
+    this.path = [];
+    this.current = null; // current point of the path
+  }
+
+  save() {
+    this.stack.push({ ...this.state });
+  }
+
+  restore() {
+    if (this.stack.length > 0) this.state = this.stack.pop();
+  }
+
+  setLineDash(segments) {
+    this.state.lineDash = [...segments];
+  }
+
+  beginPath() {
+    this.path = [];
+    this.current = null;
+  }
+
+  moveTo(x, y) {
+    this.path.push(`M${round(x)} ${round(y)}`);
+    this.current = { x, y, start: { x, y } };
+  }
+
+  lineTo(x, y) {
+    if (!this.current) {
+      this.moveTo(x, y);
+      return;
+    }
+    this.path.push(`L${round(x)} ${round(y)}`);
+    this.current = { ...this.current, x, y };
+  }
+
+  bezierCurveTo(c1x, c1y, c2x, c2y, x, y) {
+    if (!this.current) this.moveTo(c1x, c1y);
+    this.path.push(`C${[c1x, c1y, c2x, c2y, x, y].map(round).join(" ")}`);
+    this.current = { ...this.current, x, y };
+  }
+
+  arc(cx, cy, r, startAngle, endAngle, counterclockwise = false) {
+    const point = (angle) => ({
+      x: cx + r * Math.cos(angle),
+      y: cy + r * Math.sin(angle),
+    });
+    const start = point(startAngle);
+    if (this.current) this.lineTo(start.x, start.y);
+    else this.moveTo(start.x, start.y);
+
+    let sweep = counterclockwise
+      ? startAngle - endAngle
+      : endAngle - startAngle;
+    if (sweep >= Math.PI * 2) {
+      // A full circle needs two arc commands
+      const half = point(startAngle + Math.PI);
+      const end = point(startAngle);
+      this.path.push(
+        `A${round(r)} ${round(r)} 0 1 1 ${round(half.x)} ${round(half.y)}`,
+        `A${round(r)} ${round(r)} 0 1 1 ${round(end.x)} ${round(end.y)}`,
+      );
+      this.current = { ...this.current, ...end };
+      return;
+    }
+    sweep = ((sweep % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+    const end = point(endAngle);
+    const largeArc = sweep > Math.PI ? 1 : 0;
+    const clockwise = counterclockwise ? 0 : 1;
+    this.path.push(
+      `A${round(r)} ${round(r)} 0 ${largeArc} ${clockwise} ${round(end.x)} ${round(end.y)}`,
+    );
+    this.current = { ...this.current, ...end };
+  }
+
+  roundRect(x, y, width, height, radius) {
+    const r = Math.min(radius, width / 2, height / 2);
+    this.moveTo(x + r, y);
+    this.path.push(
+      `H${round(x + width - r)}`,
+      `A${r} ${r} 0 0 1 ${round(x + width)} ${round(y + r)}`,
+      `V${round(y + height - r)}`,
+      `A${r} ${r} 0 0 1 ${round(x + width - r)} ${round(y + height)}`,
+      `H${round(x + r)}`,
+      `A${r} ${r} 0 0 1 ${round(x)} ${round(y + height - r)}`,
+      `V${round(y + r)}`,
+      `A${r} ${r} 0 0 1 ${round(x + r)} ${round(y)}`,
+      "Z",
+    );
+    this.current = { x: x + r, y, start: { x: x + r, y } };
+  }
+
+  closePath() {
+    if (!this.current) return;
+    this.path.push("Z");
+    this.current = { ...this.current, ...this.current.start };
+  }
+
+  opacity() {
+    return this.state.globalAlpha < 1
+      ? ` opacity="${this.state.globalAlpha}"`
+      : "";
+  }
+
+  fill() {
+    if (this.path.length === 0) return;
+    this.elements.push(
+      `<path d="${this.path.join("")}" fill="${escapeXml(this.state.fillStyle)}"${this.opacity()}/>`,
+    );
+  }
+
+  stroke() {
+    if (this.path.length === 0) return;
+    const dash =
+      this.state.lineDash.length > 0
+        ? ` stroke-dasharray="${this.state.lineDash.join(" ")}"`
+        : "";
+    this.elements.push(
+      `<path d="${this.path.join("")}" fill="none" stroke="${escapeXml(this.state.strokeStyle)}" stroke-width="${this.state.lineWidth}"${dash}${this.opacity()}/>`,
+    );
+  }
+
+  fillRect(x, y, width, height) {
+    this.elements.push(
+      `<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" fill="${escapeXml(this.state.fillStyle)}"${this.opacity()}/>`,
+    );
+  }
+
+  fillText(text, x, y) {
+    const anchor = TEXT_ANCHORS[this.state.textAlign] ?? "end";
+    const baseline =
+      this.state.textBaseline === "middle"
+        ? ' dominant-baseline="central"'
+        : "";
+    this.elements.push(
+      `<text x="${round(x)}" y="${round(y)}" fill="${escapeXml(this.state.fillStyle)}" style="font: ${escapeXml(this.state.font)}" text-anchor="${anchor}"${baseline}${this.opacity()}>${escapeXml(text)}</text>`,
+    );
+  }
+}
+
+Object.keys(DEFAULT_STATE)
+  .filter((key) => key !== "lineDash")
+  .forEach((key) =>
+    Object.defineProperty(SvgContext.prototype, key, {
+      get() {
+        return this.state[key];
+      },
+      set(value) {
+        this.state[key] = value;
+      },
+    }),
+  );
+
+/**
+ * SVG document for a circuit. Options: background ("white" or
+ * "transparent") plus those of drawCircuit.
+ */
+export function renderSvg(circuit, options = {}) {
+  const bounds = circuitBounds(circuit, options);
+  const ctx = new SvgContext();
+  if (options.background === "white") {
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+  }
+  drawCircuit(ctx, circuit, options);
+
+  const { x, y, width, height } = bounds;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}" height="${round(height)}" viewBox="${round(x)} ${round(y)} ${round(width)} ${round(height)}">`,
+    ...ctx.elements.map((element) => `  ${element}`),
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+// Canvas with the circuit drawn at `scale` pixels per canvas pixel
+function renderCanvas(circuit, options, scale) {
+  const bounds = circuitBounds(circuit, options);
+  scale = Math.min(
+    scale,
+    MAX_IMAGE_SIZE / bounds.width,
+    MAX_IMAGE_SIZE / bounds.height,
+  );
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.ceil(bounds.width * scale);
+  canvas.height = Math.ceil(bounds.height * scale);
+
+  const ctx = canvas.getContext("2d");
+  if (options.background === "white") {
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  ctx.scale(scale, scale);
+  ctx.translate(-bounds.x, -bounds.y);
+  drawCircuit(ctx, circuit, options);
+  return { canvas, bounds };
+}
+
+function canvasBlob(canvas, type) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Image is too large")),
+      type,
+      0.92,
+    );
+  });
+}
+
+// High-DPI PNG image of a circuit (same options as renderSvg)
+export async function renderPng(circuit, options = {}) {
+  const { canvas } = renderCanvas(circuit, options, PNG_SCALE);
+  return canvasBlob(canvas, "image/png");
+}
+
+/**
+ * Single-page PDF with the circuit as a high-DPI image, sized like the
+ * diagram at 96 dpi. The image is a JPEG, so the background is white.
+ */
+export async function renderPdf(circuit, options = {}) {
+  const { canvas, bounds } = renderCanvas(
+    circuit,
+    { ...options, background: "white" },
+    PNG_SCALE,
+  );
+  const jpeg = new Uint8Array(
+    await (await canvasBlob(canvas, "image/jpeg")).arrayBuffer(),
+  );
+  return buildPdf(
+    jpeg,
+    canvas.width,
+    canvas.height,
+    round(bounds.width * PDF_POINTS_PER_PIXEL),
+    round(bounds.height * PDF_POINTS_PER_PIXEL),
+  );
+}
+
+// Minimal PDF 1.4 file: one page showing one JPEG image
+function buildPdf(jpeg, imageWidth, imageHeight, pageWidth, pageHeight) {
+  const encoder = new TextEncoder();
+  const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`,
+    [
+      `<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+      jpeg,
+      "\nendstream",
+    ],
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+  ];
+
+  const parts = [];
+  let length = 0;
+  const write = (part) => {
+    const bytes = typeof part === "string" ? encoder.encode(part) : part;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+
+  write("%PDF-1.4\n");
+  const offsets = objects.map((object, i) => {
+    const offset = length;
+    write(`${i + 1} 0 obj\n`);
+    [object].flat().forEach(write);
+    write("\nendobj\n");
+    return offset;
+  });
+
+  const xref = length;
+  write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach((offset) =>
+    write(`${String(offset).padStart(10, "0")} 00000 n \n`),
+  );
+  write(
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`,
+  );
+  return new Blob(parts, { type: "application/pdf" });
+}
@@ -0,0 +1,687 @@
+// Structural Verilog and VHDL netlists of a circuit, for FPGA toolchains.
+// Shared by the client (HDL export) and the server
+// (GET /api/sessions/:id/netlist).
+//
+// INPUT and OUTPUT gates become ports named like the truth table columns,
+// CLOCK components become clock inputs, and every subcircuit definition
+// becomes a module of its own. A net is named after the first wire leaving
+// the output pin that drives it.
+import { resolveInstance, portPinId } from "./subcircuit.js";
+import { getCircuitIO } from "./truthTable.js";
+
+export const HDL_LANGUAGES = {
+  verilog: { name: "Verilog", extension: "v", type: "text/x-verilog" },
+  vhdl: { name: "VHDL", extension: "vhd", type: "text/x-vhdl" },
+};
+
+// Words neither language accepts as a name
+const RESERVED = new Set(
+  [
+    // Verilog
+    "always assign begin buf case default else end endcase endmodule for",
+    "if initial inout input integer module nand negedge nor not or output",
+    "parameter posedge reg wire xnor xor and",
+    // VHDL
+    "abs access after alias all architecture array assert attribute block",
+    "body buffer bus component configuration constant disconnect downto elsif",
+    "entity exit file function generate generic group guarded impure in",
+    "inertial is label library linkage literal loop map mod new next null",
+    "of on open others out package port postponed procedure process pure",
+    "range record register reject rem report return rol ror select",
+    "severity shared signal sla sll sra srl subtype then to transport type",
+    "unaffected units until use variable wait when while with",
+  ]
+    .join(" ")
+    .split(" "),
+);
+
+/**
+ * Name allocator for one module. Names are valid identifiers in both
+ * languages (a letter first, no double or trailing underscores) and unique
+ * ignoring case, as VHDL requires.
+ */
+function createNamer() {
+  const used = new Set();
+  return (text) => {
+    let name = String(text)
+      .replace(/[^A-Za-z0-9]+/g, "_")
+      .replace(/^_|_$/g, "");
+    if (!/^[A-Za-z]/.test(name)) name = name ? `n_${name}` : "n";
+    if (RESERVED.has(name.toLowerCase())) name = `${name}_net`;
+    let unique = name;
+    for (let i = 2; used.has(unique.toLowerCase()); i++) {
+      unique = `${name}_${i}`;
+    }
+    used.add(unique.toLowerCase());
+    return unique;
+  };
+}
+
+// Level an unconnected input reads in the simulator
+function floatingValue(pin) {
+  return (pin.width ?? 1) === 1 && pin.pullUp ? 1 : 0;
+}
+
+/**
+ * Netlist of a circuit ({ gates, wires, definitions } as read by
+ * readCircuit) as a list of modules, each definition before the modules
+ * using it and the main circuit last:
+ *
+ *   { name, ports: [{ name, dir: "in" | "out", width }],
+ *     nets: [{ name, width }], cells: [cell] }
+ *
+ * A cell is one component: { gate, name, inputs, outputs, internal? }.
+ * Inputs are { net, width } or { constant, width } for unconnected pins;
+ * outputs are net or port names. `internal` names the stored value of
+ * sequential components and the full sum of adders.
+ */
+export function buildNetlist(circuit, name = "circuit") {
+  const modules = [];
+  const moduleNames = createNamer();
+  const built = new Map(); // definition id -> module, null while building
+
+  const buildModule = (moduleName, gates, wires) => {
+    const named = createNamer();
+    const module = { name: moduleName, ports: [], nets: [], cells: [] };
+    const resolved = new Map();
+    gates.forEach((gate, id) => {
+      resolved.set(
+        id,
+        gate.type === "SUBCIRCUIT"
+          ? resolveInstance(gate, circuit.definitions)
+          : gate,
+      );
+    });
+
+    // Ports first, so they keep their truth-table names
+    const netOf = new Map(); // output pin id -> net or port name
+    const io = getCircuitIO(resolved);
+    io.inputs.forEach(({ id, label, bits }) => {
+      const port = { name: named(label), dir: "in", width: bits, gateId: id };
+      module.ports.push(port);
+      netOf.set(resolved.get(id).outputs[0].id, port.name);
+    });
+    resolved.forEach((gate, id) => {
+      if (gate.type !== "CLOCK") return;
+      const port = { name: named("clk"), dir: "in", width: 1, gateId: id };
+      port.clock = gate.frequency ?? 1;
+      module.ports.push(port);
+      netOf.set(gate.outputs[0].id, port.name);
+    });
+    const outputs = io.outputs.map(({ id, label, bits }) => {
+      const port = { name: named(label), dir: "out", width: bits, gateId: id };
+      module.ports.push(port);
+      return port;
+    });
+
+    const pinIds = new Set();
+    resolved.forEach((gate) =>
+      [...gate.inputs, ...gate.outputs].forEach((pin) => pinIds.add(pin.id)),
+    );
+    const drivers = new Map(); // input pin id -> output pin id
+    const connected = wires.filter(
+      (wire) => pinIds.has(wire.from.pinId) && pinIds.has(wire.to.pinId),
+    );
+    connected.forEach((wire) => drivers.set(wire.to.pinId, wire.from.pinId));
+    resolved.forEach((gate) => {
+      gate.outputs.forEach((pin, i) => {
+        if (netOf.has(pin.id)) return;
+        const wire = connected.find((w) => w.from.pinId === pin.id);
+        const net = named(wire ? wire.id : `${gate.id}_out${i}`);
+        netOf.set(pin.id, net);
+        module.nets.push({ name: net, width: pin.width ?? 1 });
+      });
+    });
+
+    const input = (pin) => {
+      const width = pin.width ?? 1;
+      const driver = drivers.get(pin.id);
+      return driver
+        ? { net: netOf.get(driver), width }
+        : { constant: floatingValue(pin), width };
+    };
+
+    outputs.forEach((port) => {
+      const gate = resolved.get(port.gateId);
+      module.cells.push({
+        gate,
+        name: port.name,
+        inputs: [input(gate.inputs[0])],
+        outputs: [port.name],
+      });
+    });
+
+    resolved.forEach((gate) => {
+      if (["INPUT", "OUTPUT", "CLOCK"].includes(gate.type)) return;
+      const cell = {
+        gate,
+        name: named(gate.id),
+        inputs: gate.inputs.map(input),
+        outputs: gate.outputs.map((pin) => netOf.get(pin.id)),
+      };
+      if (gate.type === "SUBCIRCUIT") {
+        cell.module = buildDefinition(gate.subcircuitId);
+        if (!cell.module) {
+          cell.missing = true;
+        } else {
+          // Port order of the definition's module; inner clocks become
+          // extra inputs of this module
+          const pins = new Map(
+            [...gate.inputs, ...gate.outputs].map((pin) => [pin.id, pin]),
+          );
+          cell.connections = cell.module.ports.map((port) => {
+            if (port.clock !== undefined) {
+              const clock = {
+                name: named(`${cell.name}_${port.name}`),
+                dir: "in",
+                width: 1,
+                clock: port.clock,
+              };
+              module.ports.push(clock);
+              return { port: port.name, net: clock.name };
+            }
+            const pin = pins.get(portPinId(gate.id, port.gateId));
+            return port.dir === "in"
+              ? { port: port.name, input: input(pin) }
+              : { port: port.name, net: netOf.get(pin.id) };
+          });
+        }
+      }
+      if (SEQUENTIAL.has(gate.type)) cell.internal = named(`${gate.id}_q`);
+      if (gate.type === "ADDER") cell.internal = named(`${gate.id}_sum`);
+      module.cells.push(cell);
+    });
+
+    return module;
+  };
+
+  // Module of a definition, or null if it is missing or uses itself
+  const buildDefinition = (id) => {
+    if (built.has(id)) return built.get(id);
+    const definition = circuit.definitions.get(id);
+    if (!definition) return null;
+    built.set(id, null);
+    const module = buildModule(
+      moduleNames(definition.name),
+      definition.gates,
+      definition.wires,
+    );
+    built.set(id, module);
+    modules.push(module);
+    return module;
+  };
+
+  const top = moduleNames(name);
+  modules.push(buildModule(top, circuit.gates, circuit.wires));
+  return { modules };
+}
+
+const SEQUENTIAL = new Set(["DFF", "JKFF", "TFF", "REGISTER", "COUNTER"]);
+
+// Index of the CLK input of each sequential component (see simulation.js)
+const CLOCK_INPUT = { DFF: 1, JKFF: 1, TFF: 1, REGISTER: 2, COUNTER: 2 };
+
+const lines = (...items) => items.flat().filter((line) => line !== null);
+
+// ========== Verilog ==========
+
+const vRange = (width) => (width > 1 ? `[${width - 1}:0] ` : "");
+
+const vConstant = (value, width) =>
+  width > 1 ? `${width}'d${value}` : `1'b${value}`;
+
+function vExpr(input) {
+  return input.net ?? vConstant(input.constant, input.width);
+}
+
+function vBit(input, bit) {
+  if (input.net === undefined) return vConstant((input.constant >> bit) & 1, 1);
+  return input.width > 1 ? `${input.net}[${bit}]` : input.net;
+}
+
+const V_OPERATORS = { AND: "&", OR: "|", XOR: "^", NAND: "&", NOR: "|" };
+
+function verilogCell(cell) {
+  const { gate, name, outputs } = cell;
+  const bits = gate.bits ?? 1;
+  const inputs = cell.inputs.map(vExpr);
+  const assign = (net, expr) => `  assign ${net} = ${expr};`;
+
+  switch (gate.type) {
+    case "OUTPUT":
+      return [assign(outputs[0], inputs[0])];
+    case "AND":
+    case "OR":
+    case "XOR":
+    case "NAND":
+    case "NOR":
+    case "NOT": {
+      if (bits === 1) {
+        const primitive = gate.type.toLowerCase();
+        return [
+          `  ${primitive} ${name} (${[outputs[0], ...inputs].join(", ")});`,
+        ];
+      }
+      if (gate.type === "NOT") return [assign(outputs[0], `~${inputs[0]}`)];
+      const expr = inputs.join(` ${V_OPERATORS[gate.type]} `);
+      return [
+        assign(
+          outputs[0],
+          gate.type === "NAND" || gate.type === "NOR" ? `~(${expr})` : expr,
+        ),
+      ];
+    }
+    case "SPLITTER":
+      return outputs.map((net, i) => assign(net, vBit(cell.inputs[0], i)));
+    case "MERGER":
+      return [assign(outputs[0], `{${[...inputs].reverse().join(", ")}}`)];
+    case "MUX": {
+      const select = inputs[inputs.length - 1];
+      const width = cell.inputs[inputs.length - 1].width;
+      const data = inputs.slice(0, -1);
+      const choices = data
+        .slice(0, -1)
+        .map((d, i) => `${select} == ${vConstant(i, width)} ? ${d} : `);
+      return [
+        assign(outputs[0], `${choices.join("")}${data[data.length - 1]}`),
+      ];
+    }
+    case "DEMUX": {
+      const [data, select] = inputs;
+      const width = cell.inputs[1].width;
+      return outputs.map((net, i) =>
+        assign(
+          net,
+          `${select} == ${vConstant(i, width)} ? ${data} : ${vConstant(0, bits)}`,
+        ),
+      );
+    }
+    case "DECODER": {
+      const [address, enable] = inputs;
+      const width = cell.inputs[0].width;
+      return outputs.map((net, i) =>
+        assign(net, `${enable} & (${address} == ${vConstant(i, width)})`),
+      );
+    }
+    case "ENCODER": {
+      const width = gate.outputs[0].width ?? 1;
+      const choices = inputs
+        .map((active, i) => `${active} ? ${vConstant(i, width)} : `)
+        .slice(1)
+        .reverse();
+      return [
+        assign(outputs[0], `${choices.join("")}${vConstant(0, width)}`),
+        assign(outputs[1], inputs.join(" | ")),
+      ];
+    }
+    case "ADDER":
+      return [assign(`{${outputs[1]}, ${outputs[0]}}`, inputs.join(" + "))];
+    case "COMPARATOR": {
+      const [a, b] = inputs;
+      return ["<", "==", ">"].map((op, i) =>
+        assign(outputs[i], `${a} ${op} ${b}`),
+      );
+    }
+    case "SUBCIRCUIT": {
+      if (cell.missing)
+        return [`  // ${name}: missing or recursive subcircuit`];
+      const connections = cell.connections.map(
+        ({ port, net, input }) => `.${port}(${net ?? vExpr(input)})`,
+      );
+      return [`  ${cell.module.name} ${name} (${connections.join(", ")});`];
+    }
+  }
+  if (SEQUENTIAL.has(gate.type)) return verilogSequential(cell, inputs);
+  return [`  // ${name}: ${gate.type} has no Verilog equivalent`];
+}
+
+function verilogSequential(cell, inputs) {
+  const { gate, internal: q, outputs } = cell;
+  const bits = gate.bits ?? 1;
+  const clockInput = cell.inputs[CLOCK_INPUT[gate.type]];
+  const result = [`  reg ${vRange(bits)}${q} = ${vConstant(0, bits)};`];
+
+  let next;
+  if (gate.type === "DFF") next = [`${q} <= ${inputs[0]};`];
+  if (gate.type === "TFF") next = [`if (${inputs[0]}) ${q} <= ~${q};`];
+  if (gate.type === "REGISTER") {
+    next = [`if (${inputs[1]}) ${q} <= ${inputs[0]};`];
+  }
+  if (gate.type === "JKFF") {
+    next = [
+      `case ({${inputs[0]}, ${inputs[2]}})`,
+      `  2'b01: ${q} <= 1'b0;`,
+      `  2'b10: ${q} <= 1'b1;`,
+      `  2'b11: ${q} <= ~${q};`,
+      `  default: ${q} <= ${q};`,
+      "endcase",
+    ];
+  }
+
+  if (clockInput.net === undefined) {
+    result.push(`  // ${cell.name}: CLK is unconnected, so it keeps its value`);
+  } else if (gate.type === "COUNTER") {
+    // RST clears the counter without waiting for a clock edge
+    const [enable, reset] = inputs;
+    const increment = `if (${enable}) ${q} <= ${q} + 1'b1;`;
+    result.push(
+      ...(cell.inputs[1].net === undefined
+        ? [`  always @(posedge ${inputs[2]})`, `    ${increment}`]
+        : [
+            `  always @(posedge ${inputs[2]} or posedge ${reset})`,
+            `    if (${reset}) ${q} <= ${vConstant(0, bits)};`,
+            `    else ${increment}`,
+          ]),
+    );
+  } else {
+    result.push(
+      `  always @(posedge ${inputs[CLOCK_INPUT[gate.type]]})`,
+      ...next.map((line) => `    ${line}`),
+    );
+  }
+
+  result.push(`  assign ${outputs[0]} = ${q};`);
+  if (outputs[1]) result.push(`  assign ${outputs[1]} = ~${q};`);
+  return result;
+}
+
+function verilogModule(module) {
+  const ports = module.ports.map(
+    (port) =>
+      `  ${port.dir === "in" ? "input" : "output"} ${vRange(port.width)}${port.name}`,
+  );
+  const clocks = module.ports
+    .filter((port) => port.clock !== undefined)
+    .map((port) => `// ${port.name}: ${port.clock} Hz clock in the editor`);
+  return lines(
+    clocks,
+    ports.length > 0
+      ? [`module ${module.name} (`, ports.join(",\n"), ");"]
+      : `module ${module.name};`,
+    module.nets.map((net) => `  wire ${vRange(net.width)}${net.name};`),
+    module.nets.length > 0 ? "" : null,
+    module.cells.flatMap(verilogCell),
+    "endmodule",
+  ).join("\n");
+}
+
+/**
+ * Structural Verilog-2001 for a circuit: one module per subcircuit
+ * definition and a top module called `name`. Single-bit logic gates are
+ * gate primitives; everything else is continuous assignments, and
+ * sequential components are `always` blocks with the simulator's
+ * power-up value as their initial value.
+ */
+export function toVerilog(circuit, { name = "circuit" } = {}) {
+  const { modules } = buildNetlist(circuit, name);
+  return `${modules.map(verilogModule).join("\n\n")}\n`;
+}
+
+// ========== VHDL ==========
+
+const vhdlType = (width) =>
+  width > 1 ? `std_logic_vector(${width - 1} downto 0)` : "std_logic";
+
+function vhdlConstant(value, width) {
+  if (width === 1) return `'${value}'`;
+  return `"${value.toString(2).padStart(width, "0").slice(-width)}"`;
+}
+
+function vhdlExpr(input) {
+  return input.net ?? vhdlConstant(input.constant, input.width);
+}
+
+function vhdlBit(input, bit) {
+  if (input.net === undefined) {
+    return vhdlConstant((input.constant >> bit) & 1, 1);
+  }
+  return input.width > 1 ? `${input.net}(${bit})` : input.net;
+}
+
+// Condition that `input` equals `value`; decided here for unconnected
+// pins, since comparing two literals is ambiguous in VHDL
+function vhdlIs(input, value) {
+  if (input.net === undefined) return String(input.constant === value);
+  return `${input.net} = ${vhdlConstant(value, input.width)}`;
+}
+
+// `input` as an unsigned number `width` bits wide
+function vhdlUnsigned(input, width) {
+  const value =
+    input.width > 1
+      ? input.net
+        ? `unsigned(${input.net})`
+        : `unsigned'(${vhdlConstant(input.constant, input.width)})`
+      : `unsigned'(0 => ${vhdlExpr(input)})`;
+  return `resize(${value}, ${width})`;
+}
+
+const VHDL_OPERATORS = {
+  AND: "and",
+  OR: "or",
+  XOR: "xor",
+  NAND: "and",
+  NOR: "or",
+};
+
+function vhdlCell(cell) {
+  const { gate, name, outputs } = cell;
+  const bits = gate.bits ?? 1;
+  const inputs = cell.inputs.map(vhdlExpr);
+  const assign = (net, expr) => `  ${net} <= ${expr};`;
+  const flag = (condition) => `'1' when ${condition} else '0'`;
+
+  switch (gate.type) {
+    case "OUTPUT":
+      return [assign(outputs[0], inputs[0])];
+    case "NOT":
+      return [assign(outputs[0], `not ${inputs[0]}`)];
+    case "AND":
+    case "OR":
+    case "XOR":
+    case "NAND":
+    case "NOR": {
+      const expr = inputs.join(` ${VHDL_OPERATORS[gate.type]} `);
+      return [
+        assign(
+          outputs[0],
+          gate.type === "NAND" || gate.type === "NOR" ? `not (${expr})` : expr,
+        ),
+      ];
+    }
+    case "SPLITTER":
+      return outputs.map((net, i) => assign(net, vhdlBit(cell.inputs[0], i)));
+    case "MERGER":
+      return [assign(outputs[0], [...inputs].reverse().join(" & "))];
+    case "MUX": {
+      const select = cell.inputs[inputs.length - 1];
+      const data = inputs.slice(0, -1);
+      const choices = data
+        .slice(0, -1)
+        .map((d, i) => `${d} when ${vhdlIs(select, i)} else `);
+      return [
+        assign(outputs[0], `${choices.join("")}${data[data.length - 1]}`),
+      ];
+    }
+    case "DEMUX": {
+      const select = cell.inputs[1];
+      return outputs.map((net, i) =>
+        assign(
+          net,
+          `${inputs[0]} when ${vhdlIs(select, i)} else ${vhdlConstant(0, bits)}`,
+        ),
+      );
+    }
+    case "DECODER": {
+      const [address, enable] = cell.inputs;
+      return outputs.map((net, i) =>
+        assign(net, flag(`${vhdlIs(address, i)} and ${vhdlIs(enable, 1)}`)),
+      );
+    }
+    case "ENCODER": {
+      const width = gate.outputs[0].width ?? 1;
+      const choices = cell.inputs
+        .map(
+          (active, i) =>
+            `${vhdlConstant(i, width)} when ${vhdlIs(active, 1)} else `,
+        )
+        .slice(1)
+        .reverse();
+      return [
+        assign(outputs[0], `${choices.join("")}${vhdlConstant(0, width)}`),
+        assign(outputs[1], inputs.join(" or ")),
+      ];
+    }
+    case "ADDER": {
+      const sum = cell.inputs
+        .map((input) => vhdlUnsigned(input, bits + 1))
+        .join(" + ");
+      return [
+        assign(cell.internal, `std_logic_vector(${sum})`),
+        assign(
+          outputs[0],
+          bits > 1
+            ? `${cell.internal}(${bits - 1} downto 0)`
+            : `${cell.internal}(0)`,
+        ),
+        assign(outputs[1], `${cell.internal}(${bits})`),
+      ];
+    }
+    case "COMPARATOR": {
+      const [a, b] = cell.inputs.map((input) => vhdlUnsigned(input, bits));
+      return ["<", "=", ">"].map((op, i) =>
+        assign(outputs[i], flag(`${a} ${op} ${b}`)),
+      );
+    }
+    case "SUBCIRCUIT": {
+      if (cell.missing)
+        return [`  -- ${name}: missing or recursive subcircuit`];
+      const connections = cell.connections.map(
+        ({ port, net, input }) => `${port} => ${net ?? vhdlExpr(input)}`,
+      );
+      return [
+        `  ${name}: entity work.${cell.module.name}`,
+        `    port map (${connections.join(", ")});`,
+      ];
+    }
+  }
+  if (SEQUENTIAL.has(gate.type)) return vhdlSequential(cell, inputs);
+  return [`  -- ${name}: ${gate.type} has no VHDL equivalent`];
+}
+
+function vhdlSequential(cell, inputs) {
+  const { gate, internal: q, outputs } = cell;
+  const bits = gate.bits ?? 1;
+  const clock = inputs[CLOCK_INPUT[gate.type]];
+  const high = (i) => vhdlIs(cell.inputs[i], 1);
+
+  let next;
+  if (gate.type === "DFF") next = [`${q} <= ${inputs[0]};`];
+  if (gate.type === "TFF") {
+    next = [`if ${high(0)} then`, `  ${q} <= not ${q};`, "end if;"];
+  }
+  if (gate.type === "REGISTER") {
+    next = [`if ${high(1)} then`, `  ${q} <= ${inputs[0]};`, "end if;"];
+  }
+  if (gate.type === "JKFF") {
+    next = [
+      `if ${high(0)} and ${high(2)} then`,
+      `  ${q} <= not ${q};`,
+      `elsif ${high(0)} then`,
+      `  ${q} <= '1';`,
+      `elsif ${high(2)} then`,
+      `  ${q} <= '0';`,
+      "end if;",
+    ];
+  }
+  if (gate.type === "COUNTER") {
+    next = [
+      `if ${high(0)} then`,
+      bits > 1
+        ? `  ${q} <= std_logic_vector(unsigned(${q}) + 1);`
+        : `  ${q} <= not ${q};`,
+      "end if;",
+    ];
+  }
+
+  const result = [];
+  if (cell.inputs[CLOCK_INPUT[gate.type]].net === undefined) {
+    result.push(`  -- ${cell.name}: CLK is unconnected, so it keeps its value`);
+  } else {
+    // RST clears a counter without waiting for a clock edge
+    const reset =
+      gate.type === "COUNTER" && cell.inputs[1].net !== undefined
+        ? inputs[1]
+        : null;
+    result.push(
+      `  ${cell.name}_clocked: process (${reset ? `${clock}, ${reset}` : clock})`,
+      "  begin",
+      ...(reset
+        ? [
+            `    if ${reset} = '1' then`,
+            `      ${q} <= ${vhdlConstant(0, bits)};`,
+            `    elsif rising_edge(${clock}) then`,
+          ]
+        : [`    if rising_edge(${clock}) then`]),
+      ...next.map((line) => `      ${line}`),
+      "    end if;",
+      "  end process;",
+    );
+  }
+
+  result.push(`  ${outputs[0]} <= ${q};`);
+  if (outputs[1]) result.push(`  ${outputs[1]} <= not ${q};`);
+  return result;
+}
+
+function vhdlModule(module) {
+  const ports = module.ports.map(
+    (port) => `    ${port.name} : ${port.dir} ${vhdlType(port.width)}`,
+  );
+  const clocks = module.ports
+    .filter((port) => port.clock !== undefined)
+    .map((port) => `-- ${port.name}: ${port.clock} Hz clock in the editor`);
+  const signals = [
+    ...module.nets.map(
+      (net) => `  signal ${net.name} : ${vhdlType(net.width)};`,
+    ),
+    ...module.cells
+      .filter((cell) => cell.internal)
+      .map((cell) => {
+        const bits = cell.gate.bits ?? 1;
+        const width = cell.gate.type === "ADDER" ? bits + 1 : bits;
+        const initial = SEQUENTIAL.has(cell.gate.type)
+          ? ` := ${vhdlConstant(0, width)}`
+          : "";
+        return `  signal ${cell.internal} : ${vhdlType(width)}${initial};`;
+      }),
+  ];
+
+  return lines(
+    "library ieee;",
+    "use ieee.std_logic_1164.all;",
+    "use ieee.numeric_std.all;",
+    "",
+    clocks,
+    `entity ${module.name} is`,
+    ports.length > 0 ? ["  port (", ports.join(";\n"), "  );"] : null,
+    `end entity ${module.name};`,
+    "",
+    `architecture structural of ${module.name} is`,
+    signals,
+    "begin",
+    module.cells.flatMap(vhdlCell),
+    "end architecture structural;",
+  ).join("\n");
+}
+
+/**
+ * Structural VHDL-93 for a circuit: one entity per subcircuit definition
+ * and a top entity called `name`, using ieee.numeric_std for arithmetic.
+ * Sequential components are clocked processes on signals initialised to
+ * the simulator's power-up value.
+ */
+export function toVHDL(circuit, { name = "circuit" } = {}) {
+  const { modules } = buildNetlist(circuit, name);
+  return `${modules.map(vhdlModule).join("\n\n")}\n`;
+}
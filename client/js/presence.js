@@ -6,6 +6,7 @@ export class PresenceManager {
     this.users = new Map(); // userId -> user info
     this.cursors = new Map(); // userId -> cursor position
     this.localUserId = null;
+    this.locked = false; // session refuses new joiners
     this.cursorOverlay = null;
 
     this.setupListeners();
@@ -17,16 +18,38 @@ export class PresenceManager {
     this.crdt.on("awareness", ({ userId, state }) => {
       if (userId === this.localUserId) return;
 
+      // Only show cursors of users looking at the same (sub)circuit
+      if ((state.scope ?? null) !== this.crdt.currentScope()) {
+        if (this.cursors.delete(userId)) this.renderCursors();
+        return;
+      }
       if (state.cursor) {
         this.cursors.set(userId, state.cursor);
         this.renderCursors();
       }
     });
 
-    this.crdt.on("connected", ({ users }) => {
+    this.crdt.on("scopeChanged", () => {
+      this.cursors.clear();
+      this.renderCursors();
+    });
+
+    this.crdt.on("connected", ({ users, locked }) => {
+      this.locked = !!locked;
       this.updateUsers(users);
     });
 
+    this.crdt.on("sessionUpdated", ({ users, locked }) => {
+      this.locked = locked;
+      this.updateUsers(users);
+    });
+
+    this.crdt.on("kicked", () => {
+      this.cursors.clear();
+      this.updateUsers([]);
+      this.renderCursors();
+    });
+
     this.crdt.on("userConnected", (user) => {
       this.users.set(user.id, user);
       this.renderUsers();
@@ -102,20 +125,110 @@ export class PresenceManager {
     }
 
     usersList.innerHTML = "";
+    const isOwner = this.crdt.role === "owner";
+    if (isOwner) usersList.appendChild(this.renderSessionControls());
+
     for (const [userId, user] of this.users) {
       const item = document.createElement("div");
       item.className = "user-item";
       item.innerHTML = `
-        <div class="user-avatar" style="background: ${user.color}">${user.name.charAt(0).toUpperCase()}</div>
+        <div class="user-avatar" style="background: ${user.color}"></div>
         <div class="user-item-info">
-          <div class="user-item-name">${user.name}${userId === this.localUserId ? " (You)" : ""}</div>
+          <div class="user-item-name"></div>
           <div class="user-item-role ${user.role}">${user.role}</div>
         </div>
       `;
+      const initial = user.name.charAt(0).toUpperCase();
+      item.querySelector(".user-avatar").textContent = initial;
+      item.querySelector(".user-item-name").textContent =
+        `${user.name}${userId === this.localUserId ? " (You)" : ""}`;
+      if (isOwner && userId !== this.localUserId) {
+        item.appendChild(this.renderUserControls(user));
+      }
       usersList.appendChild(item);
     }
   }
 
+  // Owner-only: lock the session and replace the invite links
+  renderSessionControls() {
+    const controls = document.createElement("div");
+    controls.className = "user-actions session-actions";
+    controls.append(
+      this.actionButton(
+        this.locked ? "Unlock" : "Lock",
+        this.locked
+          ? "Let new users join again"
+          : "Stop new users from joining",
+        () => this.manage("PUT", "/lock", { locked: !this.locked }),
+      ),
+      this.actionButton(
+        "New invite links",
+        "Replace the codes of all invite links; the old links stop working",
+        () => this.manage("POST", "/invites/rotate"),
+      ),
+    );
+    return controls;
+  }
+
+  // Owner-only: change a member's role, hand over the session or remove
+  // the member
+  renderUserControls(user) {
+    const controls = document.createElement("div");
+    controls.className = "user-actions";
+    const viewer = user.role === "viewer";
+    controls.append(
+      this.actionButton(
+        viewer ? "Editor" : "Viewer",
+        viewer ? `Let ${user.name} edit` : `Make ${user.name} read-only`,
+        () =>
+          this.manage("PUT", `/users/${user.id}/role`, {
+            role: viewer ? "editor" : "viewer",
+          }),
+      ),
+      this.actionButton("Owner", `Make ${user.name} the owner`, () => {
+        if (confirm(`Make ${user.name} the owner? You become an editor.`)) {
+          this.manage("POST", "/owner", { userId: user.id });
+        }
+      }),
+      this.actionButton("Remove", `Remove ${user.name}`, () => {
+        if (confirm(`Remove ${user.name} from the session?`)) {
+          this.manage("DELETE", `/users/${user.id}`);
+        }
+      }),
+    );
+    return controls;
+  }
+
+  actionButton(label, title, onClick) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  // Call an owner control endpoint; its result reaches everyone as a
+  // session update
+  async manage(method, path, body) {
+    try {
+      const response = await fetch(
+        `/api/sessions/${this.crdt.sessionId}${path}`,
+        {
+          method,
+          headers: {
+            "Content-Type": "application/json",
+            ...this.crdt.authHeaders(),
+          },
+          body: body && JSON.stringify(body),
+        },
+      );
+      const data = await response.json();
+      if (data.error) throw new Error(data.error);
+    } catch (error) {
+      this.showToast(error.message, "error");
+    }
+  }
+
   renderCursors() {
     if (!this.cursorOverlay) return;
 
@@ -134,8 +247,10 @@ export class PresenceManager {
       cursorEl.style.setProperty("--cursor-color", user.color);
       cursorEl.innerHTML = `
         <div class="cursor-pointer" style="border-bottom-color: ${user.color}"></div>
-        <div class="cursor-label" style="background: ${user.color}">${user.name}</div>
+        <div class="cursor-label" style="background: ${user.color}"></div>
       `;
+      // Names are chosen by users, so they are never markup
+      cursorEl.querySelector(".cursor-label").textContent = user.name;
       this.cursorOverlay.appendChild(cursorEl);
     }
   }
@@ -146,7 +261,9 @@ export class PresenceManager {
 
     const toast = document.createElement("div");
     toast.className = `toast ${type}`;
-    toast.innerHTML = `<span class="toast-message">${message}</span>`;
+    // Messages can carry names and server text, so they are never markup
+    toast.innerHTML = '<span class="toast-message"></span>';
+    toast.querySelector(".toast-message").textContent = message;
     container.appendChild(toast);
 
     setTimeout(() => {
@@ -0,0 +1,529 @@
+// Logic simulation engine
+//
+// Evaluates the shared circuit (gates Y.Map + wires Y.Array) locally.
+// Every client runs the same evaluation over the same CRDT state, so
+// all collaborators see identical signal levels without extra sync. The
+// values stored in flip-flops, registers and counters depend on the
+// history of clock edges, so they are shared through the session
+// document too (see EventSimulator.seed).
+
+// Single-bit levels are three-valued: true, false, or undefined for
+// "unknown" (X). Feedback loops start out unknown until something forces
+// them. Multi-bit buses carry an unsigned number, or undefined if unknown.
+
+// Propagation delay used when a gate has no `delay` of its own
+export const DEFAULT_GATE_DELAY = 1;
+
+// Steps `settle` may take before a circuit is reported as not settling
+export const MAX_SETTLE_STEPS = 5000;
+
+function and(inputs) {
+  if (inputs.some((level) => level === false)) return false;
+  if (inputs.every((level) => level === true)) return true;
+  return undefined;
+}
+
+function or(inputs) {
+  if (inputs.some((level) => level === true)) return true;
+  if (inputs.every((level) => level === false)) return false;
+  return undefined;
+}
+
+function not(level) {
+  return level === undefined ? undefined : !level;
+}
+
+function xor(inputs) {
+  if (inputs.some((level) => level === undefined)) return undefined;
+  return inputs.filter(Boolean).length % 2 === 1;
+}
+
+// Logic function for each gate type
+export const GATE_LOGIC = {
+  AND: and,
+  OR: or,
+  NOT: ([a]) => not(a),
+  XOR: xor,
+  NAND: (inputs) => not(and(inputs)),
+  NOR: (inputs) => not(or(inputs)),
+};
+
+const busMask = (bits) => 2 ** bits - 1;
+
+function bitwise(op) {
+  return (inputs, bits) => {
+    if (inputs.some((level) => level === undefined)) return undefined;
+    return (op(inputs) & busMask(bits)) >>> 0;
+  };
+}
+
+const busAnd = (inputs) => inputs.reduce((a, b) => a & b);
+const busOr = (inputs) => inputs.reduce((a, b) => a | b);
+const busXor = (inputs) => inputs.reduce((a, b) => a ^ b);
+
+// Bitwise logic for gates wider than one bit
+export const BUS_LOGIC = {
+  AND: bitwise(busAnd),
+  OR: bitwise(busOr),
+  NOT: bitwise(([a]) => ~a),
+  XOR: bitwise(busXor),
+  NAND: bitwise((inputs) => ~busAnd(inputs)),
+  NOR: bitwise((inputs) => ~busOr(inputs)),
+};
+
+// Single-bit levels are booleans and buses are numbers; building blocks
+// work on numbers and convert back per output pin width
+const toNumber = (level) => (typeof level === "boolean" ? +level : level);
+const fromNumber = (value, width) => (width > 1 ? value : value === 1);
+
+/**
+ * Combinational building blocks. Each receives the input levels and the
+ * gate, and returns one level per output pin. An unknown select or operand
+ * makes the affected outputs unknown.
+ */
+const BLOCK_LOGIC = {
+  MUX: (inputs) => {
+    const select = toNumber(inputs[inputs.length - 1]);
+    return [select === undefined ? undefined : inputs[select]];
+  },
+  DEMUX: ([data, select], gate) => {
+    select = toNumber(select);
+    return gate.outputs.map((pin, i) => {
+      if (select === undefined || data === undefined) return undefined;
+      return i === select ? data : fromNumber(0, pin.width ?? 1);
+    });
+  },
+  DECODER: ([address, enable], gate) => {
+    address = toNumber(address);
+    return gate.outputs.map((_, i) => {
+      if (enable === false) return false;
+      if (address === undefined || enable === undefined) return undefined;
+      return i === address;
+    });
+  },
+  ENCODER: (inputs, gate) => {
+    const width = gate.outputs[0].width ?? 1;
+    let active = -1;
+    for (let i = inputs.length - 1; i >= 0 && active === -1; i--) {
+      if (inputs[i] === undefined) return [undefined, undefined];
+      if (inputs[i]) active = i;
+    }
+    return [fromNumber(Math.max(active, 0), width), active !== -1];
+  },
+  ADDER: ([a, b, carry], gate) => {
+    const bits = gate.bits ?? 1;
+    if ([a, b, carry].some((level) => level === undefined)) {
+      return [undefined, undefined];
+    }
+    const sum = toNumber(a) + toNumber(b) + toNumber(carry);
+    return [fromNumber(sum % 2 ** bits, bits), sum >= 2 ** bits];
+  },
+  COMPARATOR: ([a, b]) => {
+    if (a === undefined || b === undefined) {
+      return [undefined, undefined, undefined];
+    }
+    a = toNumber(a);
+    b = toNumber(b);
+    return [a < b, a === b, a > b];
+  },
+};
+
+// Level an unconnected input pin reads
+function floatingLevel(pin) {
+  if ((pin.width ?? 1) > 1) return 0;
+  return !!pin.pullUp;
+}
+
+/**
+ * Level of a CLOCK component at a session clock tick. The session clock
+ * ticks `rate` times per second; the component toggles every half period
+ * of its own `frequency`, starting low at tick 0.
+ */
+export function clockLevel(gate, tick, rate) {
+  const halfPeriod = Math.max(
+    1,
+    Math.round(rate / (2 * (gate.frequency ?? 1))),
+  );
+  return Math.floor(tick / halfPeriod) % 2 === 1;
+}
+
+// Stored value a sequential component powers up (or resets) with
+function initialState(gate) {
+  return (gate.bits ?? 1) > 1 ? 0 : false;
+}
+
+const flipFlopOutputs = (q) => [q, not(q)];
+
+/**
+ * Next-state functions for edge-triggered components. Each receives the
+ * stored value `q`, the input levels and whether CLK just rose, and
+ * returns the new stored value. Unknown inputs on an edge make `q` unknown.
+ */
+const SEQUENTIAL_LOGIC = {
+  DFF: {
+    clock: 1,
+    next: (q, [d], rising) => (rising ? d : q),
+    outputs: flipFlopOutputs,
+  },
+  JKFF: {
+    clock: 1,
+    next: (q, [j, , k], rising) => {
+      if (!rising) return q;
+      if (j === undefined || k === undefined) return undefined;
+      if (j && k) return not(q);
+      if (j) return true;
+      if (k) return false;
+      return q;
+    },
+    outputs: flipFlopOutputs,
+  },
+  TFF: {
+    clock: 1,
+    next: (q, [t], rising) => {
+      if (!rising) return q;
+      if (t === undefined) return undefined;
+      return t ? not(q) : q;
+    },
+    outputs: flipFlopOutputs,
+  },
+  REGISTER: {
+    clock: 2,
+    next: (q, [d, en], rising) => {
+      if (!rising || en === false) return q;
+      return en === undefined ? undefined : d;
+    },
+    outputs: (q) => [q],
+  },
+  COUNTER: {
+    clock: 2,
+    // RST clears immediately; otherwise count up on each enabled edge
+    next: (q, [en, rst], rising, bits) => {
+      if (rst === true) return 0;
+      if (rst === undefined) return undefined;
+      if (!rising || en === false) return q;
+      if (en === undefined || q === undefined) return undefined;
+      return (q + 1) % 2 ** bits;
+    },
+    outputs: (q) => [q],
+  },
+};
+
+/**
+ * Output levels of a gate for the given input levels, one per output pin.
+ * Returns null for gates that drive nothing (e.g. OUTPUT).
+ */
+export function computeOutputs(gate, inputs) {
+  const bits = gate.bits ?? 1;
+
+  switch (gate.type) {
+    case "INPUT":
+      return [
+        bits > 1 ? ((gate.value ?? 0) & busMask(bits)) >>> 0 : !!gate.value,
+      ];
+    case "SPLITTER": {
+      const bus = inputs[0];
+      return gate.outputs.map((_, i) =>
+        bus === undefined ? undefined : ((bus >>> i) & 1) === 1,
+      );
+    }
+    case "MERGER": {
+      if (inputs.some((level) => level === undefined)) return [undefined];
+      return [inputs.reduce((bus, level, i) => bus + (level ? 2 ** i : 0), 0)];
+    }
+    // Boundary of a flattened subcircuit instance: passes its input through
+    case "PORT":
+      return [inputs[0]];
+  }
+  if (BLOCK_LOGIC[gate.type]) return BLOCK_LOGIC[gate.type](inputs, gate);
+
+  const logic = bits > 1 ? BUS_LOGIC[gate.type] : GATE_LOGIC[gate.type];
+  if (!logic) return null;
+  const result = logic(inputs, bits);
+  return gate.outputs.map(() => result);
+}
+
+// Map each input pin id to the output pin id driving it
+function buildDrivers(wires) {
+  const drivers = new Map();
+  for (const wire of wires) {
+    drivers.set(wire.to.pinId, wire.from.pinId);
+  }
+  return drivers;
+}
+
+// Order gates so every gate comes after the gates feeding it.
+// Gates in (or downstream of) a feedback loop are returned separately.
+function topologicalOrder(gates, wires) {
+  const indegree = new Map();
+  const successors = new Map();
+  for (const id of gates.keys()) {
+    indegree.set(id, 0);
+    successors.set(id, []);
+  }
+
+  for (const wire of wires) {
+    const from = wire.from.gateId;
+    const to = wire.to.gateId;
+    if (!gates.has(from) || !gates.has(to)) continue;
+    successors.get(from).push(to);
+    indegree.set(to, indegree.get(to) + 1);
+  }
+
+  const queue = [];
+  indegree.forEach((count, id) => {
+    if (count === 0) queue.push(id);
+  });
+
+  const order = [];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    for (const next of successors.get(id)) {
+      indegree.set(next, indegree.get(next) - 1);
+      if (indegree.get(next) === 0) queue.push(next);
+    }
+  }
+
+  const cyclic = new Set();
+  indegree.forEach((count, id) => {
+    if (count > 0) cyclic.add(id);
+  });
+
+  return { order, cyclic };
+}
+
+/**
+ * Evaluate a combinational circuit in one pass.
+ *
+ * Returns a Map of pin id -> level for every input and output pin, plus
+ * the set of gate ids that sit in a feedback loop. Pins that depend on a
+ * loop are left unknown. Unconnected inputs read as low.
+ */
+export function evaluateCircuit(gates, wires) {
+  const levels = new Map();
+  const drivers = buildDrivers(wires);
+  const { order, cyclic } = topologicalOrder(gates, wires);
+
+  for (const id of order) {
+    const gate = gates.get(id);
+
+    const inputs = gate.inputs.map((pin) => {
+      const source = drivers.get(pin.id);
+      const level = source ? levels.get(source) : floatingLevel(pin);
+      levels.set(pin.id, level);
+      return level;
+    });
+
+    const outputs = computeOutputs(gate, inputs);
+    if (!outputs) continue;
+    gate.outputs.forEach((pin, i) => levels.set(pin.id, outputs[i]));
+  }
+
+  return { levels, cyclic };
+}
+
+/**
+ * Event-driven simulator for sequential circuits.
+ *
+ * Each gate output change is scheduled `delay` time units after the input
+ * change that caused it, so feedback loops (latches, ring oscillators)
+ * evolve over time instead of being rejected. Pin levels survive `load`,
+ * which lets a latch keep its state while the circuit is edited.
+ *
+ * `seed(gateId)` may give a sequential component seen for the first time
+ * its stored value `{ q }` (e.g. one shared by collaborators) instead of
+ * the power-up value.
+ */
+export class EventSimulator {
+  constructor() {
+    this.time = 0;
+    this.gates = new Map();
+    this.levels = new Map(); // pinId -> level
+    this.drivers = new Map(); // input pinId -> output pinId
+    this.fanout = new Map(); // output pinId -> Set<gateId>
+    this.queue = []; // pending { time, pinId, level }, sorted by time
+    this.state = new Map(); // gateId -> { q, clk } for sequential components
+    this.seed = null; // gateId -> { q } or null
+    this.clock = { tick: 0, rate: 10 }; // session clock
+    this.edges = 0; // rising clock edges sequential components have taken
+  }
+
+  // Move the session clock; CLOCK components follow it
+  setClock(tick, rate = this.clock.rate) {
+    this.clock = { tick, rate };
+    this.gates.forEach((gate, id) => {
+      if (gate.type === "CLOCK") this.evaluate(id);
+    });
+  }
+
+  // Return every flip-flop, register and counter to its power-up value,
+  // or with `seeded` to the value seed() gives where it gives one
+  resetState(seeded = false) {
+    const seed = this.seed;
+    if (!seeded) this.seed = null;
+    this.state.clear();
+    this.gates.forEach((_, id) => this.evaluate(id));
+    this.seed = seed;
+  }
+
+  // Replace a sequential component's stored value
+  adoptState(gateId, q) {
+    const state = this.state.get(gateId);
+    if (!state || state.q === q) return;
+    this.state.set(gateId, { ...state, q });
+    this.evaluate(gateId);
+  }
+
+  // Rebuild the netlist and re-evaluate every gate at the current time
+  load(gates, wires) {
+    this.gates = gates;
+    this.drivers = new Map();
+    this.fanout = new Map();
+
+    const pins = new Set();
+    gates.forEach((gate) => {
+      gate.inputs.forEach((pin) => pins.add(pin.id));
+      gate.outputs.forEach((pin) => pins.add(pin.id));
+    });
+
+    for (const wire of wires) {
+      if (!pins.has(wire.from.pinId) || !pins.has(wire.to.pinId)) continue;
+      this.drivers.set(wire.to.pinId, wire.from.pinId);
+      if (!this.fanout.has(wire.from.pinId)) {
+        this.fanout.set(wire.from.pinId, new Set());
+      }
+      this.fanout.get(wire.from.pinId).add(wire.to.gateId);
+    }
+
+    for (const pinId of this.levels.keys()) {
+      if (!pins.has(pinId)) this.levels.delete(pinId);
+    }
+    for (const gateId of this.state.keys()) {
+      if (!gates.has(gateId)) this.state.delete(gateId);
+    }
+    this.queue = this.queue.filter((event) => pins.has(event.pinId));
+
+    gates.forEach((_, id) => this.evaluate(id));
+  }
+
+  // Compute a gate's output and schedule it after the gate's delay
+  evaluate(gateId) {
+    const gate = this.gates.get(gateId);
+    if (!gate) return;
+
+    const inputs = gate.inputs.map((pin) => {
+      const source = this.drivers.get(pin.id);
+      const level = source ? this.levels.get(source) : floatingLevel(pin);
+      this.levels.set(pin.id, level);
+      return level;
+    });
+
+    let outputs;
+    if (SEQUENTIAL_LOGIC[gate.type]) {
+      outputs = this.evaluateSequential(gateId, gate, inputs);
+    } else if (gate.type === "CLOCK") {
+      outputs = [clockLevel(gate, this.clock.tick, this.clock.rate)];
+    } else {
+      outputs = computeOutputs(gate, inputs);
+    }
+    if (!outputs) return;
+
+    // Inputs, clocks and wiring components switch instantly
+    const delay =
+      gate.delay ?? (GATE_LOGIC[gate.type] ? DEFAULT_GATE_DELAY : 0);
+    gate.outputs.forEach((pin, i) =>
+      this.schedule(pin.id, outputs[i], this.time + delay),
+    );
+  }
+
+  // Update a component's stored value on a rising clock edge
+  evaluateSequential(gateId, gate, inputs) {
+    const logic = SEQUENTIAL_LOGIC[gate.type];
+    const clk = inputs[logic.clock];
+    let state = this.state.get(gateId);
+    if (!state) {
+      // A seeded value was stored at the current clock level: no edge
+      const seeded = this.seed?.(gateId);
+      state = seeded
+        ? { q: seeded.q, clk }
+        : { q: initialState(gate), clk: undefined };
+    }
+    const rising = state.clk === false && clk === true;
+    if (rising) this.edges++;
+
+    const q = logic.next(state.q, inputs, rising, gate.bits ?? 1);
+    this.state.set(gateId, { q, clk });
+    return logic.outputs(q);
+  }
+
+  schedule(pinId, level, time) {
+    let projected = this.levels.get(pinId);
+    for (const event of this.queue) {
+      if (event.pinId === pinId) projected = event.level;
+    }
+    if (projected === level) return;
+
+    let index = this.queue.length;
+    while (index > 0 && this.queue[index - 1].time > time) index--;
+    this.queue.splice(index, 0, { time, pinId, level });
+  }
+
+  // Advance to the next scheduled time and apply its events.
+  // Returns false when nothing is pending.
+  step() {
+    if (this.queue.length === 0) return false;
+
+    this.time = this.queue[0].time;
+    const affected = new Set();
+    while (this.queue.length > 0 && this.queue[0].time === this.time) {
+      const { pinId, level } = this.queue.shift();
+      if (this.levels.get(pinId) === level) continue;
+      this.levels.set(pinId, level);
+      this.fanout.get(pinId)?.forEach((id) => affected.add(id));
+    }
+
+    affected.forEach((id) => this.evaluate(id));
+    return true;
+  }
+
+  /**
+   * Run until no events are pending.
+   *
+   * Stops early if the circuit returns to a state it has already been in
+   * (a periodic oscillation) or after `maxSteps` steps, so a circuit that
+   * never settles cannot hang the tab.
+   */
+  settle(maxSteps = MAX_SETTLE_STEPS) {
+    const seen = new Map(); // state signature -> time first seen
+    for (let i = 0; i < maxSteps; i++) {
+      if (!this.step()) return { stable: true, oscillating: false };
+
+      const signature = this.signature();
+      if (seen.has(signature)) {
+        return {
+          stable: false,
+          oscillating: true,
+          period: this.time - seen.get(signature),
+        };
+      }
+      seen.set(signature, this.time);
+    }
+    return { stable: false, oscillating: true, period: null };
+  }
+
+  isStable() {
+    return this.queue.length === 0;
+  }
+
+  // Current pin levels plus pending events, relative to the current time
+  signature() {
+    const parts = [];
+    this.gates.forEach((gate) => {
+      gate.outputs.forEach((pin) => parts.push(this.levels.get(pin.id)));
+    });
+    for (const event of this.queue) {
+      parts.push(`${event.time - this.time}:${event.pinId}:${event.level}`);
+    }
+    return parts.join("|");
+  }
+}
@@ -0,0 +1,151 @@
+// Hierarchical subcircuits: port resolution and flattening for simulation
+import { buildPins } from "./gates.js";
+import { getCircuitIO } from "./truthTable.js";
+
+// Id of the instance pin that stands for a definition's INPUT/OUTPUT gate
+export function portPinId(instanceId, portGateId) {
+  return `${instanceId}-${portGateId}`;
+}
+
+/**
+ * Ports of a subcircuit definition: its INPUT and OUTPUT gates in display
+ * order, named like the truth table columns. Keyed by gate id so wires stay
+ * on the right port when the inner circuit is rearranged.
+ */
+export function getPorts(definition) {
+  const io = getCircuitIO(definition.gates);
+  const port = ({ id, label, bits }) => ({ key: id, name: label, width: bits });
+  return { inputs: io.inputs.map(port), outputs: io.outputs.map(port) };
+}
+
+/**
+ * A SUBCIRCUIT gate with its pins, height and name filled in from its
+ * definition. Instances of a missing definition have no pins.
+ */
+export function resolveInstance(gate, definitions) {
+  const definition = definitions.get(gate.subcircuitId);
+  const ports = definition ? getPorts(definition) : { inputs: [], outputs: [] };
+  return {
+    ...gate,
+    name: definition?.name ?? "?",
+    ports,
+    ...buildPins(gate.id, "SUBCIRCUIT", { ports }),
+  };
+}
+
+// A circuit ({ gates, wires, definitions }) with its SUBCIRCUIT instances
+// resolved, as the editor displays it
+export function resolveCircuit(circuit) {
+  const gates = new Map();
+  circuit.gates.forEach((gate, id) => {
+    gates.set(
+      id,
+      gate.type === "SUBCIRCUIT"
+        ? resolveInstance(gate, circuit.definitions)
+        : gate,
+    );
+  });
+  return { ...circuit, gates };
+}
+
+// Definitions whose inner circuit (directly or through nesting) uses `id`
+export function definitionsUsing(id, definitions) {
+  const uses = (definition, seen) =>
+    Array.from(definition.gates.values()).some((gate) => {
+      if (gate.type !== "SUBCIRCUIT") return false;
+      if (gate.subcircuitId === id) return true;
+      if (seen.has(gate.subcircuitId)) return false;
+      seen.add(gate.subcircuitId);
+      const inner = definitions.get(gate.subcircuitId);
+      return inner ? uses(inner, seen) : false;
+    });
+
+  const result = new Set([id]);
+  definitions.forEach((definition, defId) => {
+    if (uses(definition, new Set())) result.add(defId);
+  });
+  return result;
+}
+
+/**
+ * Replace every SUBCIRCUIT instance with a copy of its inner circuit.
+ *
+ * Inner gate, pin and wire ids are prefixed with `<instanceId>/`, so state
+ * is kept per instance. The definition's INPUT and OUTPUT gates become
+ * zero-delay PORT gates whose outer pin keeps the instance pin id, so
+ * displayed levels need no remapping. Instances of a missing or
+ * self-referencing definition are dropped.
+ */
+export function flattenCircuit(gates, wires, definitions, stack = []) {
+  const flatGates = new Map();
+  const flatWires = [...wires];
+
+  gates.forEach((gate, id) => {
+    if (gate.type !== "SUBCIRCUIT") {
+      flatGates.set(id, gate);
+      return;
+    }
+    const definition = definitions.get(gate.subcircuitId);
+    if (!definition || stack.includes(gate.subcircuitId)) return;
+
+    const inner = flattenCircuit(
+      definition.gates,
+      definition.wires,
+      definitions,
+      [...stack, gate.subcircuitId],
+    );
+    const prefix = (innerId) => `${id}/${innerId}`;
+    const prefixPin = (pin) => ({ ...pin, id: prefix(pin.id) });
+
+    inner.gates.forEach((innerGate, innerId) => {
+      const copy = {
+        ...innerGate,
+        id: prefix(innerId),
+        inputs: innerGate.inputs.map(prefixPin),
+        outputs: innerGate.outputs.map(prefixPin),
+      };
+      const outerPin = {
+        id: portPinId(id, innerId),
+        width: innerGate.bits ?? 1,
+      };
+      if (innerGate.type === "INPUT") {
+        Object.assign(copy, { type: "PORT", inputs: [outerPin] });
+      } else if (innerGate.type === "OUTPUT") {
+        const outputs = [{ ...outerPin, wireIds: [] }];
+        Object.assign(copy, { type: "PORT", outputs });
+      }
+      flatGates.set(copy.id, copy);
+    });
+
+    inner.wires.forEach((wire) => {
+      flatWires.push({
+        ...wire,
+        id: prefix(wire.id),
+        from: {
+          gateId: prefix(wire.from.gateId),
+          pinId: prefix(wire.from.pinId),
+        },
+        to: { gateId: prefix(wire.to.gateId), pinId: prefix(wire.to.pinId) },
+      });
+    });
+  });
+
+  // Wires on an instance's pins now end at its PORT gates
+  const owners = new Map();
+  flatGates.forEach((gate, id) => {
+    [...gate.inputs, ...gate.outputs].forEach((pin) => owners.set(pin.id, id));
+  });
+  const reattach = (end) => ({
+    ...end,
+    gateId: owners.get(end.pinId) ?? end.gateId,
+  });
+
+  return {
+    gates: flatGates,
+    wires: flatWires.map((wire) => ({
+      ...wire,
+      from: reattach(wire.from),
+      to: reattach(wire.to),
+    })),
+  };
+}
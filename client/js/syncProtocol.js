@@ -0,0 +1,62 @@
+// Yjs sync messages in the y-protocols/sync wire format:
+// varuint message type, then a varuint-length-prefixed payload.
+//
+//   SYNC_STEP_1  payload is the sender's state vector
+//   SYNC_STEP_2  payload is the update the receiver is missing
+//   UPDATE       payload is an incremental update
+
+export const SYNC_STEP_1 = 0;
+export const SYNC_STEP_2 = 1;
+export const UPDATE = 2;
+
+function varUintLength(value) {
+  let length = 1;
+  while (value > 0x7f) {
+    value = Math.floor(value / 128);
+    length++;
+  }
+  return length;
+}
+
+function writeVarUint(bytes, offset, value) {
+  while (value > 0x7f) {
+    bytes[offset++] = 0x80 | (value & 0x7f);
+    value = Math.floor(value / 128);
+  }
+  bytes[offset++] = value;
+  return offset;
+}
+
+function readVarUint(bytes, offset) {
+  let value = 0;
+  let multiplier = 1;
+  for (;;) {
+    if (offset >= bytes.length) throw new Error("Truncated sync message");
+    const byte = bytes[offset++];
+    value += (byte & 0x7f) * multiplier;
+    if (byte < 0x80) return { value, offset };
+    multiplier *= 128;
+  }
+}
+
+export function encodeSyncMessage(type, payload) {
+  const bytes = new Uint8Array(
+    varUintLength(type) + varUintLength(payload.length) + payload.length,
+  );
+  let offset = writeVarUint(bytes, 0, type);
+  offset = writeVarUint(bytes, offset, payload.length);
+  bytes.set(payload, offset);
+  return bytes;
+}
+
+export function decodeSyncMessage(bytes) {
+  const type = readVarUint(bytes, 0);
+  const length = readVarUint(bytes, type.offset);
+  if (length.offset + length.value > bytes.length) {
+    throw new Error("Truncated sync message");
+  }
+  return {
+    type: type.value,
+    payload: bytes.subarray(length.offset, length.offset + length.value),
+  };
+}
@@ -0,0 +1,112 @@
+// Circuit synthesis from parsed Boolean equations
+import { createGate } from "./gates.js";
+import { createWire } from "./wire.js";
+import { formatExpression } from "./boolean.js";
+
+// Layout grid for generated circuits
+const COLUMN_SPACING = 120;
+const ROW_SPACING = 80;
+
+const GATE_FOR = { and: "AND", or: "OR", xor: "XOR" };
+
+function collectVariables(expr, names) {
+  if (expr.type === "var") names.add(expr.name);
+  if (expr.arg) collectVariables(expr.arg, names);
+  if (expr.args) expr.args.forEach((arg) => collectVariables(arg, names));
+  return names;
+}
+
+/**
+ * Build gates and wires for a list of `{ output, expr }` equations.
+ *
+ * Inputs are shared between equations and identical subexpressions are
+ * built once. N-ary operators become balanced trees of 2-input gates.
+ * Gates are laid out in columns by logic depth starting at `origin`.
+ */
+export function synthesizeCircuit(equations, origin = { x: 40, y: 40 }) {
+  const gates = [];
+  const wires = [];
+  const depths = new Map(); // gateId -> column
+  const shared = new Map(); // formatted subexpression -> gate
+
+  const add = (type, depth, props = {}) => {
+    const gate = { ...createGate(type, 0, 0), ...props };
+    gates.push(gate);
+    depths.set(gate.id, depth);
+    return gate;
+  };
+  const connect = (from, to, pinIndex) => {
+    wires.push(
+      createWire(from.id, from.outputs[0].id, to.id, to.inputs[pinIndex].id),
+    );
+  };
+
+  const names = new Set();
+  equations.forEach(({ expr }) => collectVariables(expr, names));
+  [...names].sort().forEach((name) => {
+    shared.set(name, add("INPUT", 0, { label: name }));
+  });
+
+  const build = (expr) => {
+    const key = formatExpression(expr);
+    if (shared.has(key)) return shared.get(key);
+
+    let gate;
+    if (expr.type === "const") {
+      gate = add("INPUT", 0, { label: key, value: expr.value });
+    } else if (expr.type === "not") {
+      const arg = build(expr.arg);
+      gate = add("NOT", depths.get(arg.id) + 1);
+      connect(arg, gate, 0);
+    } else if (expr.type in GATE_FOR) {
+      let nodes = expr.args.map(build);
+      while (nodes.length > 1) {
+        const next = [];
+        for (let i = 0; i < nodes.length; i += 2) {
+          if (i + 1 === nodes.length) {
+            next.push(nodes[i]);
+            continue;
+          }
+          const [a, b] = [nodes[i], nodes[i + 1]];
+          const node = add(
+            GATE_FOR[expr.type],
+            Math.max(depths.get(a.id), depths.get(b.id)) + 1,
+          );
+          connect(a, node, 0);
+          connect(b, node, 1);
+          next.push(node);
+        }
+        nodes = next;
+      }
+      gate = nodes[0];
+    } else {
+      throw new Error(`Cannot synthesize '${key}'`);
+    }
+
+    shared.set(key, gate);
+    return gate;
+  };
+
+  const roots = equations.map(({ output, expr }) => ({
+    output,
+    root: build(expr),
+  }));
+
+  const outputDepth = Math.max(...depths.values()) + 1;
+  roots.forEach(({ output, root }) => {
+    const gate = add("OUTPUT", outputDepth, { label: output });
+    connect(root, gate, 0);
+  });
+
+  // Stack each column top to bottom in creation order
+  const rows = new Map();
+  gates.forEach((gate) => {
+    const depth = depths.get(gate.id);
+    const row = rows.get(depth) ?? 0;
+    rows.set(depth, row + 1);
+    gate.x = origin.x + depth * COLUMN_SPACING;
+    gate.y = origin.y + row * ROW_SPACING;
+  });
+
+  return { gates, wires };
+}
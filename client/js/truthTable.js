@@ -0,0 +1,249 @@
+// Truth table generation for the shared circuit
+import { EventSimulator } from "./simulation.js";
+import { flattenCircuit } from "./subcircuit.js";
+
+// Inputs beyond this make the table too large to enumerate live
+export const MAX_TRUTH_TABLE_INPUTS = 10;
+
+// Sort top-to-bottom, then left-to-right, so every client labels alike
+function byPosition(a, b) {
+  return a.y - b.y || a.x - b.x || a.id.localeCompare(b.id);
+}
+
+function inputLabel(index) {
+  let label = "";
+  do {
+    label = String.fromCharCode(65 + (index % 26)) + label;
+    index = Math.floor(index / 26) - 1;
+  } while (index >= 0);
+  return label;
+}
+
+/**
+ * Collect the circuit's INPUT and OUTPUT gates in display order.
+ * Gates without a user label are named A, B, C... and Y (or Y1, Y2...).
+ */
+export function getCircuitIO(gates) {
+  const all = Array.from(gates.values()).sort(byPosition);
+  const inputGates = all.filter((gate) => gate.type === "INPUT");
+  const outputGates = all.filter((gate) => gate.type === "OUTPUT");
+
+  return {
+    inputs: inputGates.map((gate, i) => ({
+      id: gate.id,
+      label: gate.label || inputLabel(i),
+      bits: gate.bits ?? 1,
+    })),
+    outputs: outputGates.map((gate, i) => ({
+      id: gate.id,
+      label: gate.label || (outputGates.length === 1 ? "Y" : `Y${i + 1}`),
+      bits: gate.bits ?? 1,
+    })),
+  };
+}
+
+// One column per bit; buses are listed most significant bit first
+function bitColumns(ios) {
+  return ios.flatMap((io) => {
+    if (io.bits === 1) return [{ ...io, bit: null }];
+    return Array.from({ length: io.bits }, (_, i) => {
+      const bit = io.bits - 1 - i;
+      return { ...io, label: `${io.label}[${bit}]`, bit };
+    });
+  });
+}
+
+/**
+ * Enumerate every combination of INPUT values and record the OUTPUTs.
+ *
+ * Multi-bit INPUT and OUTPUT gates contribute one column per bit. Rows are
+ * ordered with the first input column as the most significant bit. Each
+ * row is simulated from an unknown start, so outputs that depend on
+ * stored state or never settle come back undefined.
+ */
+export function generateTruthTable(gates, wires) {
+  const io = getCircuitIO(gates);
+  const inputs = bitColumns(io.inputs);
+  const outputs = bitColumns(io.outputs);
+  const table = { inputs, outputs, rows: [], tooLarge: false };
+
+  if (inputs.length > MAX_TRUTH_TABLE_INPUTS) {
+    table.tooLarge = true;
+    return table;
+  }
+
+  const count = 1 << inputs.length;
+  for (let row = 0; row < count; row++) {
+    const values = inputs.map(
+      (_, i) => ((row >> (inputs.length - 1 - i)) & 1) === 1,
+    );
+
+    // Copy the INPUT gates and rebuild their values from the bit columns
+    const rowGates = new Map(gates);
+    io.inputs.forEach(({ id, bits }) => {
+      rowGates.set(id, { ...gates.get(id), value: bits > 1 ? 0 : false });
+    });
+    inputs.forEach(({ id, bit }, i) => {
+      const gate = rowGates.get(id);
+      gate.value =
+        bit === null ? values[i] : (gate.value | (values[i] << bit)) >>> 0;
+    });
+
+    const simulator = new EventSimulator();
+    simulator.load(rowGates, wires);
+    const { stable } = simulator.settle();
+
+    table.rows.push({
+      inputs: values,
+      outputs: outputs.map(({ id, bit }) => {
+        const level = stable
+          ? simulator.levels.get(gates.get(id).inputs[0].id)
+          : undefined;
+        if (bit === null || level === undefined) return level;
+        return ((level >>> bit) & 1) === 1;
+      }),
+    });
+  }
+
+  return table;
+}
+
+/**
+ * What a circuit's truth table depends on, as a string: the gates without
+ * their positions or Input values, the wires, and the order of the Input
+ * and Output gates, which names and orders the columns.
+ */
+export function truthTableKey(gates, wires) {
+  const { inputs, outputs } = getCircuitIO(gates);
+  const parts = Array.from(gates.values(), ({ x, y, ...gate }) =>
+    gate.type === "INPUT" ? { ...gate, value: null } : gate,
+  );
+  return JSON.stringify([parts, wires, inputs, outputs]);
+}
+
+// Render a level as 1, 0 or X (unknown)
+export function formatLevel(level) {
+  if (level === undefined) return "X";
+  return level ? "1" : "0";
+}
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Labels come from the shared document, where any editor can set them
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+export function truthTableToCSV(table) {
+  const header = [...table.inputs, ...table.outputs].map((io) => io.label);
+  const lines = [header.join(",")];
+  for (const row of table.rows) {
+    lines.push([...row.inputs, ...row.outputs].map(formatLevel).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Live truth table panel in the right sidebar. `onChange(circuit, table)`
+// gets the flattened circuit and its table whenever they change, so other
+// panels build on the same table.
+export class TruthTablePanel {
+  constructor(crdt, onChange = () => {}) {
+    this.crdt = crdt;
+    this.onChange = onChange;
+    this.table = null;
+    this.key = null;
+    this.refreshTimer = null;
+
+    this.setupListeners();
+  }
+
+  setupListeners() {
+    if (!this.crdt) return;
+
+    this.crdt.on("connected", () => this.scheduleRefresh());
+    this.crdt.on("gatesChanged", () => this.scheduleRefresh());
+    this.crdt.on("wiresChanged", () => this.scheduleRefresh());
+    this.crdt.on("subcircuitsChanged", () => this.scheduleRefresh());
+    this.crdt.on("scopeChanged", () => this.scheduleRefresh());
+
+    document
+      .getElementById("exportTruthTable")
+      ?.addEventListener("click", () => this.exportCSV());
+  }
+
+  // Coalesce bursts of edits (e.g. a gate drag) into one refresh
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => this.refresh(), 150);
+  }
+
+  refresh() {
+    const circuit = flattenCircuit(
+      this.crdt.getAllGates(),
+      this.crdt.getAllWires(),
+      this.crdt.getSubcircuits(),
+    );
+    // e.g. after gates were only moved
+    const key = truthTableKey(circuit.gates, circuit.wires);
+    if (key === this.key) return;
+
+    this.key = key;
+    this.table = generateTruthTable(circuit.gates, circuit.wires);
+    this.render();
+    this.onChange(circuit, this.table);
+  }
+
+  render() {
+    const container = document.getElementById("truthTable");
+    if (!container) return;
+
+    const table = this.table;
+    if (!table || table.inputs.length === 0 || table.outputs.length === 0) {
+      container.innerHTML =
+        '<div class="empty-state small"><p>Add Input and Output gates</p></div>';
+      return;
+    }
+    if (table.tooLarge) {
+      container.innerHTML = `<div class="empty-state small"><p>Too many inputs (max ${MAX_TRUTH_TABLE_INPUTS})</p></div>`;
+      return;
+    }
+
+    const header = [
+      ...table.inputs.map((io) => `<th>${escapeHtml(io.label)}</th>`),
+      ...table.outputs.map(
+        (io) => `<th class="output">${escapeHtml(io.label)}</th>`,
+      ),
+    ].join("");
+    const rows = table.rows
+      .map((row) => {
+        const cells = [
+          ...row.inputs.map((level) => `<td>${formatLevel(level)}</td>`),
+          ...row.outputs.map(
+            (level) => `<td class="output">${formatLevel(level)}</td>`,
+          ),
+        ];
+        return `<tr>${cells.join("")}</tr>`;
+      })
+      .join("");
+
+    container.innerHTML = `<table class="truth-table"><thead><tr>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+  }
+
+  exportCSV() {
+    if (!this.table || this.table.rows.length === 0) return;
+
+    const blob = new Blob([truthTableToCSV(this.table)], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "truth-table.csv";
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
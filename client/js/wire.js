@@ -1,35 +1,45 @@
 // Wire management
+import { getPinPositions } from "./gates.js";
 
-export function createWire(fromGateId, fromPinId, toGateId, toPinId) {
+// width is the bus width in bits; both pins must carry the same width
+export function createWire(
+  fromGateId,
+  fromPinId,
+  toGateId,
+  toPinId,
+  width = 1,
+) {
   return {
     id: "wire-" + Math.random().toString(36).substr(2, 9),
     from: { gateId: fromGateId, pinId: fromPinId },
     to: { gateId: toGateId, pinId: toPinId },
+    width,
   };
 }
 
-export function drawWire(ctx, fromX, fromY, toX, toY, isSelected = false) {
-  ctx.save();
+// Pin positions of a wire's ends among the given gates, or null
+export function getWireEnds(wire, gates) {
+  const fromGate = gates.get(wire.from.gateId);
+  const toGate = gates.get(wire.to.gateId);
+  if (!fromGate || !toGate) return null;
+  const from = getPinPositions(fromGate).outputs.find(
+    (p) => p.id === wire.from.pinId,
+  );
+  const to = getPinPositions(toGate).inputs.find((p) => p.id === wire.to.pinId);
+  return from && to ? { from, to } : null;
+}
 
+// Stroke color for a wire carrying the given logic level
+function levelColor(level) {
+  if (level === true) return "#10b981";
+  if (level === false) return "#6b7280";
+  if (typeof level === "number") return "#3b82f6";
+  return "#f59e0b";
+}
+
+function traceWire(ctx, fromX, fromY, toX, toY) {
   const dx = toX - fromX;
   const controlOffset = Math.min(Math.abs(dx) * 0.5, 80);
-
-  if (isSelected) {
-    ctx.beginPath();
-    ctx.moveTo(fromX, fromY);
-    ctx.bezierCurveTo(
-      fromX + controlOffset,
-      fromY,
-      toX - controlOffset,
-      toY,
-      toX,
-      toY,
-    );
-    ctx.strokeStyle = "rgba(99,102,241,0.5)";
-    ctx.lineWidth = 8;
-    ctx.stroke();
-  }
-
   ctx.beginPath();
   ctx.moveTo(fromX, fromY);
   ctx.bezierCurveTo(
@@ -40,8 +50,47 @@ export function drawWire(ctx, fromX, fromY, toX, toY, isSelected = false) {
     toX,
     toY,
   );
-  ctx.strokeStyle = isSelected ? "#818cf8" : "#6b7280";
-  ctx.lineWidth = 2;
+}
+
+// Wide translucent stroke behind a wire (selection, diff highlights);
+// dashed for wires that no longer exist
+export function drawWireHighlight(
+  ctx,
+  fromX,
+  fromY,
+  toX,
+  toY,
+  color,
+  dashed = false,
+) {
+  ctx.save();
+  traceWire(ctx, fromX, fromY, toX, toY);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 8;
+  if (dashed) ctx.setLineDash([6, 4]);
+  ctx.stroke();
+  ctx.restore();
+}
+
+export function drawWire(
+  ctx,
+  fromX,
+  fromY,
+  toX,
+  toY,
+  isSelected = false,
+  level, // true, false, a bus value, or undefined while unknown
+  width = 1,
+) {
+  ctx.save();
+
+  if (isSelected) {
+    drawWireHighlight(ctx, fromX, fromY, toX, toY, "rgba(99,102,241,0.5)");
+  }
+
+  traceWire(ctx, fromX, fromY, toX, toY);
+  ctx.strokeStyle = isSelected ? "#818cf8" : levelColor(level);
+  ctx.lineWidth = width > 1 ? 4 : 2;
   ctx.stroke();
 
   ctx.fillStyle = "#10b981";
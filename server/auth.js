@@ -0,0 +1,77 @@
+import crypto from "crypto";
+import { getPersistence } from "./persistence.js";
+
+/**
+ * Session tokens are HS256 JSON Web Tokens signed with the server's secret:
+ *   { sub: userId, sid: sessionId, role, iat, exp }
+ * They are issued when a session is created or joined and must be shown to
+ * join over WebSocket and on the REST endpoints of a session.
+ */
+
+// Tokens last this long; clients refresh them halfway through
+export const TOKEN_TTL_SECONDS =
+  Number(process.env.TOKEN_TTL_SECONDS) || 12 * 60 * 60;
+
+// TOKEN_SECRET, or a random secret generated on first use and kept by the
+// persistence backend, so tokens survive restarts either way
+let secret = null;
+
+function getSecret() {
+  if (secret) return secret;
+  secret = process.env.TOKEN_SECRET || getPersistence().loadTokenSecret();
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString("hex");
+    getPersistence().saveTokenSecret(secret);
+  }
+  return secret;
+}
+
+const HEADER = { alg: "HS256", typ: "JWT" };
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+function sign(data) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(data)
+    .digest("base64url");
+}
+
+// A signed token for `claims`, valid for TOKEN_TTL_SECONDS
+export function signToken(claims) {
+  const iat = Math.floor(Date.now() / 1000);
+  const payload = { ...claims, iat, exp: iat + TOKEN_TTL_SECONDS };
+  const data = `${encode(HEADER)}.${encode(payload)}`;
+  return { token: `${data}.${sign(data)}`, expiresAt: payload.exp * 1000 };
+}
+
+// The claims of a correctly signed token that has not expired, or null
+export function verifyToken(token) {
+  if (typeof token !== "string") return null;
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    return null;
+  }
+
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], "base64url"));
+    const claims = JSON.parse(Buffer.from(parts[1], "base64url"));
+    if (header.alg !== HEADER.alg || !Number.isFinite(claims.exp)) return null;
+    return isExpired(claims) ? null : claims;
+  } catch {
+    return null;
+  }
+}
+
+// Expired claims stop working on open connections too
+export function isExpired(claims) {
+  return claims.exp * 1000 <= Date.now();
+}
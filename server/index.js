@@ -2,18 +2,48 @@ import express from "express";
 import { createServer } from "http";
 import { WebSocketServer } from "ws";
 import cors from "cors";
+import { v4 as uuidv4 } from "uuid";
 import * as Y from "yjs";
+import * as syncProtocol from "y-protocols/sync";
+import * as encoding from "lib0/encoding";
+import * as decoding from "lib0/decoding";
 import path from "path";
 import { fileURLToPath } from "url";
+import { getPersistence } from "./persistence.js";
+import { validateUpdate } from "./validator.js";
+import { verifyToken } from "./auth.js";
 import {
+  parseCircuit,
+  readCircuit,
+  serializeCircuit,
+  writeCircuit,
+} from "../client/js/circuitFormat.js";
+import { HDL_LANGUAGES, toVerilog, toVHDL } from "../client/js/netlist.js";
+import {
+  loadSessions,
   createSession,
   joinSession,
   getSession,
   getSessionByInviteCode,
   getUser,
+  issueToken,
   canEdit,
-  leaveSession,
+  isOwner,
   getSessionUsers,
+  updateUserRole,
+  removeUser,
+  transferOwnership,
+  getInvites,
+  createSessionInvite,
+  revokeInvite,
+  rotateInviteCodes,
+  setSessionLocked,
+  touchSession,
+  markUserSeen,
+  removeAwayUsers,
+  idleSessionIds,
+  deleteSession,
+  listOwnedSessions,
 } from "./sessionManager.js";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -25,14 +55,20 @@ const wss = new WebSocketServer({ server });
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: "5mb" }));
 app.use(express.static(path.join(__dirname, "../client")));
 
 // Store Yjs documents per session
 const docs = new Map();
 
+// Update logs are compacted into a single update after this many updates,
+// and every few minutes for documents that changed since the last one
+const COMPACT_AFTER_UPDATES = 500;
+const COMPACT_INTERVAL_MS = 5 * 60 * 1000;
+const dirtyDocs = new Set();
+
 // Store WebSocket connections per session
-const connections = new Map(); // sessionId -> Set<{ws, userId}>
+const connections = new Map(); // sessionId -> Set<{ws, userId, claims}>
 
 // Get or create Yjs document for a session
 function getYDoc(sessionId) {
@@ -43,18 +79,148 @@ function getYDoc(sessionId) {
     doc.getMap("gates"); // Y.Map for gates
     doc.getArray("wires"); // Y.Array for wires
     doc.getMap("metadata"); // Y.Map for session metadata
+    doc.getMap("subcircuits"); // Y.Map of subcircuit definitions
+
+    // Replay the stored update log, then log every later change
+    const persistence = getPersistence();
+    const updates = persistence.loadUpdates(sessionId);
+    if (updates.length > 0) Y.applyUpdate(doc, Y.mergeUpdates(updates));
+    doc.on("update", (update, origin) => {
+      dirtyDocs.add(sessionId);
+      touchSession(sessionId);
+      const logged = persistence.appendUpdate(sessionId, update);
+      if (logged >= COMPACT_AFTER_UPDATES) compactDoc(sessionId);
+
+      // Relay to every client except the one it came from (the origin)
+      broadcastToSession(
+        sessionId,
+        syncMessage(syncProtocol.writeUpdate, update),
+        origin,
+      );
+    });
 
     docs.set(sessionId, doc);
   }
   return docs.get(sessionId);
 }
 
-// Broadcast to all clients in a session
+// Encode a y-protocols sync message with the given writer
+function syncMessage(write, ...args) {
+  const encoder = encoding.createEncoder();
+  write(encoder, ...args);
+  return encoding.toUint8Array(encoder);
+}
+
+// Replace a document's update log with a single merged update
+function compactDoc(sessionId) {
+  const doc = docs.get(sessionId);
+  if (!doc) return;
+  getPersistence().compact(sessionId, Y.encodeStateAsUpdate(doc));
+  dirtyDocs.delete(sessionId);
+}
+
+setInterval(() => dirtyDocs.forEach(compactDoc), COMPACT_INTERVAL_MS).unref();
+
+// A non-negative number from the environment, or `fallback`
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] && value >= 0 ? value : fallback;
+}
+
+// Session lifecycle; 0 turns a step off. Members other than the owner who
+// have been away this long are removed; documents of sessions idle this
+// long are unloaded from memory (and reloaded from persistence when
+// needed); sessions idle this long are deleted with their documents,
+// which only happens when SESSION_RETENTION_DAYS is set.
+const USER_TIMEOUT_MS = envNumber("USER_TIMEOUT_MINUTES", 60) * 60 * 1000;
+const SESSION_IDLE_MS = envNumber("SESSION_IDLE_MINUTES", 15) * 60 * 1000;
+const SESSION_RETENTION_DAYS = envNumber("SESSION_RETENTION_DAYS", 0);
+const SESSION_RETENTION_MS = SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Sweep every minute, or more often for shorter timeouts
+const SWEEP_INTERVAL_MS = Math.max(
+  1000,
+  Math.min(
+    60 * 1000,
+    ...[USER_TIMEOUT_MS, SESSION_IDLE_MS, SESSION_RETENTION_MS]
+      .filter((ms) => ms > 0)
+      .map((ms) => ms / 2),
+  ),
+);
+
+// Drop a session's document, snapshots and clock from memory, saving the
+// document first
+function unloadSession(sessionId) {
+  if (dirtyDocs.has(sessionId)) compactDoc(sessionId);
+  docs.get(sessionId)?.destroy();
+  docs.delete(sessionId);
+  snapshots.delete(sessionId);
+  stopClock(sessionId);
+  clocks.delete(sessionId);
+}
+
+function hasConnections(sessionId) {
+  return (connections.get(sessionId)?.size ?? 0) > 0;
+}
+
+function sweepSessions() {
+  if (USER_TIMEOUT_MS > 0) {
+    const removed = removeAwayUsers(
+      USER_TIMEOUT_MS,
+      (sessionId, userId) => userConnections(sessionId, userId).length > 0,
+    );
+    new Set(removed.map(({ sessionId }) => sessionId)).forEach((sessionId) =>
+      broadcastSessionUpdate(sessionId, null),
+    );
+  }
+
+  if (SESSION_RETENTION_MS > 0) {
+    idleSessionIds(SESSION_RETENTION_MS)
+      .filter((sessionId) => !hasConnections(sessionId))
+      .forEach((sessionId) => {
+        unloadSession(sessionId);
+        getPersistence().deleteDoc(sessionId);
+        deleteSession(sessionId);
+        console.log(`🗑️  Deleted idle session ${sessionId}`);
+      });
+  }
+
+  if (SESSION_IDLE_MS > 0) {
+    const idle = new Set(idleSessionIds(SESSION_IDLE_MS));
+    Array.from(docs.keys())
+      .filter((sessionId) => idle.has(sessionId) && !hasConnections(sessionId))
+      .forEach(unloadSession);
+  }
+}
+
+setInterval(sweepSessions, SWEEP_INTERVAL_MS).unref();
+
+// Gates, wires and subcircuit definitions in a session's document, read
+// from persistence if it is not loaded
+function circuitSize(sessionId) {
+  const loaded = docs.get(sessionId);
+  const doc = loaded ?? new Y.Doc();
+  if (!loaded) {
+    const updates = getPersistence().loadUpdates(sessionId);
+    if (updates.length > 0) Y.applyUpdate(doc, Y.mergeUpdates(updates));
+  }
+  const size = {
+    gates: doc.getMap("gates").size,
+    wires: doc.getArray("wires").length,
+    subcircuits: doc.getMap("subcircuits").size,
+  };
+  if (!loaded) doc.destroy();
+  return size;
+}
+
+// Broadcast to all clients in a session. Binary messages (document
+// updates) are sent as binary frames, anything else as JSON.
 function broadcastToSession(sessionId, message, excludeWs = null) {
   const sessionConnections = connections.get(sessionId);
   if (!sessionConnections) return;
 
-  const data = JSON.stringify(message);
+  const data =
+    message instanceof Uint8Array ? message : JSON.stringify(message);
   sessionConnections.forEach(({ ws }) => {
     if (ws !== excludeWs && ws.readyState === 1) {
       ws.send(data);
@@ -62,6 +228,169 @@ function broadcastToSession(sessionId, message, excludeWs = null) {
   });
 }
 
+// Open connections of one member of a session
+function userConnections(sessionId, userId) {
+  return Array.from(connections.get(sessionId) ?? []).filter(
+    (conn) => conn.userId === userId,
+  );
+}
+
+// Give a member's connections a token with their current role, so role
+// changes apply without rejoining
+function reissueTokens(sessionId, userId) {
+  userConnections(sessionId, userId).forEach((conn) => {
+    const token = issueToken(sessionId, userId);
+    conn.claims = verifyToken(token.token);
+    conn.ws.send(JSON.stringify({ type: "token", ...token }));
+  });
+  // A keeper who became a viewer hands the clock on
+  if (clocks.has(sessionId) && assignClockKeeper(sessionId)) {
+    broadcastClock(sessionId);
+  }
+}
+
+// Tell every member about a change to the session's users or settings;
+// only the owner's connections receive the invites
+function broadcastSessionUpdate(sessionId, change) {
+  const session = getSession(sessionId);
+  if (!session) return;
+  const message = {
+    type: "session-updated",
+    change,
+    users: session.users,
+    locked: session.locked,
+  };
+  const { invites } = getInvites(sessionId, session.ownerId);
+  const forOwner = JSON.stringify({ ...message, invites });
+  const forOthers = JSON.stringify(message);
+  connections.get(sessionId)?.forEach(({ ws, userId }) => {
+    if (ws.readyState === 1) {
+      ws.send(userId === session.ownerId ? forOwner : forOthers);
+    }
+  });
+}
+
+// Version history: named full-state snapshots per session, oldest first
+const MAX_SNAPSHOT_NAME = 80;
+const snapshots = new Map(); // sessionId -> [{ id, name, createdAt, createdBy, state }]
+
+function getSnapshots(sessionId) {
+  if (!snapshots.has(sessionId)) {
+    snapshots.set(sessionId, getPersistence().loadSnapshots(sessionId));
+  }
+  return snapshots.get(sessionId);
+}
+
+// Snapshot list without the document states
+function snapshotList(sessionId) {
+  return getSnapshots(sessionId).map(({ state, ...info }) => info);
+}
+
+function saveSnapshot(sessionId, name, createdBy) {
+  const snapshot = {
+    id: uuidv4(),
+    name,
+    createdAt: new Date().toISOString(),
+    createdBy,
+    state: Y.encodeStateAsUpdate(getYDoc(sessionId)),
+  };
+  const list = [...getSnapshots(sessionId), snapshot];
+  snapshots.set(sessionId, list);
+  getPersistence().saveSnapshots(sessionId, list);
+  return snapshot;
+}
+
+// Session clocks drive CLOCK components identically for every client.
+// Only the clock's keeper (the editor who last controlled it, or another
+// connected editor) shares sequential values through the document; each
+// reset starts a new epoch, which makes the values shared before it stale.
+const CLOCK_TICK_RATE = 10; // ticks per second
+const CLOCK_ACTIONS = ["start", "stop", "tick", "reset"];
+const clocks = new Map(); // sessionId -> { tick, running, timer, keeper, epoch }
+
+function getClock(sessionId) {
+  if (!clocks.has(sessionId)) {
+    clocks.set(sessionId, {
+      tick: 0,
+      running: false,
+      timer: null,
+      keeper: null,
+      epoch: uuidv4(),
+    });
+  }
+  return clocks.get(sessionId);
+}
+
+function clockState(clock) {
+  return {
+    tick: clock.tick,
+    running: clock.running,
+    rate: CLOCK_TICK_RATE,
+    keeper: clock.keeper,
+    epoch: clock.epoch,
+  };
+}
+
+// Hand the clock to a connected editor if its keeper is gone or can no
+// longer edit; returns whether the keeper changed
+function assignClockKeeper(sessionId) {
+  const clock = getClock(sessionId);
+  const editors = Array.from(connections.get(sessionId) ?? [])
+    .filter((conn) => canEdit(conn.claims))
+    .map((conn) => conn.userId);
+  if (editors.includes(clock.keeper)) return false;
+  clock.keeper = editors[0] ?? null;
+  return true;
+}
+
+function broadcastClock(sessionId, extra = {}) {
+  broadcastToSession(sessionId, {
+    type: "clock",
+    ...clockState(getClock(sessionId)),
+    ...extra,
+  });
+}
+
+function stopClock(sessionId) {
+  const clock = clocks.get(sessionId);
+  if (!clock) return;
+  clearInterval(clock.timer);
+  clock.timer = null;
+  clock.running = false;
+}
+
+// Apply a start/stop/tick/reset request from an editor, who becomes the
+// clock's keeper
+function controlClock(sessionId, action, userId) {
+  if (!CLOCK_ACTIONS.includes(action)) return;
+  const clock = getClock(sessionId);
+  clock.keeper = userId;
+
+  switch (action) {
+    case "start":
+      if (clock.running) return;
+      clock.running = true;
+      clock.timer = setInterval(() => {
+        clock.tick++;
+        broadcastClock(sessionId);
+      }, 1000 / CLOCK_TICK_RATE);
+      break;
+    case "stop":
+      stopClock(sessionId);
+      break;
+    case "tick":
+      clock.tick++;
+      break;
+    case "reset":
+      stopClock(sessionId);
+      clock.tick = 0;
+      clock.epoch = uuidv4();
+      broadcastClock(sessionId, { reset: true });
+      return;
+  }
+  broadcastClock(sessionId);
+}
+
 // Broadcast awareness (cursor, presence) updates
 function broadcastAwareness(sessionId, userId, awarenessState) {
   broadcastToSession(sessionId, {
@@ -73,26 +402,70 @@ function broadcastAwareness(sessionId, userId, awarenessState) {
 
 // ========== REST API Endpoints ==========
 
+// Claims of the request's `Authorization: Bearer <token>` if the token is
+// valid for `sessionId` and its user is still a member, otherwise null
+function requestClaims(req, sessionId) {
+  const match = /^Bearer (\S+)$/.exec(req.get("Authorization") ?? "");
+  const claims = match && verifyToken(match[1]);
+  if (!claims || claims.sid !== sessionId) return null;
+  return getUser(sessionId, claims.sub) ? claims : null;
+}
+
+const UNAUTHORIZED = { error: "A valid session token is required" };
+
 // Create a new session
 app.post("/api/sessions", (req, res) => {
-  const { userName } = req.body;
-  const result = createSession(userName);
+  const { userName, ownerKey } = req.body;
+  const result = createSession(userName, ownerKey);
   res.json(result);
 });
 
-// Get session info
+// The sessions owned with the `X-Owner-Key` header's key, with their
+// activity and circuit size, and how long idle sessions are kept (0: always)
+app.get("/api/sessions", (req, res) => {
+  const owned = listOwnedSessions(req.get("X-Owner-Key"));
+  if (!owned) {
+    return res.status(401).json({ error: "A valid owner key is required" });
+  }
+  res.json({
+    sessions: owned.map((session) => ({
+      ...session,
+      onlineCount: new Set(
+        Array.from(connections.get(session.id) ?? [], (conn) => conn.userId),
+      ).size,
+      loaded: docs.has(session.id),
+      circuit: circuitSize(session.id),
+    })),
+    retentionDays: SESSION_RETENTION_DAYS,
+  });
+});
+
+// Get session info (members only)
 app.get("/api/sessions/:sessionId", (req, res) => {
-  const session = getSession(req.params.sessionId);
-  if (!session) {
-    return res.status(404).json({ error: "Session not found" });
+  if (!requestClaims(req, req.params.sessionId)) {
+    return res.status(401).json(UNAUTHORIZED);
   }
-  res.json(session);
+  res.json(getSession(req.params.sessionId));
+});
+
+// Exchange a valid token for a new one with the user's current role
+app.post("/api/sessions/:sessionId/token", (req, res) => {
+  const claims = requestClaims(req, req.params.sessionId);
+  if (!claims) {
+    return res.status(401).json(UNAUTHORIZED);
+  }
+  res.json(issueToken(claims.sid, claims.sub));
 });
 
-// Join a session
+// Join a session; the invite decides the role
 app.post("/api/sessions/:sessionId/join", (req, res) => {
-  const { userName, role, inviteCode } = req.body;
-  const result = joinSession(req.params.sessionId, userName, role, inviteCode);
+  const { userName, inviteCode, ownerKey } = req.body;
+  const result = joinSession(
+    req.params.sessionId,
+    userName,
+    inviteCode,
+    ownerKey,
+  );
 
   if (result.error) {
     return res.status(400).json(result);
@@ -111,58 +484,349 @@ app.post("/api/sessions/:sessionId/join", (req, res) => {
 app.get("/api/sessions/invite/:inviteCode", (req, res) => {
   const session = getSessionByInviteCode(req.params.inviteCode);
   if (!session) {
-    return res.status(404).json({ error: "Session not found" });
+    return res.status(404).json({ error: "Invalid or expired invite" });
   }
   res.json(session);
 });
 
+// List a session's snapshots (members only)
+app.get("/api/sessions/:sessionId/snapshots", (req, res) => {
+  const { sessionId } = req.params;
+  if (!requestClaims(req, sessionId)) {
+    return res.status(401).json(UNAUTHORIZED);
+  }
+  res.json({ snapshots: snapshotList(sessionId) });
+});
+
+// One snapshot with its document state (base64 Yjs update), for preview
+// and restore
+app.get("/api/sessions/:sessionId/snapshots/:snapshotId", (req, res) => {
+  const { sessionId, snapshotId } = req.params;
+  if (!requestClaims(req, sessionId)) {
+    return res.status(401).json(UNAUTHORIZED);
+  }
+  const snapshot = getSnapshots(sessionId).find((s) => s.id === snapshotId);
+  if (!snapshot) {
+    return res.status(404).json({ error: "Snapshot not found" });
+  }
+  res.json({
+    ...snapshot,
+    state: Buffer.from(snapshot.state).toString("base64"),
+  });
+});
+
+// Save the current document as a named snapshot (owners only)
+app.post("/api/sessions/:sessionId/snapshots", (req, res) => {
+  const { sessionId } = req.params;
+  const name = String(req.body.name ?? "").trim();
+
+  const claims = requestClaims(req, sessionId);
+  if (!claims) {
+    return res.status(401).json(UNAUTHORIZED);
+  }
+  const user = getUser(sessionId, claims.sub);
+  if (!isOwner(claims)) {
+    return res.status(403).json({ error: "Only the owner can save snapshots" });
+  }
+  if (!name || name.length > MAX_SNAPSHOT_NAME) {
+    return res.status(400).json({
+      error: `Snapshot name must be 1-${MAX_SNAPSHOT_NAME} characters`,
+    });
+  }
+
+  const { state, ...snapshot } = saveSnapshot(sessionId, name, user.name);
+  broadcastToSession(sessionId, {
+    type: "snapshots",
+    snapshots: snapshotList(sessionId),
+  });
+  res.json(snapshot);
+});
+
+// Export the circuit as a JSON circuit file (members only)
+app.get("/api/sessions/:sessionId/circuit", (req, res) => {
+  const { sessionId } = req.params;
+  if (!requestClaims(req, sessionId)) {
+    return res.status(401).json(UNAUTHORIZED);
+  }
+  const session = getSession(sessionId);
+  res.json(
+    serializeCircuit(readCircuit(getYDoc(sessionId)), {
+      sessionId,
+      name: session.name,
+      exportedAt: new Date().toISOString(),
+    }),
+  );
+});
+
+// Structural Verilog (default) or VHDL for the circuit (members only)
+app.get("/api/sessions/:sessionId/netlist", (req, res) => {
+  const { sessionId } = req.params;
+  if (!requestClaims(req, sessionId)) {
+    return res.status(401).json(UNAUTHORIZED);
+  }
+  const session = getSession(sessionId);
+  const language = req.query.language ?? "verilog";
+  if (!HDL_LANGUAGES[language]) {
+    return res.status(400).json({ error: "language must be verilog or vhdl" });
+  }
+
+  const circuit = readCircuit(getYDoc(sessionId));
+  const options = { name: req.query.name || session.name };
+  res
+    .type(HDL_LANGUAGES[language].type)
+    .send(
+      language === "vhdl"
+        ? toVHDL(circuit, options)
+        : toVerilog(circuit, options),
+    );
+});
+
+// Replace the circuit with a circuit file (editors only). Clients receive
+// the change like any other edit.
+app.put("/api/sessions/:sessionId/circuit", (req, res) => {
+  const { sessionId } = req.params;
+  const claims = requestClaims(req, sessionId);
+  if (!claims) {
+    return res.status(401).json(UNAUTHORIZED);
+  }
+  if (!canEdit(claims)) {
+    return res
+      .status(403)
+      .json({ error: "Only owners and editors can replace the circuit" });
+  }
+
+  let circuit;
+  try {
+    circuit = parseCircuit(req.body);
+  } catch (err) {
+    return res
+      .status(400)
+      .json({ error: err.message, problems: err.problems ?? [err.message] });
+  }
+
+  const doc = getYDoc(sessionId);
+  doc.transact(() => writeCircuit(Y, doc, circuit));
+  res.json({ gates: circuit.gates.size, wires: circuit.wires.length });
+});
+
+// ========== Owner Controls ==========
+
+// Claims of the session's owner, otherwise null after answering 401/403
+function ownerClaims(req, res) {
+  const claims = requestClaims(req, req.params.sessionId);
+  if (!claims) {
+    res.status(401).json(UNAUTHORIZED);
+    return null;
+  }
+  if (!isOwner(claims)) {
+    res.status(403).json({ error: "Only the owner can manage the session" });
+    return null;
+  }
+  return claims;
+}
+
+// Promote a viewer to editor or demote an editor to viewer
+app.put("/api/sessions/:sessionId/users/:userId/role", (req, res) => {
+  const claims = ownerClaims(req, res);
+  if (!claims) return;
+  const { sessionId, userId } = req.params;
+  const { role } = req.body;
+  if (role !== "viewer" && role !== "editor") {
+    return res.status(400).json({ error: "role must be viewer or editor" });
+  }
+
+  const result = updateUserRole(sessionId, userId, role, claims.sub);
+  if (result.error) {
+    return res.status(400).json(result);
+  }
+  reissueTokens(sessionId, userId);
+  broadcastSessionUpdate(
+    sessionId,
+    `${result.user.name} is now ${role === "viewer" ? "a viewer" : "an editor"}`,
+  );
+  res.json(result);
+});
+
+// Remove a member and close their connections
+app.delete("/api/sessions/:sessionId/users/:userId", (req, res) => {
+  const claims = ownerClaims(req, res);
+  if (!claims) return;
+  const { sessionId, userId } = req.params;
+
+  const result = removeUser(sessionId, userId, claims.sub);
+  if (result.error) {
+    return res.status(400).json(result);
+  }
+  userConnections(sessionId, userId).forEach(({ ws }) => {
+    ws.send(
+      JSON.stringify({
+        type: "kicked",
+        message: "The owner removed you from the session",
+      }),
+    );
+    ws.close();
+  });
+  broadcastSessionUpdate(sessionId, `${result.user.name} was removed`);
+  res.json(result);
+});
+
+// Hand the session to another member
+app.post("/api/sessions/:sessionId/owner", (req, res) => {
+  const claims = ownerClaims(req, res);
+  if (!claims) return;
+  const { sessionId } = req.params;
+
+  const result = transferOwnership(sessionId, req.body.userId, claims.sub);
+  if (result.error) {
+    return res.status(400).json(result);
+  }
+  reissueTokens(sessionId, claims.sub);
+  reissueTokens(sessionId, result.user.id);
+  broadcastSessionUpdate(sessionId, `${result.user.name} is now the owner`);
+  res.json(result);
+});
+
+// The session's invites
+app.get("/api/sessions/:sessionId/invites", (req, res) => {
+  const claims = ownerClaims(req, res);
+  if (!claims) return;
+  res.json(getInvites(req.params.sessionId, claims.sub));
+});
+
+// Add an invite { role, expiresIn (seconds), maxUses }; limits are optional
+app.post("/api/sessions/:sessionId/invites", (req, res) => {
+  const claims = ownerClaims(req, res);
+  if (!claims) return;
+  const { sessionId } = req.params;
+
+  const result = createSessionInvite(sessionId, req.body, claims.sub);
+  if (result.error) {
+    return res.status(400).json(result);
+  }
+  broadcastSessionUpdate(sessionId, null);
+  res.json(result);
+});
+
+// Revoke an invite
+app.delete("/api/sessions/:sessionId/invites/:code", (req, res) => {
+  const claims = ownerClaims(req, res);
+  if (!claims) return;
+  const { sessionId, code } = req.params;
+
+  const result = revokeInvite(sessionId, code, claims.sub);
+  if (result.error) {
+    return res.status(404).json(result);
+  }
+  broadcastSessionUpdate(sessionId, null);
+  res.json(result);
+});
+
+// Replace every invite's code
+app.post("/api/sessions/:sessionId/invites/rotate", (req, res) => {
+  const claims = ownerClaims(req, res);
+  if (!claims) return;
+  const { sessionId } = req.params;
+
+  const result = rotateInviteCodes(sessionId, claims.sub);
+  if (result.error) {
+    return res.status(400).json(result);
+  }
+  broadcastSessionUpdate(sessionId, "The invite links were replaced");
+  res.json(result);
+});
+
+// Lock the session to new joiners, or open it again
+app.put("/api/sessions/:sessionId/lock", (req, res) => {
+  const claims = ownerClaims(req, res);
+  if (!claims) return;
+  const { sessionId } = req.params;
+
+  const result = setSessionLocked(sessionId, req.body.locked, claims.sub);
+  if (result.error) {
+    return res.status(400).json(result);
+  }
+  broadcastSessionUpdate(
+    sessionId,
+    result.locked
+      ? "The session is locked to new joiners"
+      : "The session is open to new joiners",
+  );
+  res.json(result);
+});
+
 // ========== WebSocket Handling ==========
 
 wss.on("connection", (ws, req) => {
   let sessionId = null;
   let userId = null;
+  let connection = null; // { ws, userId, claims } once joined
 
-  ws.on("message", (data) => {
+  ws.on("message", (data, isBinary) => {
     try {
+      // Binary frames are y-protocols sync messages
+      if (isBinary) {
+        handleSyncMessage(new Uint8Array(data));
+        return;
+      }
+
       const message = JSON.parse(data);
 
       switch (message.type) {
         case "join": {
-          sessionId = message.sessionId;
-          userId = message.userId;
-
-          // Verify user exists in session
-          const user = getUser(sessionId, userId);
+          // The session and user come from the signed token only
+          const verified = verifyToken(message.token);
+          const user = verified && getUser(verified.sid, verified.sub);
           if (!user) {
+            // A valid token of a removed member cannot be used to rejoin
             ws.send(
-              JSON.stringify({
-                type: "error",
-                message: "Invalid session or user",
-              }),
+              JSON.stringify(
+                verified
+                  ? {
+                      type: "error",
+                      code: "not-member",
+                      message: "You are no longer a member of this session",
+                    }
+                  : {
+                      type: "error",
+                      code: "invalid-token",
+                      message: "Invalid or expired session token",
+                    },
+              ),
             );
             ws.close();
             return;
           }
+          sessionId = verified.sid;
+          userId = verified.sub;
+          connection = { ws, userId, claims: verified };
 
           // Add to connections
           if (!connections.has(sessionId)) {
             connections.set(sessionId, new Set());
           }
-          connections.get(sessionId).add({ ws, userId });
-
-          // Send initial state
-          const doc = getYDoc(sessionId);
-          const state = Y.encodeStateAsUpdate(doc);
+          connections.get(sessionId).add(connection);
+          touchSession(sessionId);
+          const newKeeper = assignClockKeeper(sessionId);
 
           ws.send(
             JSON.stringify({
               type: "init",
-              state: Array.from(state),
               users: getSessionUsers(sessionId),
               role: user.role,
+              locked: getSession(sessionId).locked,
+              invites: getInvites(sessionId, userId).invites,
+              clock: clockState(getClock(sessionId)),
             }),
           );
 
+          // The role changed since the token was issued
+          if (verified.role !== user.role) reissueTokens(sessionId, userId);
+          if (newKeeper) broadcastClock(sessionId);
+
+          // Start the sync handshake: the client answers with what the
+          // server is missing and sends its own state vector
+          ws.send(syncMessage(syncProtocol.writeSyncStep1, getYDoc(sessionId)));
+
           // Notify others
           broadcastToSession(
             sessionId,
@@ -177,33 +841,26 @@ wss.on("connection", (ws, req) => {
           break;
         }
 
-        case "sync": {
-          // Handle Yjs sync updates
-          if (!canEdit(sessionId, userId)) {
+        // A refreshed token for the same user replaces the one joined with
+        case "token": {
+          const verified = verifyToken(message.token);
+          if (verified?.sid === sessionId && verified.sub === userId) {
+            connection.claims = verified;
+          }
+          break;
+        }
+
+        case "clock-control": {
+          if (!canEdit(connection?.claims)) {
             ws.send(
               JSON.stringify({
                 type: "error",
-                message: "Permission denied: viewers cannot edit",
+                message: "Permission denied: viewers cannot control the clock",
               }),
             );
             return;
           }
-
-          const doc = getYDoc(sessionId);
-          const update = new Uint8Array(message.update);
-
-          Y.applyUpdate(doc, update);
-
-          // Broadcast to other clients
-          broadcastToSession(
-            sessionId,
-            {
-              type: "sync",
-              update: message.update,
-            },
-            ws,
-          );
-
+          controlClock(sessionId, message.action, userId);
           break;
         }
 
@@ -218,6 +875,57 @@ wss.on("connection", (ws, req) => {
     }
   });
 
+  // Answer a state vector with the missing diff; apply diffs and updates
+  // from editors (the doc's update handler relays them to the others)
+  function handleSyncMessage(data) {
+    if (!sessionId || !getUser(sessionId, userId)) return;
+    const doc = getYDoc(sessionId);
+    const decoder = decoding.createDecoder(data);
+
+    switch (decoding.readVarUint(decoder)) {
+      case syncProtocol.messageYjsSyncStep1: {
+        const encoder = encoding.createEncoder();
+        syncProtocol.readSyncStep1(decoder, encoder, doc);
+        ws.send(encoding.toUint8Array(encoder));
+        break;
+      }
+      case syncProtocol.messageYjsSyncStep2:
+      case syncProtocol.messageYjsUpdate:
+        if (!canEdit(connection?.claims)) {
+          ws.send(
+            JSON.stringify({
+              type: "error",
+              message: "Permission denied: viewers cannot edit",
+            }),
+          );
+          return;
+        }
+        applyValidUpdate(doc, decoding.readVarUint8Array(decoder));
+        break;
+    }
+  }
+
+  // Apply an editor's update unless it breaks the circuit rules; the
+  // sender then resyncs from the server's state
+  function applyValidUpdate(doc, update) {
+    const result = validateUpdate(doc, update);
+    if (!result.ok) {
+      console.warn(
+        `Rejected update from ${userId} in ${sessionId}: ${result.problems[0]}`,
+      );
+      ws.send(
+        JSON.stringify({
+          type: "error",
+          code: "invalid-update",
+          message: `Update rejected: ${result.problems[0]}`,
+          problems: result.problems,
+        }),
+      );
+      return;
+    }
+    Y.applyUpdate(doc, update, ws);
+  }
+
   ws.on("close", () => {
     if (sessionId && userId) {
       // Remove from connections
@@ -231,14 +939,28 @@ wss.on("connection", (ws, req) => {
         }
       }
 
-      // Notify others
-      broadcastToSession(sessionId, {
-        type: "user-disconnected",
-        userId,
-      });
+      // Notify others, unless the user already reconnected on a new socket
+      const stillConnected =
+        sessionConnections &&
+        Array.from(sessionConnections).some((conn) => conn.userId === userId);
+      if (!stillConnected) {
+        broadcastToSession(sessionId, {
+          type: "user-disconnected",
+          userId,
+        });
+      }
+
+      // Nobody left to see the clock
+      if (sessionConnections && sessionConnections.size === 0) {
+        connections.delete(sessionId);
+        stopClock(sessionId);
+        if (dirtyDocs.has(sessionId)) compactDoc(sessionId);
+      } else if (sessionConnections && assignClockKeeper(sessionId)) {
+        broadcastClock(sessionId);
+      }
 
-      // Optionally remove user from session after timeout
-      // leaveSession(sessionId, userId);
+      // The sweep removes the user once they have been away long enough
+      markUserSeen(sessionId, userId);
     }
   });
 
@@ -248,8 +970,11 @@ wss.on("connection", (ws, req) => {
 });
 
 // Start server
+console.log(`💾 Restored ${loadSessions()} sessions`);
 const PORT = process.env.PORT || 3001;
+// PORT=0 picks a free port, which is the one logged
 server.listen(PORT, () => {
-  console.log(`🚀 Circuit Editor Server running on http://localhost:${PORT}`);
+  const { port } = server.address();
+  console.log(`🚀 Circuit Editor Server running on http://localhost:${port}`);
   console.log(`📡 WebSocket server ready`);
 });
@@ -0,0 +1,202 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Persistence backends store four things:
+ * - per session, the log of Yjs updates applied to its document
+ * - per session, the named version history snapshots
+ * - the session records (owner, invite code, users)
+ * - the secret session tokens are signed with, unless TOKEN_SECRET is set
+ *
+ * A backend implements:
+ *   loadUpdates(sessionId) -> Uint8Array[]
+ *   appendUpdate(sessionId, update) -> number of updates in the log
+ *   compact(sessionId, state)   replace the log with one merged update
+ *   deleteDoc(sessionId)           also drops the snapshots
+ *   loadSnapshots(sessionId) -> [{ id, name, createdAt, createdBy, state }]
+ *   saveSnapshots(sessionId, snapshots)
+ *   loadSessions() -> session records
+ *   saveSessions(records)
+ *   loadTokenSecret() -> string or null
+ *   saveTokenSecret(secret)
+ *
+ * Calls are synchronous so the server can keep its synchronous handlers.
+ */
+
+// Keeps nothing across restarts (PERSISTENCE=memory)
+export function createMemoryBackend() {
+  const logs = new Map();
+  const snapshots = new Map();
+  let sessions = [];
+  let tokenSecret = null;
+
+  return {
+    loadUpdates: (sessionId) => logs.get(sessionId) ?? [],
+    appendUpdate(sessionId, update) {
+      if (!logs.has(sessionId)) logs.set(sessionId, []);
+      logs.get(sessionId).push(update);
+      return logs.get(sessionId).length;
+    },
+    compact: (sessionId, state) => logs.set(sessionId, [state]),
+    deleteDoc(sessionId) {
+      logs.delete(sessionId);
+      snapshots.delete(sessionId);
+    },
+    loadSnapshots: (sessionId) => snapshots.get(sessionId) ?? [],
+    saveSnapshots: (sessionId, list) => snapshots.set(sessionId, list),
+    loadSessions: () => sessions,
+    saveSessions: (records) => (sessions = records),
+    loadTokenSecret: () => tokenSecret,
+    saveTokenSecret: (secret) => (tokenSecret = secret),
+  };
+}
+
+/**
+ * Stores each document's update log in `<dir>/docs/<sessionId>.bin` as
+ * length-prefixed records, its snapshots in
+ * `<dir>/snapshots/<sessionId>.json` (states base64-encoded), the
+ * session records in `<dir>/sessions.json` and the token secret in
+ * `<dir>/token-secret`. Whole-file rewrites go through a temporary file
+ * and a rename, so a crash leaves either the old or the new file.
+ */
+export function createFileBackend(dir) {
+  const docsDir = path.join(dir, "docs");
+  const snapshotsDir = path.join(dir, "snapshots");
+  fs.mkdirSync(docsDir, { recursive: true });
+  fs.mkdirSync(snapshotsDir, { recursive: true });
+
+  const sessionsFile = path.join(dir, "sessions.json");
+  const secretFile = path.join(dir, "token-secret");
+  const counts = new Map(); // sessionId -> updates in the log
+
+  // Session ids come from uuidv4, but never let one escape the directory
+  const safeName = (sessionId) => String(sessionId).replace(/[^\w-]/g, "_");
+  const docFile = (sessionId) =>
+    path.join(docsDir, `${safeName(sessionId)}.bin`);
+  const snapshotsFile = (sessionId) =>
+    path.join(snapshotsDir, `${safeName(sessionId)}.json`);
+
+  const writeAtomic = (file, data, options) => {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, data, options);
+    fs.renameSync(tmp, file);
+  };
+
+  const record = (update) => {
+    const header = Buffer.alloc(4);
+    header.writeUInt32BE(update.length);
+    return Buffer.concat([header, Buffer.from(update)]);
+  };
+
+  return {
+    loadUpdates(sessionId) {
+      const file = docFile(sessionId);
+      if (!fs.existsSync(file)) return [];
+
+      const data = fs.readFileSync(file);
+      const updates = [];
+      let offset = 0;
+      // A torn final record (crash mid-append) is ignored
+      while (offset + 4 <= data.length) {
+        const length = data.readUInt32BE(offset);
+        if (offset + 4 + length > data.length) break;
+        updates.push(
+          new Uint8Array(data.subarray(offset + 4, offset + 4 + length)),
+        );
+        offset += 4 + length;
+      }
+      // Cut the torn bytes off, or later appends would be read as part of
+      // the torn record
+      if (offset < data.length) fs.truncateSync(file, offset);
+      counts.set(sessionId, updates.length);
+      return updates;
+    },
+
+    appendUpdate(sessionId, update) {
+      fs.appendFileSync(docFile(sessionId), record(update));
+      const count = (counts.get(sessionId) ?? 0) + 1;
+      counts.set(sessionId, count);
+      return count;
+    },
+
+    compact(sessionId, state) {
+      writeAtomic(docFile(sessionId), record(state));
+      counts.set(sessionId, 1);
+    },
+
+    deleteDoc(sessionId) {
+      fs.rmSync(docFile(sessionId), { force: true });
+      fs.rmSync(snapshotsFile(sessionId), { force: true });
+      counts.delete(sessionId);
+    },
+
+    loadSnapshots(sessionId) {
+      const file = snapshotsFile(sessionId);
+      if (!fs.existsSync(file)) return [];
+      try {
+        return JSON.parse(fs.readFileSync(file, "utf8")).map((snapshot) => ({
+          ...snapshot,
+          state: new Uint8Array(Buffer.from(snapshot.state, "base64")),
+        }));
+      } catch (err) {
+        console.error("Failed to read snapshots file:", err);
+        return [];
+      }
+    },
+
+    saveSnapshots(sessionId, list) {
+      const records = list.map((snapshot) => ({
+        ...snapshot,
+        state: Buffer.from(snapshot.state).toString("base64"),
+      }));
+      writeAtomic(snapshotsFile(sessionId), JSON.stringify(records, null, 2));
+    },
+
+    loadSessions() {
+      if (!fs.existsSync(sessionsFile)) return [];
+      try {
+        return JSON.parse(fs.readFileSync(sessionsFile, "utf8"));
+      } catch (err) {
+        console.error("Failed to read sessions file:", err);
+        return [];
+      }
+    },
+
+    saveSessions(records) {
+      writeAtomic(sessionsFile, JSON.stringify(records, null, 2));
+    },
+
+    loadTokenSecret() {
+      if (!fs.existsSync(secretFile)) return null;
+      return fs.readFileSync(secretFile, "utf8").trim() || null;
+    },
+
+    // Only the server's user may read it
+    saveTokenSecret(secret) {
+      writeAtomic(secretFile, secret, { mode: 0o600 });
+    },
+  };
+}
+
+// Backend chosen by PERSISTENCE (file | memory) and DATA_DIR
+function createDefaultBackend() {
+  if (process.env.PERSISTENCE === "memory") return createMemoryBackend();
+  return createFileBackend(
+    process.env.DATA_DIR || path.join(__dirname, "data"),
+  );
+}
+
+let backend = null;
+
+export function getPersistence() {
+  if (!backend) backend = createDefaultBackend();
+  return backend;
+}
+
+// Swap in another backend (e.g. a database); call before serving requests
+export function setPersistence(custom) {
+  backend = custom;
+}
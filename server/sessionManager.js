@@ -1,6 +1,9 @@
+import crypto from "crypto";
 import { v4 as uuidv4 } from "uuid";
+import { getPersistence } from "./persistence.js";
+import { isExpired, signToken } from "./auth.js";
 
-// In-memory session storage (can be upgraded to Redis for production)
+// Sessions are kept in memory and written through to the persistence layer
 const sessions = new Map();
 const userSessions = new Map(); // userId -> sessionId mapping
 
@@ -10,15 +13,124 @@ const userSessions = new Map(); // userId -> sessionId mapping
  *   id: string,
  *   name: string,
  *   ownerId: string,
- *   inviteCode: string,
+ *   invites: [{ code, role, createdAt, expiresAt, maxUses, uses }],
+ *   locked: boolean,           // refuses new joiners
  *   createdAt: Date,
- *   users: Map<userId, { id, name, role, color, joinedAt }>
+ *   lastActivity: Date,        // last join, connection or edit
+ *   keyHashes: { userId: sha256 of the owner key they joined with },
+ *   users: Map<userId, { id, name, role, color, joinedAt, lastSeen }>
  * }
+ *
+ * An invite admits new users with its role (editor or viewer) until it
+ * expires (expiresAt: Date or null) or has been used maxUses times (or
+ * without limit when null).
+ *
+ * Browsers send a random owner key when they create or join a session; the
+ * sessions whose owner joined with a key are listed to whoever shows it
+ * (listOwnedSessions()). Only its hash is stored.
  */
 
+export const INVITE_ROLES = ["editor", "viewer"];
+
+// Limits an owner can set on an invite
+const MAX_INVITE_SECONDS = 365 * 24 * 60 * 60;
+const MAX_INVITE_USES = 10000;
+
+// Write every session record to the persistence layer
+function saveSessions() {
+  const records = Array.from(sessions.values()).map((session) => ({
+    ...session,
+    users: Array.from(session.users.values()),
+  }));
+  getPersistence().saveSessions(records);
+}
+
+// Restore the sessions saved before the last restart
+export function loadSessions() {
+  for (const { inviteCode, ...record } of getPersistence().loadSessions()) {
+    // Sessions saved with a single invite code keep it as an editor invite
+    const invites =
+      record.invites ??
+      (inviteCode ? [createInvite("editor", inviteCode)] : []);
+    const session = {
+      ...record,
+      createdAt: new Date(record.createdAt),
+      lastActivity: new Date(record.lastActivity ?? record.createdAt),
+      keyHashes: record.keyHashes ?? {},
+      invites: invites.map((invite) => ({
+        ...invite,
+        createdAt: new Date(invite.createdAt),
+        expiresAt: invite.expiresAt && new Date(invite.expiresAt),
+      })),
+      users: new Map(
+        record.users.map((user) => [
+          user.id,
+          {
+            ...user,
+            joinedAt: new Date(user.joinedAt),
+            lastSeen: new Date(user.lastSeen ?? user.joinedAt),
+          },
+        ]),
+      ),
+    };
+    sessions.set(session.id, session);
+    session.users.forEach((_, userId) => userSessions.set(userId, session.id));
+  }
+  return sessions.size;
+}
+
+// Invite codes avoid characters that are easy to confuse (0/O, 1/I)
+const INVITE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INVITE_CODE_LENGTH = 8;
+
 // Generate a random invite code
 function generateInviteCode() {
-  return Math.random().toString(36).substring(2, 8).toUpperCase();
+  let code = "";
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    code += INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)];
+  }
+  return code;
+}
+
+function createInvite(role, code = generateInviteCode(), limits = {}) {
+  const { expiresIn = null, maxUses = null } = limits;
+  return {
+    code,
+    role,
+    createdAt: new Date(),
+    expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000) : null,
+    maxUses,
+    uses: 0,
+  };
+}
+
+// Whether an invite still admits new users
+function isUsable(invite) {
+  if (invite.expiresAt && invite.expiresAt <= new Date()) return false;
+  return invite.maxUses === null || invite.uses < invite.maxUses;
+}
+
+// The session and invite for a code, if the invite is still usable
+function findInvite(code) {
+  for (const session of sessions.values()) {
+    const invite = session.invites.find((invite) => invite.code === code);
+    if (invite) return isUsable(invite) ? { session, invite } : null;
+  }
+  return null;
+}
+
+// The stored form of an owner key, or null for a missing or short one
+function hashOwnerKey(key) {
+  if (typeof key !== "string" || key.length < 16 || key.length > 200) {
+    return null;
+  }
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+// Remember the owner key a user joined with
+function setKeyHash(session, userId, ownerKey) {
+  const hash = hashOwnerKey(ownerKey);
+  if (hash) session.keyHashes[userId] = hash;
 }
 
 // Generate a random color for user
@@ -41,17 +153,20 @@ function generateUserColor() {
 }
 
 // Create a new session
-export function createSession(ownerName) {
+export function createSession(ownerName, ownerKey) {
   const sessionId = uuidv4();
   const ownerId = uuidv4();
-  const inviteCode = generateInviteCode();
 
+  // One editor and one viewer invite to start with
   const session = {
     id: sessionId,
     name: `Circuit Session`,
     ownerId,
-    inviteCode,
+    invites: INVITE_ROLES.map((role) => createInvite(role)),
+    locked: false,
     createdAt: new Date(),
+    lastActivity: new Date(),
+    keyHashes: {},
     users: new Map(),
   };
 
@@ -62,39 +177,42 @@ export function createSession(ownerName) {
     role: "owner",
     color: generateUserColor(),
     joinedAt: new Date(),
+    lastSeen: new Date(),
   });
+  setKeyHash(session, ownerId, ownerKey);
 
   sessions.set(sessionId, session);
   userSessions.set(ownerId, sessionId);
+  saveSessions();
 
   return {
     sessionId,
     userId: ownerId,
-    inviteCode,
     role: "owner",
+    invites: session.invites,
+    ...issueToken(sessionId, ownerId),
   };
 }
 
-// Join an existing session
-export function joinSession(
-  sessionId,
-  userName,
-  role = "editor",
-  inviteCode = null,
-) {
+// Join an existing session with one of its invites, which decides the role
+export function joinSession(sessionId, userName, inviteCode, ownerKey) {
   const session = sessions.get(sessionId);
 
   if (!session) {
     return { error: "Session not found" };
   }
+  if (session.locked) {
+    return { error: "This session is locked" };
+  }
 
-  // Validate invite code if provided
-  if (inviteCode && session.inviteCode !== inviteCode) {
-    return { error: "Invalid invite code" };
+  const found = findInvite(inviteCode);
+  if (found?.session !== session) {
+    return { error: "Invalid or expired invite" };
   }
+  found.invite.uses++;
 
   const userId = uuidv4();
-  const validRole = role === "viewer" ? "viewer" : "editor";
+  const validRole = found.invite.role;
 
   session.users.set(userId, {
     id: userId,
@@ -102,18 +220,30 @@ export function joinSession(
     role: validRole,
     color: generateUserColor(),
     joinedAt: new Date(),
+    lastSeen: new Date(),
   });
+  setKeyHash(session, userId, ownerKey);
+  session.lastActivity = new Date();
 
   userSessions.set(userId, sessionId);
+  saveSessions();
 
   return {
     sessionId,
     userId,
     role: validRole,
-    users: Array.from(session.users.values()),
+    ...issueToken(sessionId, userId),
   };
 }
 
+// A fresh { token, expiresAt } carrying the user's current role, or null
+// for someone who is not a member
+export function issueToken(sessionId, userId) {
+  const user = getUser(sessionId, userId);
+  if (!user) return null;
+  return signToken({ sub: userId, sid: sessionId, role: user.role });
+}
+
 // Get session info
 export function getSession(sessionId) {
   const session = sessions.get(sessionId);
@@ -125,24 +255,23 @@ export function getSession(sessionId) {
   return {
     id: session.id,
     name: session.name,
-    inviteCode: session.inviteCode,
+    ownerId: session.ownerId,
+    locked: !!session.locked,
     createdAt: session.createdAt,
     users: Array.from(session.users.values()),
   };
 }
 
-// Get session by invite code
+// Get session by invite code, while the invite is usable
 export function getSessionByInviteCode(inviteCode) {
-  for (const [sessionId, session] of sessions) {
-    if (session.inviteCode === inviteCode) {
-      return {
-        id: session.id,
-        name: session.name,
-        userCount: session.users.size,
-      };
-    }
-  }
-  return null;
+  const found = findInvite(inviteCode);
+  if (!found) return null;
+  return {
+    id: found.session.id,
+    name: found.session.name,
+    userCount: found.session.users.size,
+    role: found.invite.role,
+  };
 }
 
 // Get user info
@@ -152,11 +281,19 @@ export function getUser(sessionId, userId) {
   return session.users.get(userId) || null;
 }
 
-// Check if user can edit
-export function canEdit(sessionId, userId) {
-  const user = getUser(sessionId, userId);
-  if (!user) return false;
-  return user.role === "owner" || user.role === "editor";
+// Check if the holder of a session token's claims can edit: the token
+// grants an editing role, has not expired and its user still has one
+export function canEdit(claims) {
+  if (!claims || isExpired(claims)) return false;
+  if (claims.role !== "owner" && claims.role !== "editor") return false;
+  const user = getUser(claims.sid, claims.sub);
+  return user?.role === "owner" || user?.role === "editor";
+}
+
+// Check if the holder of a session token's claims is the session's owner
+export function isOwner(claims) {
+  if (!claims || isExpired(claims) || claims.role !== "owner") return false;
+  return getUser(claims.sid, claims.sub)?.role === "owner";
 }
 
 // Remove user from session
@@ -165,37 +302,237 @@ export function leaveSession(sessionId, userId) {
   if (!session) return false;
 
   session.users.delete(userId);
+  delete session.keyHashes[userId];
   userSessions.delete(userId);
 
   // If no users left, delete session
   if (session.users.size === 0) {
     sessions.delete(sessionId);
   }
+  saveSessions();
 
   return true;
 }
 
-// Update user role
-export function updateUserRole(sessionId, targetUserId, newRole, requesterId) {
+// The session if `requesterId` owns it, otherwise { error }
+function ownedSession(sessionId, requesterId) {
   const session = sessions.get(sessionId);
   if (!session) return { error: "Session not found" };
-
-  const requester = session.users.get(requesterId);
-  if (!requester || requester.role !== "owner") {
-    return { error: "Only owner can change roles" };
+  if (session.users.get(requesterId)?.role !== "owner") {
+    return { error: "Only the owner can manage the session" };
   }
+  return { session };
+}
 
+// Another member of an owned session, otherwise { error }
+function otherMember(session, targetUserId, requesterId) {
   const target = session.users.get(targetUserId);
   if (!target) return { error: "User not found" };
-
-  if (target.role === "owner") {
-    return { error: "Cannot change owner role" };
+  if (targetUserId === requesterId) {
+    return { error: "Owners cannot change their own membership" };
   }
+  return { target };
+}
+
+// Update user role
+export function updateUserRole(sessionId, targetUserId, newRole, requesterId) {
+  const { session, error } = ownedSession(sessionId, requesterId);
+  if (error) return { error };
+  const { target, error: targetError } = otherMember(
+    session,
+    targetUserId,
+    requesterId,
+  );
+  if (targetError) return { error: targetError };
 
   target.role = newRole === "viewer" ? "viewer" : "editor";
+  saveSessions();
+  return { success: true, user: target };
+}
+
+// Remove a member; their tokens stop working right away
+export function removeUser(sessionId, targetUserId, requesterId) {
+  const { session, error } = ownedSession(sessionId, requesterId);
+  if (error) return { error };
+  const { target, error: targetError } = otherMember(
+    session,
+    targetUserId,
+    requesterId,
+  );
+  if (targetError) return { error: targetError };
+
+  session.users.delete(targetUserId);
+  delete session.keyHashes[targetUserId];
+  userSessions.delete(targetUserId);
+  saveSessions();
+  return { success: true, user: target };
+}
+
+// Make another member the owner; the previous owner becomes an editor
+export function transferOwnership(sessionId, targetUserId, requesterId) {
+  const { session, error } = ownedSession(sessionId, requesterId);
+  if (error) return { error };
+  const { target, error: targetError } = otherMember(
+    session,
+    targetUserId,
+    requesterId,
+  );
+  if (targetError) return { error: targetError };
+
+  session.users.get(requesterId).role = "editor";
+  target.role = "owner";
+  session.ownerId = targetUserId;
+  saveSessions();
   return { success: true, user: target };
 }
 
+// A session's invites (owner only)
+export function getInvites(sessionId, requesterId) {
+  const { session, error } = ownedSession(sessionId, requesterId);
+  if (error) return { error };
+  return { invites: session.invites };
+}
+
+// Add an invite for `role`, optionally expiring after `expiresIn` seconds
+// and admitting at most `maxUses` users
+export function createSessionInvite(sessionId, options, requesterId) {
+  const { session, error } = ownedSession(sessionId, requesterId);
+  if (error) return { error };
+
+  const { role, expiresIn = null, maxUses = null } = options;
+  if (!INVITE_ROLES.includes(role)) {
+    return { error: "role must be editor or viewer" };
+  }
+  const limit = (value, max) =>
+    value === null || (Number.isInteger(value) && value >= 1 && value <= max);
+  if (!limit(expiresIn, MAX_INVITE_SECONDS)) {
+    return { error: `expiresIn must be 1-${MAX_INVITE_SECONDS} seconds` };
+  }
+  if (!limit(maxUses, MAX_INVITE_USES)) {
+    return { error: `maxUses must be 1-${MAX_INVITE_USES}` };
+  }
+
+  const invite = createInvite(role, generateInviteCode(), {
+    expiresIn,
+    maxUses,
+  });
+  session.invites.push(invite);
+  saveSessions();
+  return { success: true, invite };
+}
+
+// Delete an invite; its code stops admitting anyone
+export function revokeInvite(sessionId, code, requesterId) {
+  const { session, error } = ownedSession(sessionId, requesterId);
+  if (error) return { error };
+
+  const index = session.invites.findIndex((invite) => invite.code === code);
+  if (index === -1) return { error: "Invite not found" };
+  const [invite] = session.invites.splice(index, 1);
+  saveSessions();
+  return { success: true, invite };
+}
+
+// Give every invite a new code, keeping its role and limits; the old
+// codes stop admitting anyone
+export function rotateInviteCodes(sessionId, requesterId) {
+  const { session, error } = ownedSession(sessionId, requesterId);
+  if (error) return { error };
+
+  session.invites.forEach((invite) => {
+    invite.code = generateInviteCode();
+  });
+  saveSessions();
+  return { success: true, invites: session.invites };
+}
+
+// Lock or unlock the session to new joiners; members keep their access
+export function setSessionLocked(sessionId, locked, requesterId) {
+  const { session, error } = ownedSession(sessionId, requesterId);
+  if (error) return { error };
+
+  session.locked = !!locked;
+  saveSessions();
+  return { success: true, locked: session.locked };
+}
+
+// Note activity in a session; it is saved with the next change to the
+// session records
+export function touchSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (session) session.lastActivity = new Date();
+}
+
+// Note that a member was last connected now, e.g. when they disconnect
+export function markUserSeen(sessionId, userId) {
+  const user = getUser(sessionId, userId);
+  if (!user) return;
+  user.lastSeen = new Date();
+  sessions.get(sessionId).lastActivity = user.lastSeen;
+  saveSessions();
+}
+
+// Remove the members other than owners who have been away for longer than
+// `timeoutMs`; `isConnected(sessionId, userId)` tells who is still there.
+// Returns the removed [{ sessionId, user }].
+export function removeAwayUsers(timeoutMs, isConnected) {
+  const cutoff = Date.now() - timeoutMs;
+  const removed = [];
+  sessions.forEach((session, sessionId) => {
+    session.users.forEach((user, userId) => {
+      if (
+        user.role === "owner" ||
+        user.lastSeen.getTime() > cutoff ||
+        isConnected(sessionId, userId)
+      ) {
+        return;
+      }
+      session.users.delete(userId);
+      delete session.keyHashes[userId];
+      userSessions.delete(userId);
+      removed.push({ sessionId, user });
+    });
+  });
+  if (removed.length > 0) saveSessions();
+  return removed;
+}
+
+// Ids of the sessions without activity for longer than `idleMs`
+export function idleSessionIds(idleMs) {
+  const cutoff = Date.now() - idleMs;
+  return Array.from(sessions.values())
+    .filter((session) => session.lastActivity.getTime() <= cutoff)
+    .map((session) => session.id);
+}
+
+// Forget a session and its members
+export function deleteSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) return false;
+  session.users.forEach((_, userId) => userSessions.delete(userId));
+  sessions.delete(sessionId);
+  saveSessions();
+  return true;
+}
+
+// The sessions whose owner joined with `ownerKey`, most recently active
+// first, or null for an invalid key
+export function listOwnedSessions(ownerKey) {
+  const hash = hashOwnerKey(ownerKey);
+  if (!hash) return null;
+  return Array.from(sessions.values())
+    .filter((session) => session.keyHashes[session.ownerId] === hash)
+    .sort((a, b) => b.lastActivity - a.lastActivity)
+    .map((session) => ({
+      id: session.id,
+      name: session.name,
+      locked: !!session.locked,
+      createdAt: session.createdAt,
+      lastActivity: session.lastActivity,
+      userCount: session.users.size,
+    }));
+}
+
 // Get all users in a session
 export function getSessionUsers(sessionId) {
   const session = sessions.get(sessionId);
@@ -204,13 +541,29 @@ export function getSessionUsers(sessionId) {
 }
 
 export default {
+  loadSessions,
   createSession,
   joinSession,
   getSession,
   getSessionByInviteCode,
   getUser,
+  issueToken,
   canEdit,
+  isOwner,
   leaveSession,
   updateUserRole,
+  removeUser,
+  transferOwnership,
+  getInvites,
+  createSessionInvite,
+  revokeInvite,
+  rotateInviteCodes,
+  setSessionLocked,
+  touchSession,
+  markUserSeen,
+  removeAwayUsers,
+  idleSessionIds,
+  deleteSession,
+  listOwnedSessions,
   getSessionUsers,
 };
@@ -0,0 +1,54 @@
+// Session tokens: signed claims that expire and cannot be altered.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+process.env.TOKEN_SECRET = "test-secret";
+const { signToken, verifyToken } = await import("../auth.js");
+
+// A token signed with the test secret for any payload
+function forge(payload, header = { alg: "HS256", typ: "JWT" }) {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const data = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto
+    .createHmac("sha256", "test-secret")
+    .update(data)
+    .digest("base64url");
+  return `${data}.${signature}`;
+}
+
+test("signed tokens carry their claims until they expire", () => {
+  const { token, expiresAt } = signToken({
+    sub: "u1",
+    sid: "s1",
+    role: "editor",
+  });
+  const claims = verifyToken(token);
+  assert.equal(claims.sub, "u1");
+  assert.equal(claims.sid, "s1");
+  assert.equal(claims.role, "editor");
+  assert.equal(claims.exp * 1000, expiresAt);
+  assert.ok(expiresAt > Date.now());
+});
+
+test("altered, expired and malformed tokens are refused", () => {
+  const { token } = signToken({ sub: "u1", sid: "s1", role: "viewer" });
+  const [header, , signature] = token.split(".");
+  const promoted = Buffer.from(
+    JSON.stringify({ sub: "u1", sid: "s1", role: "owner", exp: 2e9 }),
+  ).toString("base64url");
+  assert.equal(verifyToken(`${header}.${promoted}.${signature}`), null);
+
+  const now = Math.floor(Date.now() / 1000);
+  assert.equal(verifyToken(forge({ sub: "u1", exp: now - 1 })), null);
+  assert.equal(verifyToken(forge({ sub: "u1" })), null);
+  assert.equal(
+    verifyToken(forge({ sub: "u1", exp: now + 60 }, { alg: "none" })),
+    null,
+  );
+  assert.ok(verifyToken(forge({ sub: "u1", exp: now + 60 })));
+
+  assert.equal(verifyToken("not.a.token"), null);
+  assert.equal(verifyToken(undefined), null);
+});
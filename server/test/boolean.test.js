@@ -0,0 +1,297 @@
+// Boolean analysis: minimized sums of products are exact and as small as
+// possible, K-maps stop at MAX_KMAP_VARS, and expressions are extracted
+// from circuits through chains of gates.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGate } from "../../client/js/gates.js";
+import { createWire } from "../../client/js/wire.js";
+import {
+  MAX_KMAP_VARS,
+  extractExpression,
+  formatExpression,
+  implicantsToExpression,
+  kmapLayout,
+  minimizeSOP,
+  parseTruthTable,
+} from "../../client/js/boolean.js";
+
+const NAMES = ["A", "B", "C", "D", "E", "F"];
+
+function evaluate(expr, env) {
+  switch (expr.type) {
+    case "var":
+      return env[expr.name];
+    case "const":
+      return expr.value;
+    case "not":
+      return !evaluate(expr.arg, env);
+    case "and":
+      return expr.args.every((arg) => evaluate(arg, env));
+    case "or":
+      return expr.args.some((arg) => evaluate(arg, env));
+    case "xor":
+      return expr.args.reduce((acc, arg) => acc !== evaluate(arg, env), false);
+  }
+  throw new Error(`Cannot evaluate ${expr.type}`);
+}
+
+// Variable 0 is the most significant bit of a row index
+function env(names, index) {
+  return Object.fromEntries(
+    names.map((name, i) => [name, !!(index & (1 << (names.length - 1 - i)))]),
+  );
+}
+
+// The result is 1 on every minterm, 0 off the don't-cares, and made only
+// of prime implicants
+function assertMinimizes(numVars, minterms, dontCares = []) {
+  const names = NAMES.slice(0, numVars);
+  const implicants = minimizeSOP(numVars, minterms, dontCares);
+  const expr = implicantsToExpression(implicants, names);
+  for (let index = 0; index < 1 << numVars; index++) {
+    if (dontCares.includes(index)) continue;
+    assert.equal(
+      evaluate(expr, env(names, index)),
+      minterms.includes(index),
+      `row ${index} of ${formatExpression(expr)}`,
+    );
+  }
+
+  const allowed = new Set([...minterms, ...dontCares]);
+  const covers = ({ value, mask }, index) => (index & ~mask) === value;
+  for (const implicant of implicants) {
+    for (let bit = 1; bit < 1 << numVars; bit <<= 1) {
+      if (implicant.mask & bit) continue;
+      // Dropping any literal would take in a row that must stay 0
+      const wider = {
+        value: implicant.value & ~bit,
+        mask: implicant.mask | bit,
+      };
+      const rows = Array.from({ length: 1 << numVars }, (_, i) => i);
+      assert.ok(
+        rows.some((index) => covers(wider, index) && !allowed.has(index)),
+        `${formatExpression(expr)} has a non-prime implicant`,
+      );
+    }
+  }
+  return { implicants, expr: formatExpression(expr) };
+}
+
+// ========== Minimization ==========
+
+test("constant functions minimize to 0 and 1", () => {
+  assert.deepEqual(minimizeSOP(3, []), []);
+  assert.equal(formatExpression(implicantsToExpression([], NAMES)), "0");
+
+  const all = [0, 1, 2, 3, 4, 5, 6, 7];
+  assert.deepEqual(minimizeSOP(3, all), [{ value: 0, mask: 7 }]);
+  assert.deepEqual(minimizeSOP(3, [0, 5], [1, 2, 3, 4, 6, 7]), [
+    { value: 0, mask: 7 },
+  ]);
+  assert.equal(assertMinimizes(3, all).expr, "1");
+});
+
+test("variable 0 is the most significant bit", () => {
+  assert.deepEqual(minimizeSOP(2, [2, 3]), [{ value: 2, mask: 1 }]);
+  assert.equal(assertMinimizes(2, [2, 3]).expr, "A");
+  assert.equal(assertMinimizes(2, [1, 3]).expr, "B");
+  assert.equal(assertMinimizes(3, [1]).expr, "!A & !B & C");
+});
+
+test("known minimizations", () => {
+  assert.equal(assertMinimizes(2, [1, 2]).expr, "(!A & B) | (A & !B)");
+  assert.equal(assertMinimizes(3, [0, 2, 5, 7]).expr, "(!A & !C) | (A & C)");
+  // Majority of three
+  assert.equal(
+    assertMinimizes(3, [3, 5, 6, 7]).expr,
+    "(B & C) | (A & C) | (A & B)",
+  );
+  assert.equal(
+    assertMinimizes(4, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]).expr,
+    "!B | !A",
+  );
+});
+
+test("don't-cares are used only where they shrink the result", () => {
+  // Without the don't-care: !A & C | !B & C
+  assert.equal(assertMinimizes(3, [1, 3, 5]).implicants.length, 2);
+  assert.equal(assertMinimizes(3, [1, 3, 5], [7]).expr, "C");
+
+  // A BCD digit is at least 5 (rows 10 to 15 never occur)
+  const bcd = [10, 11, 12, 13, 14, 15];
+  assert.equal(
+    assertMinimizes(4, [5, 6, 7, 8, 9], bcd).expr,
+    "(B & D) | (B & C) | A",
+  );
+  // A don't-care that does not help stays 0
+  assert.equal(assertMinimizes(3, [0], [7]).expr, "!A & !B & !C");
+});
+
+test("the cover is minimal where no prime is essential", () => {
+  // Cyclic: six two-literal primes, each row covered by two of them;
+  // picking greedily can take four, the minimum is three
+  const { implicants } = assertMinimizes(3, [0, 1, 2, 5, 6, 7]);
+  assert.equal(implicants.length, 3);
+  assert.ok(implicants.every(({ mask }) => [1, 2, 4].includes(mask)));
+
+  // Textbook example with an essential prime and a choice of covers
+  const textbook = assertMinimizes(4, [4, 8, 10, 11, 12, 15], [9, 14]);
+  assert.equal(textbook.implicants.length, 3);
+});
+
+test("minimization handles five and six variables", () => {
+  // Parity has no merges at all: every minterm is its own prime
+  const odd = Array.from({ length: 32 }, (_, i) => i).filter(
+    (i) => i.toString(2).split("1").length % 2 === 0,
+  );
+  assert.equal(assertMinimizes(5, odd).implicants.length, 16);
+
+  assert.deepEqual(
+    minimizeSOP(
+      6,
+      Array.from({ length: 32 }, (_, i) => 32 + i),
+    ),
+    [{ value: 32, mask: 31 }],
+  );
+
+  // Pseudo-random functions with don't-cares
+  let seed = 7;
+  const random = () => (seed = (seed * 1103515245 + 12345) % 2 ** 31) / 2 ** 31;
+  for (const numVars of [5, 6, 6]) {
+    const minterms = [];
+    const dontCares = [];
+    for (let index = 0; index < 1 << numVars; index++) {
+      const r = random();
+      if (r < 0.4) minterms.push(index);
+      else if (r < 0.5) dontCares.push(index);
+    }
+    assertMinimizes(numVars, minterms, dontCares);
+  }
+});
+
+// ========== K-map limit ==========
+
+test("K-maps are laid out in Gray code up to six variables", () => {
+  assert.equal(MAX_KMAP_VARS, 6);
+  for (const [numVars, rows, cols] of [
+    [5, 4, 8],
+    [6, 8, 8],
+  ]) {
+    const layout = kmapLayout(numVars);
+    assert.equal(layout.cells.length, rows);
+    assert.equal(layout.cells[0].length, cols);
+
+    const cells = layout.cells.flat();
+    assert.equal(new Set(cells).size, 1 << numVars);
+    // Neighbours, wrapping around, differ in one variable
+    const oneBit = (a, b) => (a ^ b) !== 0 && ((a ^ b) & ((a ^ b) - 1)) === 0;
+    layout.cells.forEach((row, r) =>
+      row.forEach((cell, c) => {
+        assert.ok(oneBit(cell, row[(c + 1) % cols]));
+        assert.ok(oneBit(cell, layout.cells[(r + 1) % rows][c]));
+      }),
+    );
+  }
+});
+
+test("truth tables take up to six inputs", () => {
+  const table = (inputs) => {
+    const names = NAMES.concat(["G"]).slice(0, inputs);
+    const rows = Array.from({ length: 1 << inputs }, (_, index) => {
+      const bits = names.map((_, i) => (index >> (inputs - 1 - i)) & 1);
+      return `${bits.join(" ")} | ${index === 0 ? 1 : 0}`;
+    });
+    return [`${names.join(" ")} | Y`, ...rows].join("\n");
+  };
+
+  assert.deepEqual(
+    parseTruthTable(table(6)).map(({ expr }) => formatExpression(expr)),
+    ["!A & !B & !C & !D & !E & !F"],
+  );
+  assert.throws(
+    () => parseTruthTable(table(7)),
+    /too many inputs \(7, max 6\)/,
+  );
+});
+
+// ========== Extraction ==========
+
+function circuit(parts) {
+  const gates = new Map(parts.map((gate) => [gate.id, gate]));
+  return { gates, wires: [] };
+}
+
+function connect(wires, from, to, toPin = 0) {
+  wires.push(
+    createWire(from.id, from.outputs[0].id, to.id, to.inputs[toPin].id),
+  );
+}
+
+test("expressions are extracted through XOR and NOT chains", () => {
+  const a = createGate("INPUT", 0, 0);
+  const b = createGate("INPUT", 0, 100);
+  const c = createGate("INPUT", 0, 200);
+  const first = createGate("XOR", 100, 0);
+  const invert = createGate("NOT", 200, 0);
+  const second = createGate("XOR", 300, 0);
+  const again = createGate("NOT", 400, 0);
+  const twice = createGate("NOT", 500, 0);
+  const out = createGate("OUTPUT", 600, 0);
+  const { gates, wires } = circuit([
+    a,
+    b,
+    c,
+    first,
+    invert,
+    second,
+    again,
+    twice,
+    out,
+  ]);
+  connect(wires, a, first, 0);
+  connect(wires, b, first, 1);
+  connect(wires, first, invert);
+  connect(wires, invert, second, 0);
+  connect(wires, c, second, 1);
+  connect(wires, second, again);
+  connect(wires, again, twice);
+  connect(wires, twice, out);
+
+  const labels = new Map([
+    [a.id, "A"],
+    [b.id, "B"],
+    [c.id, "C"],
+  ]);
+  const expr = extractExpression(gates, wires, out.id, labels);
+  assert.equal(formatExpression(expr), "!!(!(A ^ B) ^ C)");
+  // Odd parity inverted: 1 when an even number of inputs are 1
+  for (let index = 0; index < 8; index++) {
+    const values = env(["A", "B", "C"], index);
+    const ones = Object.values(values).filter(Boolean).length;
+    assert.equal(evaluate(expr, values), ones % 2 === 0, `row ${index}`);
+  }
+});
+
+test("extraction reads open inputs as 0 and loops as unknown", () => {
+  const a = createGate("INPUT", 0, 0);
+  const nand = createGate("NAND", 100, 0);
+  const nor = createGate("NOR", 200, 0);
+  const out = createGate("OUTPUT", 300, 0);
+  const { gates, wires } = circuit([a, nand, nor, out]);
+  connect(wires, a, nand, 0);
+  connect(wires, nand, nor, 0);
+  connect(wires, nor, out);
+  const labels = new Map([[a.id, "A"]]);
+
+  assert.equal(
+    formatExpression(extractExpression(gates, wires, out.id, labels)),
+    "!(!(A & 0) | 0)",
+  );
+
+  // Feeding the NOR back into the NAND makes a latch
+  connect(wires, nor, nand, 1);
+  assert.equal(
+    formatExpression(extractExpression(gates, wires, out.id, labels)),
+    "!(!(A & ?) | 0)",
+  );
+});
@@ -0,0 +1,306 @@
+// Circuit import: files are checked as a whole before anything is written,
+// both by parseCircuit and through PUT /api/sessions/:id/circuit.
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { createGate } from "../../client/js/gates.js";
+import { createWire } from "../../client/js/wire.js";
+import {
+  CIRCUIT_FORMAT,
+  CIRCUIT_FORMAT_VERSION,
+  parseCircuit,
+} from "../../client/js/circuitFormat.js";
+import { portPinId } from "../../client/js/subcircuit.js";
+
+function connect(from, to, toPin = 0) {
+  return createWire(from.id, from.outputs[0].id, to.id, to.inputs[toPin].id);
+}
+
+function file({ gates = [], wires = [], subcircuits } = {}) {
+  return {
+    format: CIRCUIT_FORMAT,
+    version: CIRCUIT_FORMAT_VERSION,
+    gates,
+    wires,
+    subcircuits,
+  };
+}
+
+// INPUT -> NOT -> OUTPUT
+function inverter() {
+  const input = createGate("INPUT", 0, 0);
+  const not = createGate("NOT", 100, 0);
+  const output = createGate("OUTPUT", 200, 0);
+  return {
+    input,
+    not,
+    output,
+    gates: [input, not, output],
+    wires: [connect(input, not), connect(not, output)],
+  };
+}
+
+const instanceOf = (subcircuitId) => ({
+  ...createGate("SUBCIRCUIT", 100, 0),
+  subcircuitId,
+});
+
+// A definition whose INPUT and OUTPUT are joined through an instance of
+// `subcircuitId`, itself built like this one
+function wrapper(id, subcircuitId, inner) {
+  const input = createGate("INPUT", 0, 0);
+  const instance = instanceOf(subcircuitId);
+  const output = createGate("OUTPUT", 200, 0);
+  return {
+    id,
+    name: `Wraps ${subcircuitId}`,
+    input,
+    output,
+    gates: [input, instance, output],
+    wires: [
+      createWire(
+        input.id,
+        input.outputs[0].id,
+        instance.id,
+        portPinId(instance.id, inner.input.id),
+      ),
+      createWire(
+        instance.id,
+        portPinId(instance.id, inner.output.id),
+        output.id,
+        output.inputs[0].id,
+      ),
+    ],
+  };
+}
+
+const definition = ({ id, name, gates, wires }) => ({ id, name, gates, wires });
+
+// A definition holding nothing but an instance of `subcircuitId`
+const using = (id, subcircuitId) => ({
+  id,
+  name: id.toUpperCase(),
+  gates: [instanceOf(subcircuitId)],
+  wires: [],
+});
+
+// Every problem parseCircuit reports for `data`
+function problemsOf(data) {
+  try {
+    parseCircuit(data);
+  } catch (error) {
+    return error.problems ?? [error.message];
+  }
+  assert.fail("the circuit was accepted");
+}
+
+// ========== Accepted ==========
+
+test("a valid circuit is read with its pins rebuilt", () => {
+  const { gates, wires, not } = inverter();
+  const stripped = gates.map(({ inputs, outputs, ...gate }) => gate);
+  const circuit = parseCircuit(file({ gates: stripped, wires }));
+  assert.equal(circuit.gates.size, 3);
+  assert.equal(circuit.wires.length, 2);
+  assert.deepEqual(circuit.gates.get(not.id).inputs, not.inputs);
+  assert.equal(circuit.definitions.size, 0);
+});
+
+test("subcircuits may use definitions listed after them", () => {
+  const inner = { id: "inner", name: "Inverter", ...inverter() };
+  const middle = wrapper("middle", "inner", inner);
+  const outer = wrapper("outer", "middle", middle);
+  const top = instanceOf("outer");
+
+  const circuit = parseCircuit(
+    file({
+      gates: [top],
+      subcircuits: [outer, middle, inner].map(definition),
+    }),
+  );
+  assert.deepEqual(Array.from(circuit.definitions.keys()), [
+    "outer",
+    "middle",
+    "inner",
+  ]);
+  assert.equal(circuit.definitions.get("outer").wires.length, 2);
+  assert.equal(circuit.gates.get(top.id).subcircuitId, "outer");
+});
+
+// ========== Rejected ==========
+
+test("files of another format or version are rejected", () => {
+  assert.deepEqual(problemsOf(null), ["Not a circuit file"]);
+  assert.deepEqual(problemsOf({ ...file(), format: "other" }), [
+    "Not a circuit file",
+  ]);
+  assert.deepEqual(problemsOf({ ...file(), version: 2 }), [
+    "Unsupported circuit file version 2",
+  ]);
+});
+
+test("unknown gate types are rejected", () => {
+  const { gates } = inverter();
+  const flux = { ...createGate("AND", 0, 0), type: "FLUXCAPACITOR" };
+  const port = { ...createGate("AND", 0, 0), type: "PORT" };
+  assert.deepEqual(problemsOf(file({ gates: [...gates, flux, port] })), [
+    `Circuit: gate ${flux.id} has unknown type "FLUXCAPACITOR"`,
+    `Circuit: gate ${port.id} has unknown type "PORT"`,
+  ]);
+});
+
+test("dangling wires are rejected", () => {
+  const { gates, wires, input, not } = inverter();
+  const toNowhere = createWire(input.id, input.outputs[0].id, "gone", "pin");
+  const toNoPin = createWire(input.id, "no-such-pin", not.id, not.inputs[0].id);
+  const problems = problemsOf(
+    file({ gates: gates.slice(0, 2), wires: [...wires, toNowhere, toNoPin] }),
+  );
+  assert.deepEqual(problems, [
+    `Circuit: wire ${wires[1].id} references a missing gate`,
+    `Circuit: wire ${toNowhere.id} references a missing gate`,
+    `Circuit: wire ${toNoPin.id} references a missing pin`,
+  ]);
+});
+
+test("an input driven by two wires is rejected", () => {
+  const { gates, wires, not } = inverter();
+  const other = createGate("INPUT", 0, 100);
+  const second = connect(other, not);
+  assert.deepEqual(
+    problemsOf(file({ gates: [...gates, other], wires: [...wires, second] })),
+    [
+      `Circuit: wire ${second.id} drives input ${not.inputs[0].id}, which has a wire`,
+    ],
+  );
+});
+
+test("instances of missing subcircuits are rejected", () => {
+  const orphan = instanceOf("missing");
+  assert.deepEqual(problemsOf(file({ gates: [orphan] })), [
+    `Circuit: gate ${orphan.id} uses missing subcircuit missing`,
+  ]);
+});
+
+test("nameless subcircuit definitions are rejected", () => {
+  const inner = inverter();
+  [undefined, "", "   ", 42].forEach((name) => {
+    assert.deepEqual(
+      problemsOf(
+        file({ subcircuits: [definition({ ...inner, id: "s1", name })] }),
+      ),
+      ["Subcircuit s1 has no name"],
+    );
+  });
+});
+
+test("subcircuits containing themselves are rejected", () => {
+  assert.deepEqual(problemsOf(file({ subcircuits: [using("loop", "loop")] })), [
+    "Subcircuit LOOP contains itself",
+  ]);
+
+  // a -> b -> c -> a; d only uses the cycle
+  const subcircuits = [
+    using("a", "b"),
+    using("b", "c"),
+    using("c", "a"),
+    using("d", "a"),
+  ];
+  assert.deepEqual(problemsOf(file({ subcircuits })), [
+    "Subcircuit A contains itself",
+    "Subcircuit B contains itself",
+    "Subcircuit C contains itself",
+  ]);
+});
+
+test("the error lists the first problems and counts the rest", () => {
+  const gates = Array.from({ length: 8 }, (_, i) => ({
+    ...createGate("AND", i, 0),
+    type: "NOPE",
+  }));
+  assert.throws(
+    () => parseCircuit(file({ gates })),
+    (error) =>
+      error.problems.length === 8 &&
+      error.message.endsWith("; and 3 more problems"),
+  );
+});
+
+// ========== PUT /api/sessions/:id/circuit ==========
+
+// The server on a free port, with nothing kept on disk
+async function startServer() {
+  const server = spawn(process.execPath, ["index.js"], {
+    cwd: fileURLToPath(new URL("..", import.meta.url)),
+    env: {
+      ...process.env,
+      PORT: "0",
+      PERSISTENCE: "memory",
+      TOKEN_SECRET: "test-secret",
+    },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  after(() => server.kill());
+
+  let output = "";
+  for await (const chunk of server.stdout) {
+    output += chunk;
+    const match = /http:\/\/localhost:(\d+)/.exec(output);
+    if (match) return `http://localhost:${match[1]}`;
+  }
+  throw new Error(`The server did not start: ${output}`);
+}
+
+test("PUT /circuit replaces valid circuits and rejects the rest", async () => {
+  const base = await startServer();
+  const request = async (method, path, { token, body } = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const { body: owner } = await request("POST", "/api/sessions", {
+    body: { userName: "Ada", ownerKey: "owner-key-0123456789" },
+  });
+  const path = `/api/sessions/${owner.sessionId}/circuit`;
+  const { gates, wires } = inverter();
+
+  assert.deepEqual(await request("PUT", path, { body: file({ gates }) }), {
+    status: 401,
+    body: { error: "A valid session token is required" },
+  });
+
+  const accepted = await request("PUT", path, {
+    token: owner.token,
+    body: file({ gates, wires }),
+  });
+  assert.deepEqual(accepted, { status: 200, body: { gates: 3, wires: 2 } });
+
+  const rejected = await request("PUT", path, {
+    token: owner.token,
+    body: file({
+      subcircuits: [
+        using("loop", "loop"),
+        definition({ ...inverter(), id: "nameless" }),
+      ],
+    }),
+  });
+  assert.equal(rejected.status, 400);
+  assert.deepEqual(rejected.body.problems, [
+    "Subcircuit nameless has no name",
+    "Subcircuit LOOP contains itself",
+  ]);
+
+  // The rejected file left the circuit as it was
+  const { body: current } = await request("GET", path, { token: owner.token });
+  assert.equal(current.gates.length, 3);
+  assert.equal(current.wires.length, 2);
+  assert.deepEqual(current.subcircuits, []);
+});
@@ -0,0 +1,125 @@
+// Version diffs: gates and wires matched by id between two circuits, also
+// when both come from exported circuit files.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGate } from "../../client/js/gates.js";
+import { createWire } from "../../client/js/wire.js";
+import { serializeCircuit } from "../../client/js/circuitFormat.js";
+import {
+  describeDiff,
+  diffCircuits,
+  isEmptyDiff,
+} from "../../client/js/diff.js";
+import { readCircuitFile } from "../../client/js/history.js";
+
+function connect(from, to, toPin = 0) {
+  return createWire(from.id, from.outputs[0].id, to.id, to.inputs[toPin].id);
+}
+
+function circuit(gates, wires) {
+  return {
+    gates: new Map(gates.map((gate) => [gate.id, gate])),
+    wires,
+    definitions: new Map(),
+  };
+}
+
+// A and B into an AND gate; the next version moves the AND, turns B into
+// a constant high input, drops A, adds an OUTPUT and moves the B wire to
+// the AND's other input
+function versions() {
+  const a = createGate("INPUT", 0, 0);
+  const b = createGate("INPUT", 0, 100);
+  const and = createGate("AND", 100, 50);
+  const output = createGate("OUTPUT", 200, 50);
+  const wireA = connect(a, and, 0);
+  const wireB = connect(b, and, 1);
+
+  const before = circuit([a, b, and], [wireA, wireB]);
+  const after = circuit(
+    [{ ...b, value: true }, { ...and, x: 120 }, output],
+    [
+      { ...wireB, to: { ...wireB.to, pinId: and.inputs[0].id } },
+      connect(and, output),
+    ],
+  );
+  return { a, b, and, output, wireA, wireB, before, after };
+}
+
+test("gates are added, removed, moved and changed", () => {
+  const { a, b, and, output, before, after } = versions();
+  const { gates } = diffCircuits(before, after);
+
+  assert.deepEqual(
+    gates.added.map((gate) => gate.id),
+    [output.id],
+  );
+  assert.deepEqual(
+    gates.removed.map((gate) => gate.id),
+    [a.id],
+  );
+  assert.deepEqual(
+    gates.moved.map(({ id, before, after }) => [id, before.x, after.x]),
+    [[and.id, 100, 120]],
+  );
+  assert.deepEqual(
+    gates.changed.map(({ id, fields }) => [id, fields]),
+    [[b.id, ["value"]]],
+  );
+});
+
+test("wires are added, removed and rewired when their ends change", () => {
+  const { and, wireA, wireB, before, after } = versions();
+  const { wires } = diffCircuits(before, after);
+
+  assert.equal(wires.added.length, 1);
+  assert.equal(wires.added[0].from.gateId, and.id);
+  assert.deepEqual(
+    wires.removed.map((wire) => wire.id),
+    [wireA.id],
+  );
+  assert.deepEqual(
+    wires.rewired.map(({ id, before, after }) => [
+      id,
+      before.to.pinId,
+      after.to.pinId,
+    ]),
+    [[wireB.id, and.inputs[1].id, and.inputs[0].id]],
+  );
+
+  const lines = describeDiff(diffCircuits(before, after), before, after);
+  assert.ok(lines.some(({ text }) => text === "Moved AND"));
+  assert.ok(
+    lines.some(
+      ({ kind, text }) =>
+        kind === "rewired" && text === "Rewired INPUT → AND:2 to INPUT → AND:1",
+    ),
+  );
+});
+
+test("an unchanged circuit has an empty diff", () => {
+  const { before } = versions();
+  assert.ok(isEmptyDiff(diffCircuits(before, before)));
+});
+
+test("exported circuit files can be compared", () => {
+  const { and, before, after } = versions();
+  const file = (version, exportedAt) =>
+    JSON.stringify(serializeCircuit(version, { exportedAt }));
+
+  const older = readCircuitFile(file(before, "2026-01-01T10:00:00Z"));
+  const newer = readCircuitFile(file(after, "2026-01-02T10:00:00Z"));
+  assert.ok(older.exportedAt < newer.exportedAt);
+
+  const diff = diffCircuits(older.circuit, newer.circuit);
+  assert.equal(diff.gates.added.length, 1);
+  assert.equal(diff.gates.removed.length, 1);
+  assert.deepEqual(
+    diff.gates.moved.map(({ id }) => id),
+    [and.id],
+  );
+  assert.equal(diff.wires.rewired.length, 1);
+
+  assert.equal(readCircuitFile(file(before)).exportedAt, null);
+  assert.throws(() => readCircuitFile("{}"), /Not a circuit file/);
+});
@@ -0,0 +1,135 @@
+// Invites: each admits new members with its role until it expires, runs out
+// of uses or is revoked, and never while the session is locked.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.TOKEN_SECRET = "test-secret";
+const { createMemoryBackend, setPersistence } =
+  await import("../persistence.js");
+const {
+  createSession,
+  joinSession,
+  getUser,
+  getSessionByInviteCode,
+  createSessionInvite,
+  revokeInvite,
+  setSessionLocked,
+} = await import("../sessionManager.js");
+
+setPersistence(createMemoryBackend());
+
+const INVALID = { error: "Invalid or expired invite" };
+
+function session() {
+  return createSession("Ada", "owner-key-0123456789");
+}
+
+test("invites give their role to the members they admit", () => {
+  const { sessionId, userId, invites } = session();
+  invites.forEach(({ code, role }) => {
+    assert.equal(getSessionByInviteCode(code).id, sessionId);
+    assert.equal(getSessionByInviteCode(code).role, role);
+    const joined = joinSession(sessionId, "Bob", code);
+    assert.equal(joined.role, role);
+    assert.equal(getUser(sessionId, joined.userId).role, role);
+  });
+
+  const { invite } = createSessionInvite(sessionId, { role: "viewer" }, userId);
+  assert.equal(invite.uses, 0);
+  assert.equal(joinSession(sessionId, "Cy", invite.code).role, "viewer");
+  assert.equal(invite.uses, 1);
+});
+
+test("an invite only admits to its own session", () => {
+  const first = session();
+  const second = session();
+  assert.deepEqual(
+    joinSession(second.sessionId, "Bob", first.invites[0].code),
+    INVALID,
+  );
+  assert.deepEqual(
+    joinSession(first.sessionId, "Bob", "no-such-code"),
+    INVALID,
+  );
+  assert.equal(getSessionByInviteCode("no-such-code"), null);
+});
+
+test("expired invites stop admitting", () => {
+  const { sessionId, userId } = session();
+  const { invite } = createSessionInvite(
+    sessionId,
+    { role: "editor", expiresIn: 60 },
+    userId,
+  );
+  assert.ok(invite.expiresAt > new Date());
+  assert.equal(getSessionByInviteCode(invite.code).id, sessionId);
+
+  invite.expiresAt = new Date(Date.now() - 1000);
+  assert.equal(getSessionByInviteCode(invite.code), null);
+  assert.deepEqual(joinSession(sessionId, "Bob", invite.code), INVALID);
+});
+
+test("invites with maxUses admit that many members", () => {
+  const { sessionId, userId } = session();
+  const { invite } = createSessionInvite(
+    sessionId,
+    { role: "editor", maxUses: 2 },
+    userId,
+  );
+  assert.ok(joinSession(sessionId, "Bob", invite.code).userId);
+  assert.ok(joinSession(sessionId, "Cy", invite.code).userId);
+  assert.deepEqual(joinSession(sessionId, "Dee", invite.code), INVALID);
+  assert.equal(getSessionByInviteCode(invite.code), null);
+  assert.equal(invite.uses, 2);
+});
+
+test("revoked invites stop admitting; members stay", () => {
+  const { sessionId, userId, invites } = session();
+  const { code } = invites.find(({ role }) => role === "editor");
+  const member = joinSession(sessionId, "Bob", code);
+
+  assert.deepEqual(revokeInvite(sessionId, code, member.userId), {
+    error: "Only the owner can manage the session",
+  });
+  assert.equal(revokeInvite(sessionId, code, userId).invite.code, code);
+  assert.deepEqual(revokeInvite(sessionId, code, userId), {
+    error: "Invite not found",
+  });
+
+  assert.equal(getSessionByInviteCode(code), null);
+  assert.deepEqual(joinSession(sessionId, "Cy", code), INVALID);
+  assert.ok(getUser(sessionId, member.userId));
+});
+
+test("a locked session admits nobody, whatever the invite", () => {
+  const { sessionId, userId, invites } = session();
+  setSessionLocked(sessionId, true, userId);
+  invites.forEach(({ code }) =>
+    assert.deepEqual(joinSession(sessionId, "Bob", code), {
+      error: "This session is locked",
+    }),
+  );
+  assert.ok(invites.every(({ uses }) => uses === 0));
+});
+
+test("invites need a member role and limits in range from the owner", () => {
+  const { sessionId, userId, invites } = session();
+  const create = (options, requester = userId) =>
+    createSessionInvite(sessionId, options, requester);
+
+  assert.deepEqual(create({ role: "owner" }), {
+    error: "role must be editor or viewer",
+  });
+  [0, -5, 1.5, "60", 366 * 24 * 60 * 60].forEach((expiresIn) =>
+    assert.match(create({ role: "editor", expiresIn }).error, /^expiresIn/),
+  );
+  [0, -1, 2.5, "3", 10001].forEach((maxUses) =>
+    assert.match(create({ role: "editor", maxUses }).error, /^maxUses/),
+  );
+
+  const member = joinSession(sessionId, "Bob", invites[0].code);
+  assert.deepEqual(create({ role: "editor" }, member.userId), {
+    error: "Only the owner can manage the session",
+  });
+  assert.equal(invites.length, 2);
+});
@@ -0,0 +1,563 @@
+// Netlist export: the generated Verilog and VHDL are parsed back and
+// checked for declared, singly driven nets and consistent instances, and
+// combinational modules are evaluated against the editor's truth table.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGate } from "../../client/js/gates.js";
+import { createWire } from "../../client/js/wire.js";
+import { generateTruthTable } from "../../client/js/truthTable.js";
+import { toVerilog, toVHDL } from "../../client/js/netlist.js";
+
+// ========== Known circuits ==========
+
+function circuitOf(gates, wires, definitions = new Map()) {
+  return {
+    gates: new Map(gates.map((gate) => [gate.id, gate])),
+    wires,
+    definitions,
+  };
+}
+
+function connect(from, fromPin, to, toPin) {
+  const pin = from.outputs[fromPin];
+  return createWire(from.id, pin.id, to.id, to.inputs[toPin].id, pin.width);
+}
+
+function halfAdder() {
+  const a = createGate("INPUT", 0, 0);
+  const b = createGate("INPUT", 0, 100);
+  const xor = createGate("XOR", 100, 0);
+  const and = createGate("AND", 100, 100);
+  const sum = createGate("OUTPUT", 200, 0);
+  const carry = createGate("OUTPUT", 200, 100);
+  return circuitOf(
+    [a, b, xor, and, sum, carry],
+    [
+      connect(a, 0, xor, 0),
+      connect(b, 0, xor, 1),
+      connect(a, 0, and, 0),
+      connect(b, 0, and, 1),
+      connect(xor, 0, sum, 0),
+      connect(and, 0, carry, 0),
+    ],
+  );
+}
+
+// Two half adders as subcircuit instances plus an OR for the carry
+function fullAdder() {
+  const half = { id: "half", name: "half adder", ...halfAdder() };
+  const definitions = new Map([["half", half]]);
+  const a = createGate("INPUT", 0, 0);
+  const b = createGate("INPUT", 0, 100);
+  const cin = createGate("INPUT", 0, 200);
+  const first = { ...createGate("SUBCIRCUIT", 100, 0), subcircuitId: "half" };
+  const second = { ...createGate("SUBCIRCUIT", 200, 50), subcircuitId: "half" };
+  const or = createGate("OR", 300, 150);
+  const sum = createGate("OUTPUT", 400, 0);
+  const cout = createGate("OUTPUT", 400, 150);
+
+  // Instance pins are keyed by the definition's INPUT and OUTPUT gate ids
+  const [inA, inB, , , outS, outC] = Array.from(half.gates.keys());
+  const pin = (instance, port) => `${instance.id}-${port}`;
+  const wire = (fromGate, fromPin, toGate, toPin) =>
+    createWire(fromGate.id, fromPin, toGate.id, toPin);
+  return circuitOf(
+    [a, b, cin, first, second, or, sum, cout],
+    [
+      wire(a, a.outputs[0].id, first, pin(first, inA)),
+      wire(b, b.outputs[0].id, first, pin(first, inB)),
+      wire(first, pin(first, outS), second, pin(second, inA)),
+      wire(cin, cin.outputs[0].id, second, pin(second, inB)),
+      wire(second, pin(second, outS), sum, sum.inputs[0].id),
+      wire(first, pin(first, outC), or, or.inputs[0].id),
+      wire(second, pin(second, outC), or, or.inputs[1].id),
+      wire(or, or.outputs[0].id, cout, cout.inputs[0].id),
+    ],
+    definitions,
+  );
+}
+
+// Majority of three inputs from two-input ANDs and a three-input OR
+function majority() {
+  const inputs = [0, 100, 200].map((y) => createGate("INPUT", 0, y));
+  const ands = [0, 100, 200].map((y) => createGate("AND", 100, y));
+  const or = createGate("OR", 200, 100, { inputCount: 3 });
+  const out = createGate("OUTPUT", 300, 100);
+  const pairs = [
+    [0, 1],
+    [1, 2],
+    [0, 2],
+  ];
+  return circuitOf(
+    [...inputs, ...ands, or, out],
+    [
+      ...pairs.flatMap(([x, y], i) => [
+        connect(inputs[x], 0, ands[i], 0),
+        connect(inputs[y], 0, ands[i], 1),
+      ]),
+      ...ands.map((and, i) => connect(and, 0, or, i)),
+      connect(or, 0, out, 0),
+    ],
+  );
+}
+
+// A clocked 4-bit counter feeding a register through a bus adder and MUX,
+// with a clock, labelled ports and an unconnected select and carry-in
+function datapath() {
+  const clock = createGate("CLOCK", 0, 0);
+  const counter = createGate("COUNTER", 100, 0);
+  const adder = createGate("ADDER", 200, 0);
+  const mux = createGate("MUX", 300, 0, { bits: 4 });
+  const register = createGate("REGISTER", 400, 0);
+  const split = createGate("SPLITTER", 500, 0, { bits: 4 });
+  const flipFlop = createGate("DFF", 600, 0);
+  const reset = { ...createGate("INPUT", 0, 100), label: "in" };
+  const value = { ...createGate("OUTPUT", 700, 0, { bits: 4 }), label: "out" };
+  const bit = createGate("OUTPUT", 700, 100);
+  return circuitOf(
+    [clock, counter, adder, mux, register, split, flipFlop, reset, value, bit],
+    [
+      connect(clock, 0, counter, 2),
+      connect(reset, 0, counter, 1),
+      connect(counter, 0, adder, 0),
+      connect(counter, 0, adder, 1),
+      connect(adder, 0, mux, 0),
+      connect(mux, 0, register, 0),
+      connect(clock, 0, register, 2),
+      connect(register, 0, value, 0),
+      connect(register, 0, split, 0),
+      connect(split, 0, flipFlop, 0),
+      connect(clock, 0, flipFlop, 1),
+      connect(flipFlop, 0, bit, 0),
+    ],
+  );
+}
+
+// ========== Verilog ==========
+
+const VERILOG_PRIMITIVES = new Set(["and", "or", "xor", "nand", "nor", "not"]);
+const VERILOG_KEYWORDS = new Set([
+  "if",
+  "else",
+  "case",
+  "endcase",
+  "default",
+  "posedge",
+  "or",
+]);
+
+function tokenize(source) {
+  const pattern =
+    /\s+|\/\/[^\n]*|(\d+'[bdh][0-9a-fA-F_]+|[A-Za-z_][A-Za-z0-9_$]*|\d+|<=|==|[^\s])/g;
+  return Array.from(source.matchAll(pattern), (m) => m[1]).filter(Boolean);
+}
+
+const isIdentifier = (token) => /^[A-Za-z_]/.test(token);
+
+function addDriver(module, net) {
+  module.drivers.set(net, (module.drivers.get(net) ?? 0) + 1);
+}
+
+/**
+ * Modules of a Verilog netlist as written by toVerilog:
+ *   { name, ports: Map<name, { dir, width }>, declared: Set, drivers: Map,
+ *     reads: Set, instances: [{ module, connections: Map }],
+ *     statements: [{ kind: "assign" | "primitive", ... }] }
+ */
+function parseVerilog(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = (token) => assert.equal(next(), token);
+  const until = (stop) => {
+    const taken = [];
+    while (peek() !== stop) {
+      assert.ok(index < tokens.length, `missing ${stop}`);
+      taken.push(next());
+    }
+    return taken;
+  };
+  const range = () => {
+    if (peek() !== "[") return 1;
+    next();
+    const high = Number(next());
+    expect(":");
+    expect("0");
+    expect("]");
+    return high + 1;
+  };
+
+  const modules = new Map();
+  while (index < tokens.length) {
+    expect("module");
+    const module = {
+      name: next(),
+      ports: new Map(),
+      declared: new Set(),
+      drivers: new Map(),
+      reads: new Set(),
+      instances: [],
+      statements: [],
+    };
+    const drive = (net) => addDriver(module, net);
+    const read = (expression) =>
+      expression
+        .filter((token) => isIdentifier(token) && !VERILOG_KEYWORDS.has(token))
+        .forEach((token) => module.reads.add(token));
+
+    if (peek() === "(") {
+      next();
+      while (peek() !== ")") {
+        const dir = next() === "input" ? "in" : "out";
+        const width = range();
+        const name = next();
+        module.ports.set(name, { dir, width });
+        module.declared.add(name);
+        if (peek() === ",") next();
+      }
+      next();
+    }
+    expect(";");
+
+    for (let token = next(); token !== "endmodule"; token = next()) {
+      if (token === "wire" || token === "reg") {
+        range();
+        module.declared.add(next());
+        until(";");
+      } else if (token === "assign") {
+        const target = until("=");
+        next();
+        const expression = until(";");
+        target.filter(isIdentifier).forEach(drive);
+        read(expression);
+        module.statements.push({ kind: "assign", target, expression });
+      } else if (token === "always") {
+        const statement = [...until(")"), next()];
+        for (;;) {
+          const body = until(";");
+          statement.push(...body, next());
+          if (body.includes("case")) {
+            statement.push(...until("endcase"), next());
+          }
+          if (peek() !== "else") break;
+        }
+        read(statement);
+        statement.forEach((t, i) => {
+          if (statement[i + 1] === "<=" && !module.drivers.has(t)) drive(t);
+        });
+      } else if (VERILOG_PRIMITIVES.has(token)) {
+        next(); // instance name
+        expect("(");
+        const args = until(")").filter((t) => t !== ",");
+        next();
+        drive(args[0]);
+        read(args.slice(1));
+        module.statements.push({ kind: "primitive", token, args });
+      } else {
+        next(); // instance name
+        expect("(");
+        const connections = new Map();
+        while (peek() !== ")") {
+          expect(".");
+          const port = next();
+          expect("(");
+          connections.set(port, until(")"));
+          next();
+          if (peek() === ",") next();
+        }
+        next();
+        module.instances.push({ module: token, connections });
+      }
+      if (peek() === ";") next();
+    }
+    modules.set(module.name, module);
+  }
+  return modules;
+}
+
+// Every net is declared and driven once, and instances match their module
+function checkVerilog(source) {
+  const modules = parseVerilog(source);
+  modules.forEach((module) => {
+    module.instances.forEach(({ module: used, connections }) => {
+      const definition = modules.get(used);
+      assert.ok(definition, `${module.name}: unknown module ${used}`);
+      assert.deepEqual(
+        [...connections.keys()].sort(),
+        [...definition.ports.keys()].sort(),
+      );
+      connections.forEach((actual, port) => {
+        if (definition.ports.get(port).dir === "out") {
+          actual.forEach((net) => addDriver(module, net));
+        } else {
+          actual.filter(isIdentifier).forEach((net) => module.reads.add(net));
+        }
+      });
+    });
+    module.reads.forEach((name) =>
+      assert.ok(
+        module.declared.has(name),
+        `${module.name}: ${name} undeclared`,
+      ),
+    );
+    module.declared.forEach((name) => {
+      if (module.ports.get(name)?.dir === "in") {
+        assert.ok(!module.drivers.has(name), `${module.name}: ${name} driven`);
+        return;
+      }
+      assert.equal(
+        module.drivers.get(name),
+        1,
+        `${module.name}: ${name} must have exactly one driver`,
+      );
+    });
+  });
+  return modules;
+}
+
+// Evaluator for a combinational module made of 1-bit primitives, simple
+// assignments and instances: input port levels in, output port levels out
+function evaluateVerilog(modules, name) {
+  const module = modules.get(name);
+  const ports = [...module.ports];
+  const outputs = ports.filter(([, port]) => port.dir === "out");
+  const primitive = {
+    and: (v) => v.every(Boolean),
+    or: (v) => v.some(Boolean),
+    xor: (v) => v.filter(Boolean).length % 2 === 1,
+    nand: (v) => !v.every(Boolean),
+    nor: (v) => !v.some(Boolean),
+    not: ([v]) => !v,
+  };
+
+  return (values) => {
+    const levels = new Map(values);
+    const level = (token) =>
+      token.startsWith("1'b") ? token === "1'b1" : levels.get(token);
+    // Settle by repeated passes; netlists here have no feedback
+    for (let pass = 0; pass < module.statements.length + 1; pass++) {
+      module.statements.forEach((statement) => {
+        if (statement.kind === "assign") {
+          assert.equal(statement.expression.length, 1);
+          levels.set(statement.target[0], level(statement.expression[0]));
+        } else {
+          const [out, ...args] = statement.args;
+          levels.set(out, primitive[statement.token](args.map(level)));
+        }
+      });
+      module.instances.forEach(({ module: used, connections }) => {
+        const inner = modules.get(used);
+        const innerInputs = [...inner.ports]
+          .filter(([, port]) => port.dir === "in")
+          .map(([port]) => [port, level(connections.get(port)[0])]);
+        const result = evaluateVerilog(modules, used)(innerInputs);
+        result.forEach((value, port) =>
+          levels.set(connections.get(port)[0], value),
+        );
+      });
+    }
+    return new Map(outputs.map(([port]) => [port, levels.get(port)]));
+  };
+}
+
+test("half adder becomes primitives and port assignments", () => {
+  const verilog = toVerilog(halfAdder(), { name: "half_adder" });
+  const modules = checkVerilog(verilog);
+  const module = modules.get("half_adder");
+  assert.deepEqual(
+    [...module.ports].map(([name, { dir }]) => `${dir} ${name}`),
+    ["in A", "in B", "out Y1", "out Y2"],
+  );
+  assert.match(verilog, /^ {2}xor \w+ \(wire_\w+, A, B\);$/m);
+  assert.match(verilog, /^ {2}and \w+ \(wire_\w+, A, B\);$/m);
+});
+
+test("Verilog matches the truth table of known circuits", () => {
+  [halfAdder(), majority()].forEach((circuit) => {
+    const modules = checkVerilog(toVerilog(circuit, { name: "top" }));
+    const evaluate = evaluateVerilog(modules, "top");
+    const inputNames = [...modules.get("top").ports]
+      .filter(([, port]) => port.dir === "in")
+      .map(([name]) => name);
+    const table = generateTruthTable(circuit.gates, circuit.wires);
+    table.rows.forEach((row) => {
+      const result = evaluate(
+        inputNames.map((name, i) => [name, row.inputs[i]]),
+      );
+      assert.deepEqual([...result.values()], row.outputs);
+    });
+  });
+});
+
+test("full adder instantiates the half adder module twice", () => {
+  const verilog = toVerilog(fullAdder(), { name: "full_adder" });
+  const modules = checkVerilog(verilog);
+  assert.deepEqual([...modules.keys()], ["half_adder", "full_adder"]);
+  assert.equal(modules.get("full_adder").instances.length, 2);
+
+  const evaluate = evaluateVerilog(modules, "full_adder");
+  for (let row = 0; row < 8; row++) {
+    const [a, b, c] = [4, 2, 1].map((bit) => (row & bit) !== 0);
+    const result = evaluate([
+      ["A", a],
+      ["B", b],
+      ["C", c],
+    ]);
+    const total = a + b + c;
+    assert.deepEqual([...result.values()], [total % 2 === 1, total >= 2]);
+  }
+});
+
+test("sequential blocks, buses, clocks and reserved labels", () => {
+  const verilog = toVerilog(datapath(), { name: "datapath" });
+  const modules = checkVerilog(verilog);
+  const ports = modules.get("datapath").ports;
+  assert.deepEqual(
+    [...ports].map(([name, { dir, width }]) => `${dir} ${name} ${width}`),
+    ["in in_net 1", "in clk 1", "out out_net 4", "out Y2 1"],
+  );
+  assert.match(verilog, /^\/\/ clk: 1 Hz clock in the editor$/m);
+  assert.match(verilog, /always @\(posedge clk or posedge in_net\)/);
+  assert.match(verilog, /reg \[3:0\] \w+_q = 4'd0;/);
+  // Unconnected MUX select and carry-in read low, EN pins read high
+  assert.match(verilog, /= 1'b0 == 1'b0 \? \w+ : 4'd0;/);
+  assert.match(verilog, /\+ 1'b0;/);
+  assert.match(verilog, /if \(1'b1\)/);
+});
+
+// ========== VHDL ==========
+
+const VHDL_WORDS = new Set([
+  "and",
+  "or",
+  "xor",
+  "not",
+  "when",
+  "else",
+  "true",
+  "false",
+  "downto",
+  "std_logic_vector",
+  "unsigned",
+  "resize",
+  "rising_edge",
+]);
+
+/**
+ * Entities of a VHDL netlist as written by toVHDL:
+ *   { name, ports: Map<name, dir>, signals: Set, drivers: Map, reads: Set,
+ *     instances: [{ entity, connections: Map }] }
+ */
+function parseVHDL(source) {
+  const entities = new Map();
+  let entity = null;
+  let instance = null;
+  const words = (text) =>
+    text
+      .replace(/"[01]*"|'[01]'/g, " ")
+      .match(/[A-Za-z][A-Za-z0-9_]*/g)
+      ?.filter((word) => !VHDL_WORDS.has(word.toLowerCase())) ?? [];
+  const drive = (name) =>
+    entity.drivers.set(name, (entity.drivers.get(name) ?? 0) + 1);
+
+  let match;
+  let depth = 0; // open if/process blocks
+  source.split("\n").forEach((line) => {
+    if ((match = line.match(/^entity (\w+) is$/))) {
+      entity = {
+        name: match[1],
+        ports: new Map(),
+        signals: new Set(),
+        drivers: new Map(),
+        reads: new Set(),
+        instances: [],
+      };
+      entities.set(entity.name, entity);
+    } else if ((match = line.match(/^ {4}(\w+) : (in|out) /))) {
+      entity.ports.set(match[1], match[2]);
+    } else if ((match = line.match(/^ {2}signal (\w+) : /))) {
+      entity.signals.add(match[1]);
+    } else if ((match = line.match(/^ {2}(\w+): entity work\.(\w+)$/))) {
+      instance = { entity: match[2], connections: new Map() };
+      entity.instances.push(instance);
+    } else if ((match = line.match(/^ {4}port map \((.*)\);$/))) {
+      match[1].split(", ").forEach((association) => {
+        const [port, actual] = association.split(" => ");
+        instance.connections.set(port, actual);
+      });
+    } else if ((match = line.match(/^\s+(\w+) <= (.*);$/))) {
+      if (depth === 0 || !entity.drivers.has(match[1])) drive(match[1]);
+      words(match[2]).forEach((word) => entity.reads.add(word));
+    } else if ((match = line.match(/^\s+(?:els)?if (.*) then$/))) {
+      if (!line.includes("elsif")) depth++;
+      words(match[1]).forEach((word) => entity.reads.add(word));
+    } else if (/^\s+end if;$/.test(line)) {
+      depth--;
+    } else if ((match = line.match(/^ {2}\w+: process \((.*)\)$/))) {
+      words(match[1]).forEach((word) => entity.reads.add(word));
+    }
+  });
+  assert.equal(depth, 0, "unbalanced if blocks");
+  return entities;
+}
+
+function checkVHDL(source) {
+  const entities = parseVHDL(source);
+  entities.forEach((entity) => {
+    const declared = (name) =>
+      entity.signals.has(name) || entity.ports.has(name);
+    entity.reads.forEach((name) =>
+      assert.ok(declared(name), `${entity.name}: ${name} undeclared`),
+    );
+    entity.instances.forEach(({ entity: used, connections }) => {
+      const definition = entities.get(used);
+      assert.ok(definition, `${entity.name}: unknown entity ${used}`);
+      assert.deepEqual(
+        [...connections.keys()].sort(),
+        [...definition.ports.keys()].sort(),
+      );
+      connections.forEach((actual, port) => {
+        if (definition.ports.get(port) === "out") {
+          entity.drivers.set(actual, (entity.drivers.get(actual) ?? 0) + 1);
+        }
+      });
+    });
+    [...entity.signals, ...entity.ports.keys()].forEach((name) => {
+      if (entity.ports.get(name) === "in") return;
+      assert.equal(
+        entity.drivers.get(name),
+        1,
+        `${entity.name}: ${name} must have exactly one driver`,
+      );
+    });
+  });
+  return entities;
+}
+
+test("VHDL entities declare and drive every signal once", () => {
+  const half = checkVHDL(toVHDL(halfAdder(), { name: "half_adder" }));
+  assert.deepEqual(
+    [...half.get("half_adder").ports],
+    [
+      ["A", "in"],
+      ["B", "in"],
+      ["Y1", "out"],
+      ["Y2", "out"],
+    ],
+  );
+
+  const full = checkVHDL(toVHDL(fullAdder(), { name: "full_adder" }));
+  assert.deepEqual([...full.keys()], ["half_adder", "full_adder"]);
+  assert.equal(full.get("full_adder").instances.length, 2);
+
+  const vhdl = toVHDL(datapath(), { name: "datapath" });
+  checkVHDL(vhdl);
+  assert.match(vhdl, /process \(clk, in_net\)/);
+  assert.match(
+    vhdl,
+    /signal \w+_q : std_logic_vector\(3 downto 0\) := "0000";/,
+  );
+  // Unconnected selects are decided when the netlist is written
+  assert.match(vhdl, /when true else "0000";/);
+});
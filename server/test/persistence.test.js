@@ -0,0 +1,71 @@
+// File persistence: update logs survive torn appends and compaction, and
+// snapshots, session records and the token secret round-trip.
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createFileBackend } from "../persistence.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "circuit-persistence-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const bytes = (...values) => new Uint8Array(values);
+
+test("a torn final record is dropped and later appends are kept", () => {
+  const backend = createFileBackend(dir);
+  backend.appendUpdate("s1", bytes(1, 2, 3));
+  backend.appendUpdate("s1", bytes(4));
+
+  // A crash in the middle of an append: a length prefix without its data
+  const file = path.join(dir, "docs", "s1.bin");
+  fs.appendFileSync(file, Buffer.from([0, 0, 0, 9, 7]));
+
+  const reloaded = createFileBackend(dir);
+  assert.deepEqual(reloaded.loadUpdates("s1"), [bytes(1, 2, 3), bytes(4)]);
+  assert.equal(reloaded.appendUpdate("s1", bytes(5, 6)), 3);
+  assert.deepEqual(createFileBackend(dir).loadUpdates("s1"), [
+    bytes(1, 2, 3),
+    bytes(4),
+    bytes(5, 6),
+  ]);
+});
+
+test("compaction replaces the log with one update", () => {
+  const backend = createFileBackend(dir);
+  backend.appendUpdate("s2", bytes(1));
+  backend.appendUpdate("s2", bytes(2));
+  backend.compact("s2", bytes(9, 9));
+  assert.equal(backend.appendUpdate("s2", bytes(3)), 2);
+  assert.deepEqual(createFileBackend(dir).loadUpdates("s2"), [
+    bytes(9, 9),
+    bytes(3),
+  ]);
+
+  backend.saveSnapshots("s2", [{ id: "a", name: "v1", state: bytes(9) }]);
+  backend.deleteDoc("s2");
+  assert.deepEqual(backend.loadUpdates("s2"), []);
+  assert.deepEqual(backend.loadSnapshots("s2"), []);
+});
+
+test("snapshots and session records round-trip", () => {
+  const backend = createFileBackend(dir);
+  const snapshot = { id: "a", name: "v1", createdBy: "Ada", state: bytes(1) };
+  backend.saveSnapshots("s3", [snapshot]);
+  const sessions = [{ id: "s3", name: "Circuit Session", users: [] }];
+  backend.saveSessions(sessions);
+
+  const reloaded = createFileBackend(dir);
+  assert.deepEqual(reloaded.loadSnapshots("s3"), [snapshot]);
+  assert.deepEqual(reloaded.loadSessions(), sessions);
+
+  fs.writeFileSync(path.join(dir, "sessions.json"), "{ not json");
+  assert.deepEqual(createFileBackend(dir).loadSessions(), []);
+});
+
+test("the token secret is kept for the next start", () => {
+  assert.equal(createFileBackend(dir).loadTokenSecret(), null);
+  createFileBackend(dir).saveTokenSecret("0123abcd");
+  assert.equal(createFileBackend(dir).loadTokenSecret(), "0123abcd");
+  assert.equal(fs.statSync(path.join(dir, "token-secret")).mode & 0o777, 0o600);
+});
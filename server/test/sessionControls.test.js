@@ -0,0 +1,134 @@
+// Owner controls: only the owner changes roles, removes members, hands the
+// session over or locks it, and never to themselves.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.TOKEN_SECRET = "test-secret";
+const { createMemoryBackend, setPersistence } =
+  await import("../persistence.js");
+const {
+  createSession,
+  joinSession,
+  getSession,
+  getUser,
+  issueToken,
+  updateUserRole,
+  removeUser,
+  transferOwnership,
+  setSessionLocked,
+} = await import("../sessionManager.js");
+
+const { verifyToken } = await import("../auth.js");
+
+setPersistence(createMemoryBackend());
+
+const NOT_OWNER = { error: "Only the owner can manage the session" };
+
+// A session with an owner, an editor and a viewer
+function session() {
+  const owner = createSession("Ada", "owner-key-0123456789");
+  const join = (name, role) =>
+    joinSession(
+      owner.sessionId,
+      name,
+      owner.invites.find((invite) => invite.role === role).code,
+    );
+  return {
+    sessionId: owner.sessionId,
+    owner: owner.userId,
+    editor: join("Bob", "editor").userId,
+    viewer: join("Cy", "viewer").userId,
+  };
+}
+
+test("the owner changes the roles of other members", () => {
+  const { sessionId, owner, editor, viewer } = session();
+  assert.equal(
+    updateUserRole(sessionId, viewer, "editor", owner).success,
+    true,
+  );
+  assert.equal(getUser(sessionId, viewer).role, "editor");
+
+  // Anything but viewer makes an editor; nobody is promoted to owner here
+  updateUserRole(sessionId, editor, "owner", owner);
+  assert.equal(getUser(sessionId, editor).role, "editor");
+  updateUserRole(sessionId, editor, "viewer", owner);
+  assert.equal(getUser(sessionId, editor).role, "viewer");
+  // Tokens issued from now on carry the new role
+  assert.equal(verifyToken(issueToken(sessionId, editor).token).role, "viewer");
+
+  assert.deepEqual(updateUserRole(sessionId, owner, "viewer", owner), {
+    error: "Owners cannot change their own membership",
+  });
+  assert.deepEqual(updateUserRole(sessionId, "nobody", "viewer", owner), {
+    error: "User not found",
+  });
+});
+
+test("members other than the owner cannot change roles", () => {
+  const { sessionId, owner, editor, viewer } = session();
+  assert.deepEqual(
+    updateUserRole(sessionId, viewer, "editor", editor),
+    NOT_OWNER,
+  );
+  assert.deepEqual(
+    updateUserRole(sessionId, owner, "viewer", viewer),
+    NOT_OWNER,
+  );
+  assert.equal(getUser(sessionId, viewer).role, "viewer");
+  assert.equal(getUser(sessionId, owner).role, "owner");
+  assert.deepEqual(updateUserRole("missing", viewer, "editor", owner), {
+    error: "Session not found",
+  });
+});
+
+test("the owner removes members; their tokens are no longer issued", () => {
+  const { sessionId, owner, editor, viewer } = session();
+  assert.deepEqual(removeUser(sessionId, viewer, editor), NOT_OWNER);
+  assert.ok(getUser(sessionId, viewer));
+
+  assert.equal(removeUser(sessionId, viewer, owner).success, true);
+  assert.equal(getUser(sessionId, viewer), null);
+  assert.equal(issueToken(sessionId, viewer), null);
+  assert.deepEqual(removeUser(sessionId, owner, owner), {
+    error: "Owners cannot change their own membership",
+  });
+  assert.equal(getSession(sessionId).users.length, 2);
+});
+
+test("ownership moves to another member and the old owner edits", () => {
+  const { sessionId, owner, editor, viewer } = session();
+  assert.deepEqual(transferOwnership(sessionId, viewer, editor), NOT_OWNER);
+
+  assert.equal(transferOwnership(sessionId, editor, owner).success, true);
+  assert.equal(getSession(sessionId).ownerId, editor);
+  assert.equal(getUser(sessionId, editor).role, "owner");
+  assert.equal(getUser(sessionId, owner).role, "editor");
+
+  // The previous owner has lost the owner controls
+  assert.deepEqual(transferOwnership(sessionId, owner, owner), NOT_OWNER);
+  assert.deepEqual(removeUser(sessionId, viewer, owner), NOT_OWNER);
+  assert.equal(removeUser(sessionId, viewer, editor).success, true);
+});
+
+test("only the owner locks the session, which stops new joiners", () => {
+  const owner = createSession("Ada", "owner-key-0123456789");
+  const code = owner.invites.find((invite) => invite.role === "editor").code;
+  const editor = joinSession(owner.sessionId, "Bob", code).userId;
+
+  assert.deepEqual(setSessionLocked(owner.sessionId, true, editor), NOT_OWNER);
+  assert.equal(getSession(owner.sessionId).locked, false);
+
+  assert.deepEqual(setSessionLocked(owner.sessionId, true, owner.userId), {
+    success: true,
+    locked: true,
+  });
+  assert.deepEqual(joinSession(owner.sessionId, "Cy", code), {
+    error: "This session is locked",
+  });
+  // Members keep their access
+  assert.equal(getUser(owner.sessionId, editor).role, "editor");
+
+  setSessionLocked(owner.sessionId, false, owner.userId);
+  assert.ok(joinSession(owner.sessionId, "Cy", code).userId);
+});
@@ -0,0 +1,83 @@
+// Session lifecycle: members who stay away are removed, idle sessions are
+// found, and owners list their sessions with their owner key.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.TOKEN_SECRET = "test-secret";
+const { createMemoryBackend, setPersistence } =
+  await import("../persistence.js");
+const {
+  createSession,
+  joinSession,
+  getSession,
+  getUser,
+  markUserSeen,
+  removeAwayUsers,
+  idleSessionIds,
+  deleteSession,
+  listOwnedSessions,
+} = await import("../sessionManager.js");
+
+setPersistence(createMemoryBackend());
+
+const OWNER_KEY = "owner-key-0123456789";
+const HOUR = 60 * 60 * 1000;
+
+// A session with an owner and an editor
+function session(ownerKey = OWNER_KEY) {
+  const owner = createSession("Ada", ownerKey);
+  const editor = joinSession(
+    owner.sessionId,
+    "Bob",
+    owner.invites.find((invite) => invite.role === "editor").code,
+  );
+  return { owner, editor };
+}
+
+test("members away longer than the timeout are removed, owners stay", () => {
+  const { owner, editor } = session();
+  const { sessionId } = owner;
+  markUserSeen(sessionId, editor.userId);
+  getUser(sessionId, owner.userId).lastSeen = new Date(Date.now() - 2 * HOUR);
+  const never = () => false;
+
+  assert.deepEqual(removeAwayUsers(HOUR, never), []);
+
+  getUser(sessionId, editor.userId).lastSeen = new Date(Date.now() - 2 * HOUR);
+  assert.deepEqual(
+    removeAwayUsers(HOUR, () => true),
+    [],
+  );
+
+  const removed = removeAwayUsers(HOUR, never);
+  assert.deepEqual(
+    removed.map(({ sessionId, user }) => [sessionId, user.name]),
+    [[sessionId, "Bob"]],
+  );
+  assert.equal(getUser(sessionId, editor.userId), null);
+  assert.ok(getUser(sessionId, owner.userId));
+});
+
+test("idle sessions are found and can be deleted", () => {
+  const { owner } = session();
+  assert.ok(!idleSessionIds(HOUR).includes(owner.sessionId));
+  assert.ok(idleSessionIds(0).includes(owner.sessionId));
+
+  assert.equal(deleteSession(owner.sessionId), true);
+  assert.equal(getSession(owner.sessionId), null);
+});
+
+test("owners list the sessions created with their key", () => {
+  const { owner } = session("another-owner-key-42");
+  session("someone-elses-key-42");
+
+  const listed = listOwnedSessions("another-owner-key-42");
+  assert.deepEqual(
+    listed.map(({ id, userCount }) => [id, userCount]),
+    [[owner.sessionId, 2]],
+  );
+  assert.ok(listed[0].lastActivity instanceof Date);
+  assert.deepEqual(listOwnedSessions("unknown-key-0123456789"), []);
+  assert.equal(listOwnedSessions("short"), null);
+  assert.equal(listOwnedSessions(undefined), null);
+});
@@ -0,0 +1,71 @@
+// Simulation: gate outputs for single bits and buses, and stored values of
+// sequential components taken from collaborators.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGate } from "../../client/js/gates.js";
+import { createWire } from "../../client/js/wire.js";
+import { EventSimulator, computeOutputs } from "../../client/js/simulation.js";
+
+test("bus inputs keep values of 2^31 and above unsigned", () => {
+  const input = createGate("INPUT", 0, 0, { bits: 32 });
+  input.value = 0x80000000;
+  assert.deepEqual(computeOutputs(input, []), [0x80000000]);
+  input.value = 0xffffffff;
+  assert.deepEqual(computeOutputs(input, []), [0xffffffff]);
+
+  const byte = createGate("INPUT", 0, 0, { bits: 8 });
+  byte.value = 0x1ff;
+  assert.deepEqual(computeOutputs(byte, []), [0xff]);
+});
+
+// A counter clocked by a CLOCK component that rises on every odd tick
+function clockedCounter() {
+  const clock = createGate("CLOCK", 0, 0, { frequency: 5 });
+  const counter = createGate("COUNTER", 100, 0);
+  const gates = new Map([
+    [clock.id, clock],
+    [counter.id, counter],
+  ]);
+  const wires = [
+    createWire(clock.id, clock.outputs[0].id, counter.id, counter.inputs[2].id),
+  ];
+  return { gates, wires, counter };
+}
+
+test("seeded and adopted values are kept without counting an edge", () => {
+  const { gates, wires, counter } = clockedCounter();
+  const simulator = new EventSimulator();
+  const count = () => simulator.levels.get(counter.outputs[0].id);
+  const advance = (tick) => {
+    simulator.setClock(tick);
+    simulator.settle();
+  };
+
+  simulator.seed = (id) => (id === counter.id ? { q: 5 } : null);
+  simulator.setClock(3);
+  simulator.load(gates, wires);
+  simulator.settle();
+  assert.equal(count(), 5);
+  assert.equal(simulator.edges, 0);
+
+  advance(4);
+  advance(5);
+  assert.equal(count(), 6);
+  assert.equal(simulator.edges, 1);
+
+  simulator.adoptState(counter.id, 9);
+  simulator.settle();
+  assert.equal(count(), 9);
+  assert.equal(simulator.edges, 1);
+  advance(6);
+  advance(7);
+  assert.equal(count(), 10);
+  assert.equal(simulator.edges, 2);
+
+  simulator.resetState();
+  simulator.settle();
+  assert.equal(count(), 0);
+  simulator.resetState(true);
+  simulator.settle();
+  assert.equal(count(), 5);
+});
@@ -0,0 +1,344 @@
+// Subcircuit flattening: instances are replaced by prefixed copies of their
+// definitions, wires on instance pins move to PORT gates, and the result
+// simulates like the circuit drawn without subcircuits.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGate } from "../../client/js/gates.js";
+import { createWire } from "../../client/js/wire.js";
+import { flattenCircuit, portPinId } from "../../client/js/subcircuit.js";
+import { generateTruthTable } from "../../client/js/truthTable.js";
+
+const byId = (gates) => new Map(gates.map((gate) => [gate.id, gate]));
+
+function connect(from, to, toPin = 0) {
+  return createWire(from.id, from.outputs[0].id, to.id, to.inputs[toPin].id);
+}
+
+const instanceOf = (subcircuitId, x, y) => ({
+  ...createGate("SUBCIRCUIT", x, y),
+  subcircuitId,
+});
+
+// Wires to and from an instance's pins, which stand for the definition's
+// INPUT and OUTPUT gates
+const into = (from, instance, port) =>
+  createWire(
+    from.id,
+    from.outputs[0].id,
+    instance.id,
+    portPinId(instance.id, port.id),
+  );
+const outOf = (instance, port, to, toPin = 0) =>
+  createWire(
+    instance.id,
+    portPinId(instance.id, port.id),
+    to.id,
+    to.inputs[toPin].id,
+  );
+
+// S = A ^ B, C = A & B
+function halfAdder() {
+  const a = createGate("INPUT", 0, 0);
+  const b = createGate("INPUT", 0, 100);
+  const xor = createGate("XOR", 100, 0);
+  const and = createGate("AND", 100, 100);
+  const sum = createGate("OUTPUT", 200, 0);
+  const carry = createGate("OUTPUT", 200, 100);
+  return {
+    id: "half",
+    name: "Half adder",
+    ports: { a, b, sum, carry },
+    gates: byId([a, b, xor, and, sum, carry]),
+    wires: [
+      connect(a, xor, 0),
+      connect(b, xor, 1),
+      connect(a, and, 0),
+      connect(b, and, 1),
+      connect(xor, sum),
+      connect(and, carry),
+    ],
+  };
+}
+
+// A full adder from two half adder instances and an OR
+function fullAdder() {
+  const half = halfAdder();
+  const { a: inA, b: inB, sum: outS, carry: outC } = half.ports;
+  const a = createGate("INPUT", 0, 0);
+  const b = createGate("INPUT", 0, 100);
+  const cin = createGate("INPUT", 0, 200);
+  const first = instanceOf("half", 100, 0);
+  const second = instanceOf("half", 200, 50);
+  const or = createGate("OR", 300, 150);
+  const sum = createGate("OUTPUT", 400, 0);
+  const cout = createGate("OUTPUT", 400, 150);
+  return {
+    instances: [first, second],
+    gates: byId([a, b, cin, first, second, or, sum, cout]),
+    wires: [
+      into(a, first, inA),
+      into(b, first, inB),
+      createWire(
+        first.id,
+        portPinId(first.id, outS.id),
+        second.id,
+        portPinId(second.id, inA.id),
+      ),
+      into(cin, second, inB),
+      outOf(second, outS, sum),
+      outOf(first, outC, or, 0),
+      outOf(second, outC, or, 1),
+      connect(or, cout),
+    ],
+    definitions: new Map([["half", half]]),
+  };
+}
+
+// Output columns of every row as 0/1 strings, e.g. ["00", "10", ...]
+function rowsOf(gates, wires) {
+  return generateTruthTable(gates, wires).rows.map(({ outputs }) =>
+    outputs.map((level) => (level ? 1 : 0)).join(""),
+  );
+}
+
+test("instances are replaced by prefixed copies of their definition", () => {
+  const { gates, wires, definitions, instances } = fullAdder();
+  const flat = flattenCircuit(gates, wires, definitions);
+
+  const types = Array.from(flat.gates.values(), ({ type }) => type);
+  assert.ok(!types.includes("SUBCIRCUIT"));
+  // Each instance brings its XOR, AND and four ports
+  assert.equal(types.filter((type) => type === "PORT").length, 8);
+  assert.equal(types.filter((type) => type === "INPUT").length, 3);
+
+  const half = definitions.get("half");
+  for (const instance of instances) {
+    for (const [id, gate] of half.gates) {
+      const copy = flat.gates.get(`${instance.id}/${id}`);
+      assert.ok(copy, `${instance.id} has a copy of ${gate.type}`);
+      if (gate.type === "XOR" || gate.type === "AND") {
+        assert.deepEqual(
+          copy.inputs.map(({ id }) => id),
+          gate.inputs.map(({ id }) => `${instance.id}/${id}`),
+        );
+      }
+    }
+  }
+  // The definition itself is left alone
+  assert.equal(half.gates.size, 6);
+  assert.ok(
+    Array.from(half.gates.values()).every(({ type }) => type !== "PORT"),
+  );
+});
+
+test("a flattened full adder adds", () => {
+  const { gates, wires, definitions } = fullAdder();
+  const flat = flattenCircuit(gates, wires, definitions);
+  // Rows A B Cin, columns Sum Cout
+  assert.deepEqual(rowsOf(flat.gates, flat.wires), [
+    "00",
+    "10",
+    "10",
+    "01",
+    "10",
+    "01",
+    "01",
+    "11",
+  ]);
+});
+
+test("wires on instance pins end at the instance's PORT gates", () => {
+  const { gates, wires, definitions, instances } = fullAdder();
+  const [first, second] = instances;
+  const { a, sum } = definitions.get("half").ports;
+  const flat = flattenCircuit(gates, wires, definitions);
+
+  // Outer wires keep their ids and pins; only the gate at the instance end
+  // moves to the port
+  const [toFirst, , between] = flat.wires;
+  assert.equal(toFirst.id, wires[0].id);
+  assert.deepEqual(toFirst.to, {
+    gateId: `${first.id}/${a.id}`,
+    pinId: portPinId(first.id, a.id),
+  });
+  assert.deepEqual(between.from, {
+    gateId: `${first.id}/${sum.id}`,
+    pinId: portPinId(first.id, sum.id),
+  });
+  assert.deepEqual(between.to, {
+    gateId: `${second.id}/${a.id}`,
+    pinId: portPinId(second.id, a.id),
+  });
+
+  // Every wire ends at a gate and pin of the flat circuit
+  const pins = new Map();
+  flat.gates.forEach((gate) =>
+    [...gate.inputs, ...gate.outputs].forEach((pin) =>
+      pins.set(pin.id, gate.id),
+    ),
+  );
+  flat.wires.forEach(({ from, to }) => {
+    assert.equal(pins.get(from.pinId), from.gateId);
+    assert.equal(pins.get(to.pinId), to.gateId);
+  });
+});
+
+test("ports follow their gates when the definition is rearranged", () => {
+  // Y = A & !B, which tells its inputs apart
+  const a = createGate("INPUT", 0, 0);
+  const b = createGate("INPUT", 0, 100);
+  const not = createGate("NOT", 100, 100);
+  const and = createGate("AND", 200, 0);
+  const y = createGate("OUTPUT", 300, 0);
+  const definition = {
+    id: "inhibit",
+    name: "Inhibit",
+    gates: byId([a, b, not, and, y]),
+    wires: [
+      connect(a, and, 0),
+      connect(b, not),
+      connect(not, and, 1),
+      connect(and, y),
+    ],
+  };
+
+  const x = createGate("INPUT", 0, 0);
+  const z = createGate("INPUT", 0, 100);
+  const instance = instanceOf("inhibit", 100, 0);
+  const out = createGate("OUTPUT", 200, 0);
+  const gates = byId([x, z, instance, out]);
+  const wires = [
+    into(x, instance, a),
+    into(z, instance, b),
+    outOf(instance, y, out),
+  ];
+  const definitions = new Map([["inhibit", definition]]);
+
+  const before = flattenCircuit(gates, wires, definitions);
+  assert.deepEqual(rowsOf(before.gates, before.wires), ["0", "0", "1", "0"]);
+
+  // Swapping the inner inputs' positions reorders the ports, not the wires
+  a.y = 100;
+  b.y = 0;
+  const after = flattenCircuit(gates, wires, definitions);
+  assert.deepEqual(rowsOf(after.gates, after.wires), ["0", "0", "1", "0"]);
+});
+
+test("nested instances flatten to every level", () => {
+  // Two inverters in a row inside "double", used twice at the top
+  const inner = createGate("INPUT", 0, 0);
+  const not = createGate("NOT", 100, 0);
+  const result = createGate("OUTPUT", 200, 0);
+  const inverter = {
+    id: "inverter",
+    name: "Inverter",
+    gates: byId([inner, not, result]),
+    wires: [connect(inner, not), connect(not, result)],
+  };
+
+  const input = createGate("INPUT", 0, 0);
+  const first = instanceOf("inverter", 100, 0);
+  const second = instanceOf("inverter", 200, 0);
+  const output = createGate("OUTPUT", 300, 0);
+  const double = {
+    id: "double",
+    name: "Double inverter",
+    gates: byId([input, first, second, output]),
+    wires: [
+      into(input, first, inner),
+      createWire(
+        first.id,
+        portPinId(first.id, result.id),
+        second.id,
+        portPinId(second.id, inner.id),
+      ),
+      outOf(second, result, output),
+    ],
+  };
+
+  const x = createGate("INPUT", 0, 0);
+  const top = instanceOf("double", 100, 0);
+  const nested = instanceOf("double", 200, 0);
+  const y = createGate("OUTPUT", 300, 0);
+  const definitions = new Map([
+    ["double", double],
+    ["inverter", inverter],
+  ]);
+  const flat = flattenCircuit(
+    byId([x, top, nested, y]),
+    [
+      into(x, top, input),
+      createWire(
+        top.id,
+        portPinId(top.id, output.id),
+        nested.id,
+        portPinId(nested.id, input.id),
+      ),
+      outOf(nested, output, y),
+    ],
+    definitions,
+  );
+
+  const nots = Array.from(flat.gates.keys()).filter((id) =>
+    id.endsWith(`/${not.id}`),
+  );
+  assert.deepEqual(
+    nots.sort(),
+    [
+      `${nested.id}/${first.id}/${not.id}`,
+      `${nested.id}/${second.id}/${not.id}`,
+      `${top.id}/${first.id}/${not.id}`,
+      `${top.id}/${second.id}/${not.id}`,
+    ].sort(),
+  );
+  // Four inversions: Y = X
+  assert.deepEqual(rowsOf(flat.gates, flat.wires), ["0", "1"]);
+});
+
+test("self-referencing and missing definitions are dropped", () => {
+  const input = createGate("INPUT", 0, 0);
+  const not = createGate("NOT", 100, 0);
+  const output = createGate("OUTPUT", 200, 0);
+  const self = instanceOf("loop", 100, 100);
+  const other = instanceOf("pong", 100, 200);
+  const missing = instanceOf("gone", 100, 300);
+  const loop = {
+    id: "loop",
+    name: "Loop",
+    gates: byId([input, not, output, self, other, missing]),
+    wires: [connect(input, not), connect(not, output)],
+  };
+  // pong only contains loop again
+  const pong = {
+    id: "pong",
+    name: "Pong",
+    gates: byId([instanceOf("loop", 0, 0)]),
+    wires: [],
+  };
+  const definitions = new Map([
+    ["loop", loop],
+    ["pong", pong],
+  ]);
+
+  const x = createGate("INPUT", 0, 0);
+  const top = instanceOf("loop", 100, 0);
+  const y = createGate("OUTPUT", 200, 0);
+  const flat = flattenCircuit(
+    byId([x, top, y]),
+    [into(x, top, input), outOf(top, output, y)],
+    definitions,
+  );
+
+  // loop once, with pong inside it, and no loop inside pong
+  assert.deepEqual(
+    Array.from(flat.gates.keys()).sort(),
+    [
+      `${top.id}/${input.id}`,
+      `${top.id}/${not.id}`,
+      `${top.id}/${output.id}`,
+      x.id,
+      y.id,
+    ].sort(),
+  );
+  assert.deepEqual(rowsOf(flat.gates, flat.wires), ["1", "0"]);
+});
@@ -0,0 +1,220 @@
+// Insert from text: equations and truth tables are parsed, rejected when
+// malformed, and synthesized into circuits whose truth table matches.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  formatExpression,
+  parseEquations,
+  parseTruthTable,
+} from "../../client/js/boolean.js";
+import { synthesizeCircuit } from "../../client/js/synthesize.js";
+import { generateTruthTable } from "../../client/js/truthTable.js";
+
+function evaluate(expr, env) {
+  switch (expr.type) {
+    case "var":
+      return env[expr.name];
+    case "const":
+      return expr.value;
+    case "not":
+      return !evaluate(expr.arg, env);
+    case "and":
+      return expr.args.every((arg) => evaluate(arg, env));
+    case "or":
+      return expr.args.some((arg) => evaluate(arg, env));
+    case "xor":
+      return expr.args.reduce((acc, arg) => acc !== evaluate(arg, env), false);
+  }
+  throw new Error(`Cannot evaluate ${expr.type}`);
+}
+
+const formatted = (equations) =>
+  equations.map(({ output, expr }) => `${output} = ${formatExpression(expr)}`);
+
+// Synthesize the equations and check every row of the circuit's truth
+// table against the equations themselves
+function assertSynthesizes(equations) {
+  const { gates, wires } = synthesizeCircuit(equations);
+  const table = generateTruthTable(
+    new Map(gates.map((gate) => [gate.id, gate])),
+    wires,
+  );
+  assert.deepEqual(
+    table.outputs.map(({ label }) => label),
+    equations.map(({ output }) => output),
+  );
+
+  for (const row of table.rows) {
+    const env = Object.fromEntries(
+      table.inputs.map(({ label }, i) => [label, row.inputs[i]]),
+    );
+    assert.deepEqual(
+      row.outputs,
+      equations.map(({ expr }) => evaluate(expr, env)),
+      JSON.stringify(env),
+    );
+  }
+  return { gates, wires, table };
+}
+
+// ========== Equations ==========
+
+test("equations name their outputs or are numbered", () => {
+  assert.deepEqual(formatted(parseEquations("Y = A'B + AC")), [
+    "Y = (!A & B) | (A & C)",
+  ]);
+  assert.deepEqual(formatted(parseEquations("A ^ B")), ["Y = A ^ B"]);
+  assert.deepEqual(formatted(parseEquations("S = A ^ B; C = AB\n\n")), [
+    "S = A ^ B",
+    "C = A & B",
+  ]);
+  assert.deepEqual(formatted(parseEquations("A + B\nSUM = ~(A | B)")), [
+    "Y1 = A | B",
+    "SUM = !(A | B)",
+  ]);
+  assert.deepEqual(parseEquations("  \n ; "), []);
+});
+
+test("expressions follow NOT, AND, XOR, OR precedence", () => {
+  const [{ expr }] = parseEquations("Y = !A & B ^ C + D''");
+  assert.equal(formatExpression(expr), "((!A & B) ^ C) | !!D");
+  assert.equal(
+    formatExpression(parseEquations("(A + B)'C1 * 1")[0].expr),
+    "!(A | B) & C1 & 1",
+  );
+});
+
+test("malformed equations name the output and position", () => {
+  assert.throws(() => parseEquations("Y = A +"), /^Error: Y: .* at end$/);
+  assert.throws(
+    () => parseEquations("Y = A\nZ = (A B"),
+    /^Error: Z: Expected '\)' at end$/,
+  );
+  assert.throws(
+    () => parseEquations("A $ B"),
+    /^Error: Y: Unexpected character '\$' at position 3$/,
+  );
+  assert.throws(() => parseEquations("Q ="), /^Error: Q: Expression is empty/);
+});
+
+// ========== Truth tables ==========
+
+test("truth tables minimize each output column", () => {
+  const table = `
+    A B C | S Cout
+    0 0 0 | 0 0
+    0 0 1 | 1 0
+    0 1 0 | 1 0
+    0 1 1 | 0 1
+    1 0 0 | 1 0
+    1 0 1 | 0 1
+    1 1 0 | 0 1
+    1 1 1 | 1 1
+  `;
+  const equations = parseTruthTable(table);
+  assert.deepEqual(formatted(equations).slice(1), [
+    "Cout = (B & C) | (A & C) | (A & B)",
+  ]);
+  assertSynthesizes(equations);
+});
+
+test("X inputs cover both values and X outputs are don't-cares", () => {
+  assert.deepEqual(formatted(parseTruthTable("A B Y\n0 X 0\n1 0 1\n1 1 X")), [
+    "Y = A",
+  ]);
+  // Without a | the last column is the only output
+  assert.deepEqual(formatted(parseTruthTable("A,B,Y\nX,X,1")), ["Y = 1"]);
+});
+
+test("truth tables with repeated or conflicting rows are rejected", () => {
+  assert.throws(
+    () => parseTruthTable("A B | Y\n0 0 | 0\n0 0 | 1\n0 1 | 0\n1 X | 1"),
+    /^Error: Row 2 repeats the inputs of row 1$/,
+  );
+  assert.throws(
+    () => parseTruthTable("A B | Y\n0 0 | 1\n0 1 | 1\n0 0 | 1\n1 X | 1"),
+    /^Error: Row 3 repeats the inputs of row 1$/,
+  );
+  // An X row overlapping a listed row
+  assert.throws(
+    () => parseTruthTable("A B | Y\n0 1 | 1\nX 1 | 0\n0 0 | 0\n1 0 | 0"),
+    /^Error: Row 2 repeats the inputs of row 1$/,
+  );
+});
+
+test("truth tables missing rows are rejected", () => {
+  assert.throws(
+    () => parseTruthTable("A B | Y\n0 0 | 0\n1 1 | 1"),
+    /^Error: Truth table has no row for inputs 0 1 \(2 of 4 rows given\)$/,
+  );
+  assert.throws(
+    () => parseTruthTable("A B C | Y\nX X 0 | 1\n0 0 1 | 0"),
+    /no row for inputs 0 1 1 \(5 of 8 rows given\)$/,
+  );
+});
+
+test("malformed truth tables are rejected", () => {
+  assert.throws(() => parseTruthTable("A B | Y"), /needs a header and rows/);
+  assert.throws(
+    () => parseTruthTable("| Y\n1"),
+    /needs at least one input and one output/,
+  );
+  assert.throws(
+    () => parseTruthTable("A B | Y\n0 0 | 1 1"),
+    /^Error: Row 1 has 4 columns, expected 3$/,
+  );
+  assert.throws(
+    () => parseTruthTable("A B | Y\n0 2 | 1"),
+    /^Error: Row 1 may only contain 0, 1 or X$/,
+  );
+});
+
+// ========== Synthesis ==========
+
+test("synthesized circuits match their equations", () => {
+  const { gates, table } = assertSynthesizes(parseEquations("Y = A'B + AC"));
+  assert.deepEqual(
+    table.inputs.map(({ label }) => label),
+    ["A", "B", "C"],
+  );
+  assert.deepEqual(
+    table.rows.map(({ outputs }) => (outputs[0] ? 1 : 0)),
+    [0, 0, 1, 1, 0, 1, 0, 1],
+  );
+  // One NOT, two ANDs and an OR between three inputs and the output
+  const counts = {};
+  gates.forEach(({ type }) => (counts[type] = (counts[type] ?? 0) + 1));
+  assert.deepEqual(counts, { INPUT: 3, NOT: 1, AND: 2, OR: 1, OUTPUT: 1 });
+
+  assertSynthesizes(parseEquations("S = A ^ B ^ C\nC2 = AB + C(A ^ B)"));
+  assertSynthesizes(parseEquations("Y = (A + B + C + D + E)'"));
+});
+
+test("synthesis shares inputs and repeated subexpressions", () => {
+  const { gates, wires } = assertSynthesizes(
+    parseEquations("X = AB + C\nZ = AB ^ C"),
+  );
+  assert.equal(gates.filter(({ type }) => type === "AND").length, 1);
+  assert.equal(gates.filter(({ type }) => type === "INPUT").length, 3);
+
+  // Every input pin is driven exactly once
+  const driven = wires.map(({ to }) => to.pinId);
+  assert.equal(new Set(driven).size, driven.length);
+  const pins = gates.flatMap(({ inputs }) => inputs.map(({ id }) => id));
+  assert.deepEqual([...driven].sort(), [...pins].sort());
+});
+
+test("synthesis lays gates out in columns by depth", () => {
+  const origin = { x: 100, y: 200 };
+  const { gates } = synthesizeCircuit(parseEquations("Y = !(AB)"), origin);
+  assert.deepEqual(
+    gates.map(({ type, x, y }) => [type, x, y]),
+    [
+      ["INPUT", 100, 200],
+      ["INPUT", 100, 280],
+      ["AND", 220, 200],
+      ["NOT", 340, 200],
+      ["OUTPUT", 460, 200],
+    ],
+  );
+});
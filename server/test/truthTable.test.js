@@ -0,0 +1,151 @@
+// Truth tables: one row per input combination, with unknown outputs where
+// a row depends on stored state or never settles, and a key that only
+// changes when the table can.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGate } from "../../client/js/gates.js";
+import { createWire } from "../../client/js/wire.js";
+import {
+  MAX_TRUTH_TABLE_INPUTS,
+  formatLevel,
+  generateTruthTable,
+  truthTableKey,
+} from "../../client/js/truthTable.js";
+
+const byId = (gates) => new Map(gates.map((gate) => [gate.id, gate]));
+
+function connect(from, to, toPin = 0, fromPin = 0) {
+  const pin = from.outputs[fromPin];
+  return createWire(from.id, pin.id, to.id, to.inputs[toPin].id, pin.width);
+}
+
+// Every row as its input and output columns, e.g. "01|10"
+function rowsOf(table) {
+  return table.rows.map(
+    ({ inputs, outputs }) =>
+      `${inputs.map(formatLevel).join("")}|${outputs.map(formatLevel).join("")}`,
+  );
+}
+
+// S = A ^ B, C = A & B
+function halfAdder() {
+  const a = createGate("INPUT", 0, 0);
+  const b = createGate("INPUT", 0, 100);
+  const xor = createGate("XOR", 100, 0);
+  const and = createGate("AND", 100, 100);
+  const sum = { ...createGate("OUTPUT", 200, 0), label: "S" };
+  const carry = { ...createGate("OUTPUT", 200, 100), label: "C" };
+  return {
+    a,
+    b,
+    sum,
+    gates: byId([a, b, xor, and, sum, carry]),
+    wires: [
+      connect(a, xor, 0),
+      connect(b, xor, 1),
+      connect(a, and, 0),
+      connect(b, and, 1),
+      connect(xor, sum),
+      connect(and, carry),
+    ],
+  };
+}
+
+test("combinational circuits have a row per input combination", () => {
+  const { gates, wires } = halfAdder();
+  const table = generateTruthTable(gates, wires);
+  assert.deepEqual(
+    [...table.inputs, ...table.outputs].map(({ label }) => label),
+    ["A", "B", "S", "C"],
+  );
+  assert.equal(table.tooLarge, false);
+  assert.deepEqual(rowsOf(table), ["00|00", "01|10", "10|10", "11|01"]);
+});
+
+test("Input values do not change the table", () => {
+  const { gates, wires, a, b } = halfAdder();
+  const before = rowsOf(generateTruthTable(gates, wires));
+  a.value = true;
+  b.value = true;
+  assert.deepEqual(rowsOf(generateTruthTable(gates, wires)), before);
+});
+
+test("buses take one column per bit, most significant first", () => {
+  const input = createGate("INPUT", 0, 0, { bits: 2 });
+  const not = createGate("NOT", 100, 0, { bits: 2 });
+  const output = createGate("OUTPUT", 200, 0, { bits: 2 });
+  const table = generateTruthTable(byId([input, not, output]), [
+    connect(input, not),
+    connect(not, output),
+  ]);
+  assert.deepEqual(
+    [...table.inputs, ...table.outputs].map(({ label }) => label),
+    ["A[1]", "A[0]", "Y[1]", "Y[0]"],
+  );
+  assert.deepEqual(rowsOf(table), ["00|11", "01|10", "10|01", "11|00"]);
+});
+
+test("latch rows that hold their state are unknown", () => {
+  // SR latch from two cross-coupled NORs
+  const s = { ...createGate("INPUT", 0, 0), label: "S" };
+  const r = { ...createGate("INPUT", 0, 100), label: "R" };
+  const top = createGate("NOR", 100, 0);
+  const bottom = createGate("NOR", 100, 100);
+  const q = { ...createGate("OUTPUT", 200, 0), label: "Q" };
+  const table = generateTruthTable(byId([s, r, top, bottom, q]), [
+    connect(r, top, 0),
+    connect(bottom, top, 1),
+    connect(s, bottom, 0),
+    connect(top, bottom, 1),
+    connect(top, q),
+  ]);
+  // S=R=0 keeps a value that no row sets; set and reset are known
+  assert.deepEqual(rowsOf(table), ["00|X", "01|0", "10|1", "11|0"]);
+});
+
+test("rows that never settle are unknown", () => {
+  // Enable & NOT(itself): a ring oscillator while enabled
+  const enable = createGate("INPUT", 0, 0);
+  const nand = createGate("NAND", 100, 0);
+  const output = createGate("OUTPUT", 200, 0);
+  const table = generateTruthTable(byId([enable, nand, output]), [
+    connect(enable, nand, 0),
+    connect(nand, nand, 1),
+    connect(nand, output),
+  ]);
+  assert.deepEqual(rowsOf(table), ["0|1", "1|X"]);
+});
+
+test("too many inputs leave the table empty", () => {
+  const inputs = Array.from({ length: MAX_TRUTH_TABLE_INPUTS + 1 }, (_, i) =>
+    createGate("INPUT", 0, i * 100),
+  );
+  const table = generateTruthTable(byId(inputs), []);
+  assert.equal(table.tooLarge, true);
+  assert.equal(table.inputs.length, MAX_TRUTH_TABLE_INPUTS + 1);
+  assert.deepEqual(table.rows, []);
+});
+
+test("the key ignores moves and Input values but not the column order", () => {
+  const { gates, wires, a, b, sum } = halfAdder();
+  const key = truthTableKey(gates, wires);
+
+  // Moved gates, in the same top-to-bottom order
+  a.x += 40;
+  b.y += 20;
+  sum.x -= 60;
+  a.value = true;
+  assert.equal(truthTableKey(gates, wires), key);
+
+  // Moving B above A swaps the columns
+  b.y = -100;
+  assert.notEqual(truthTableKey(gates, wires), key);
+  b.y = 120;
+  assert.equal(truthTableKey(gates, wires), key);
+
+  // Labels and wiring change the table
+  sum.label = "SUM";
+  assert.notEqual(truthTableKey(gates, wires), key);
+  sum.label = "S";
+  assert.notEqual(truthTableKey(gates, wires.slice(1)), key);
+});
@@ -0,0 +1,223 @@
+// Update validation: edits made on a client's copy of a session document
+// are checked against the server's copy before they are applied.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as Y from "yjs";
+import { createGate } from "../../client/js/gates.js";
+import { createWire } from "../../client/js/wire.js";
+import { writeCircuit } from "../../client/js/circuitFormat.js";
+import { portPinId } from "../../client/js/subcircuit.js";
+import { validateUpdate } from "../validator.js";
+
+function connect(from, to, toPin = 0) {
+  return createWire(from.id, from.outputs[0].id, to.id, to.inputs[toPin].id);
+}
+
+// A server document holding a NOT gate fed by an input
+function serverDoc() {
+  const input = createGate("INPUT", 0, 0);
+  const not = createGate("NOT", 100, 0);
+  const doc = new Y.Doc();
+  doc.transact(() =>
+    writeCircuit(Y, doc, {
+      gates: new Map([
+        [input.id, input],
+        [not.id, not],
+      ]),
+      wires: [connect(input, not)],
+      definitions: new Map(),
+    }),
+  );
+  return { doc, input, not };
+}
+
+// The update a client with a copy of `doc` sends for `edit`
+function clientUpdate(doc, edit) {
+  const client = new Y.Doc();
+  Y.applyUpdate(client, Y.encodeStateAsUpdate(doc));
+  const before = Y.encodeStateVector(client);
+  client.transact(() => edit(client.getMap("gates"), client.getArray("wires")));
+  return Y.encodeStateAsUpdate(client, before);
+}
+
+test("accepts valid edits", () => {
+  const { doc, not } = serverDoc();
+  const output = createGate("OUTPUT", 200, 0);
+  const update = clientUpdate(doc, (gates, wires) => {
+    gates.set(output.id, output);
+    wires.push([connect(not, output)]);
+  });
+  assert.deepEqual(validateUpdate(doc, update), { ok: true });
+});
+
+test("rejects unknown gate types and mismatched pins", () => {
+  const { doc, not } = serverDoc();
+  const unknown = clientUpdate(doc, (gates) =>
+    gates.set("g1", { ...not, id: "g1", type: "FLUXCAPACITOR" }),
+  );
+  const result = validateUpdate(doc, unknown);
+  assert.equal(result.ok, false);
+  assert.match(result.problems[0], /unknown type "FLUXCAPACITOR"/);
+
+  const pins = clientUpdate(doc, (gates) =>
+    gates.set(not.id, { ...not, outputs: [] }),
+  );
+  assert.match(
+    validateUpdate(doc, pins).problems[0],
+    /pins that do not match its type/,
+  );
+});
+
+test("rejects dangling wires and a second wire into an input", () => {
+  const { doc, input, not } = serverDoc();
+  const dangling = clientUpdate(doc, (_, wires) =>
+    wires.push([
+      { ...connect(input, not), to: { gateId: "gone", pinId: "x" } },
+    ]),
+  );
+  assert.match(
+    validateUpdate(doc, dangling).problems[0],
+    /references a missing gate/,
+  );
+
+  const second = createGate("INPUT", 0, 100);
+  const doubled = clientUpdate(doc, (gates, wires) => {
+    gates.set(second.id, second);
+    wires.push([connect(second, not)]);
+  });
+  assert.match(
+    validateUpdate(doc, doubled).problems[0],
+    /drives input .*, which has a wire/,
+  );
+});
+
+test("rejects updates that build on a rejected one", () => {
+  const { doc, not } = serverDoc();
+  const client = new Y.Doc();
+  Y.applyUpdate(client, Y.encodeStateAsUpdate(doc));
+  const updates = [];
+  client.on("update", (update) => updates.push(update));
+  client.getMap("gates").set("g1", { ...not, id: "g1", type: "BOGUS" });
+  client.getMap("gates").delete("g1");
+
+  assert.equal(validateUpdate(doc, updates[0]).ok, false);
+  assert.match(
+    validateUpdate(doc, updates[1]).problems[0],
+    /depends on changes the server does not have/,
+  );
+});
+
+test("problems the document already has do not block other edits", () => {
+  const { doc, not } = serverDoc();
+  doc.getMap("gates").set("legacy", { ...not, id: "legacy", type: "OLD" });
+  const update = clientUpdate(doc, (gates) =>
+    gates.set(not.id, { ...not, x: 150 }),
+  );
+  assert.deepEqual(validateUpdate(doc, update), { ok: true });
+});
+
+test("edits after a rejected update are checked against the document", () => {
+  const { doc, input, not } = serverDoc();
+  const bogus = clientUpdate(doc, (gates) =>
+    gates.set(not.id, { ...not, type: "BOGUS" }),
+  );
+  assert.equal(validateUpdate(doc, bogus).ok, false);
+
+  const moved = clientUpdate(doc, (gates) =>
+    gates.set(input.id, { ...input, x: 50 }),
+  );
+  assert.deepEqual(validateUpdate(doc, moved), { ok: true });
+  Y.applyUpdate(doc, moved);
+
+  // The server's own changes are followed too
+  doc.getMap("gates").delete(not.id);
+  const output = createGate("OUTPUT", 200, 0);
+  const rewired = clientUpdate(doc, (gates, wires) => {
+    gates.set(output.id, output);
+    wires.push([{ ...connect(input, output), to: { gateId: not.id } }]);
+  });
+  assert.match(
+    validateUpdate(doc, rewired).problems[0],
+    /references a missing gate/,
+  );
+});
+
+test("removing a subcircuit port checks the wires of its instances", () => {
+  const port = createGate("INPUT", 0, 0);
+  const source = createGate("INPUT", 0, 0);
+  const instance = createGate("SUBCIRCUIT", 100, 0, { subcircuitId: "sub" });
+  const doc = new Y.Doc();
+  doc.transact(() =>
+    writeCircuit(Y, doc, {
+      gates: new Map([
+        [source.id, source],
+        [instance.id, instance],
+      ]),
+      wires: [
+        createWire(
+          source.id,
+          source.outputs[0].id,
+          instance.id,
+          portPinId(instance.id, port.id),
+        ),
+      ],
+      definitions: new Map([
+        [
+          "sub",
+          {
+            id: "sub",
+            name: "Sub",
+            gates: new Map([[port.id, port]]),
+            wires: [],
+          },
+        ],
+      ]),
+    }),
+  );
+  // An edit to the gates of the definition
+  const editPort = (edit) => {
+    const client = new Y.Doc();
+    Y.applyUpdate(client, Y.encodeStateAsUpdate(doc));
+    const before = Y.encodeStateVector(client);
+    edit(client.getMap("subcircuits").get("sub").get("gates"));
+    return Y.encodeStateAsUpdate(client, before);
+  };
+
+  const moved = editPort((gates) => gates.set(port.id, { ...port, y: 50 }));
+  assert.deepEqual(validateUpdate(doc, moved), { ok: true });
+  Y.applyUpdate(doc, moved);
+
+  const removed = editPort((gates) => gates.delete(port.id));
+  assert.match(
+    validateUpdate(doc, removed).problems[0],
+    /references a missing pin/,
+  );
+});
+
+test("rejects displayed gate fields of the wrong type or range", () => {
+  const { doc, input, not } = serverDoc();
+  const clock = createGate("CLOCK", 0, 100);
+  const probes = [
+    [not, { delay: '"><img src=x onerror=alert(1)>' }, /invalid delay/],
+    [not, { delay: -1 }, /invalid delay/],
+    [clock, { frequency: "1" }, /invalid frequency/],
+    [clock, { frequency: 500 }, /invalid frequency/],
+    [input, { value: "<b>1</b>" }, /invalid value/],
+    [input, { value: 2 }, /invalid value/],
+    [input, { radix: "<i>" }, /invalid radix/],
+    [input, { label: { html: "<i>" } }, /invalid label/],
+  ];
+  probes.forEach(([gate, fields, problem]) => {
+    const update = clientUpdate(doc, (gates) =>
+      gates.set(gate.id, { ...gate, ...fields }),
+    );
+    assert.match(validateUpdate(doc, update).problems[0], problem);
+  });
+
+  const fine = clientUpdate(doc, (gates) => {
+    gates.set(clock.id, { ...clock, frequency: 2.5 });
+    gates.set(input.id, { ...input, value: true, label: "A", radix: "dec" });
+    gates.set(not.id, { ...not, delay: 3 });
+  });
+  assert.deepEqual(validateUpdate(doc, fine), { ok: true });
+});
@@ -0,0 +1,416 @@
+import * as Y from "yjs";
+import { pinWidth } from "../client/js/gates.js";
+import {
+  isObject,
+  readDefinitions,
+  readGate,
+} from "../client/js/circuitFormat.js";
+import { resolveInstance } from "../client/js/subcircuit.js";
+
+/**
+ * Checks the updates editors send against the circuit rules before they
+ * reach a session document. Each document has a mirror copy whose problems
+ * are kept up to date: an update is applied to the mirror first and is
+ * rejected if it adds problems the document did not already have:
+ * - gates of unknown types, with invalid parameters or with pins that do
+ *   not match their type (see readGate() in circuitFormat.js)
+ * - wires to missing gates or pins, between pins of different widths, or
+ *   into an input that already has a wire
+ * - SUBCIRCUIT instances of missing definitions
+ *
+ * Only the gates and wires an update touches are re-checked, with the wires
+ * attached to those gates. Adding or removing subcircuit definitions, or
+ * changing their ports, re-checks the whole circuit.
+ */
+
+const LAYOUT_PROBLEM = "The document does not have the circuit layout";
+
+// Mirror and circuit problems of each document validated so far
+const trackers = new WeakMap();
+
+// Stored pins must be the ones the gate's type and parameters give, since
+// clients draw and connect the stored ones
+function samePins(stored, expected) {
+  return (
+    Array.isArray(stored) &&
+    stored.length === expected.length &&
+    stored.every(
+      (pin, i) =>
+        pin?.id === expected[i].id && pinWidth(pin) === expected[i].width,
+    )
+  );
+}
+
+// Problems of the gate stored under `key`, and the gate with its pins for
+// checking wires (null if wires cannot attach to it)
+function checkGate(gate, key, where, definitions) {
+  const problems = [];
+  if (gate?.id !== key) {
+    problems.push(`${where}: gate stored under the wrong id ${key}`);
+    return { problems, pins: null };
+  }
+  const checked = readGate(gate, where, problems);
+  if (!checked) return { problems, pins: null };
+  if (checked.type === "SUBCIRCUIT") {
+    if (definitions.has(checked.subcircuitId)) {
+      return { problems, pins: resolveInstance(checked, definitions) };
+    }
+    problems.push(
+      `${where}: gate ${gate.id} uses missing subcircuit ${gate.subcircuitId}`,
+    );
+    return { problems, pins: null };
+  }
+  if (!(
+    samePins(gate.inputs, checked.inputs) &&
+    samePins(gate.outputs, checked.outputs)
+  )) {
+    problems.push(
+      `${where}: gate ${gate.id} has pins that do not match its type`,
+    );
+  }
+  return { problems, pins: checked };
+}
+
+/**
+ * One circuit level (the main circuit or a definition) of a mirror, with
+ * the problems of each gate, wire, input pin and wire id, and indexes to
+ * find the wires a change affects.
+ */
+function createLevel(where, gates, wires, port = false) {
+  if (!(gates instanceof Y.Map) || !(wires instanceof Y.Array)) {
+    throw new Error(LAYOUT_PROBLEM);
+  }
+  return {
+    where,
+    gates,
+    wires,
+    // Whether INPUT and OUTPUT gates are ports of instances elsewhere
+    port,
+    checked: new Map(), // gate key -> checkGate() result
+    wireProblems: new Map(), // wire -> problems
+    pinProblems: new Map(), // "gateId/pinId" -> problems
+    idProblems: new Map(), // wire id -> problems
+    byGate: new Map(), // gate id -> wires from or to it
+    byPin: new Map(), // "gateId/pinId" -> wires into that input
+    byId: new Map(), // wire id -> wires
+  };
+}
+
+const pinKey = (wire) =>
+  isObject(wire?.to) ? `${wire.to.gateId}/${wire.to.pinId}` : null;
+
+const wireId = (wire) => (typeof wire?.id === "string" ? wire.id : null);
+
+// Add `wire` to (or remove it from) a level's indexes
+function indexWire(level, wire, add) {
+  const entries = [
+    [level.byGate, isObject(wire?.from) ? wire.from.gateId : null],
+    [level.byGate, isObject(wire?.to) ? wire.to.gateId : null],
+    [level.byPin, pinKey(wire)],
+    [level.byId, wireId(wire)],
+  ];
+  entries.forEach(([index, key]) => {
+    if (key === null) return;
+    const wires = index.get(key) ?? new Set();
+    if (add) {
+      wires.add(wire);
+      index.set(key, wires);
+    } else {
+      wires.delete(wire);
+      if (wires.size === 0) index.delete(key);
+    }
+  });
+}
+
+// Problems of a wire on its own: its endpoints and their widths
+function checkWire(level, wire) {
+  const { where } = level;
+  if (!isObject(wire) || typeof wire.id !== "string") {
+    return [`${where}: wire without an id`];
+  }
+  const at = `${where}: wire ${wire.id}`;
+  if (!isObject(wire.from) || !isObject(wire.to)) {
+    return [`${at} has no endpoints`];
+  }
+  const from = level.checked.get(wire.from.gateId)?.pins?.outputs;
+  const to = level.checked.get(wire.to.gateId)?.pins?.inputs;
+  if (!from || !to) return [`${at} references a missing gate`];
+  const fromPin = from.find((pin) => pin.id === wire.from.pinId);
+  const toPin = to.find((pin) => pin.id === wire.to.pinId);
+  if (!fromPin || !toPin) return [`${at} references a missing pin`];
+  const width = wire.width ?? 1;
+  if (fromPin.width !== width || toPin.width !== width) {
+    return [`${at} does not match its pins' width`];
+  }
+  return [];
+}
+
+// An input takes one wire; the others into it (all but the lowest id, so
+// the problems do not depend on the order of the wires) are reported
+function checkPin(level, pin) {
+  const wires = Array.from(level.byPin.get(pin) ?? [])
+    .filter((wire) => level.wireProblems.get(wire)?.length === 0)
+    .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  return wires
+    .slice(1)
+    .map(
+      (wire) =>
+        `${level.where}: wire ${wire.id} drives input ${wire.to.pinId}, which has a wire`,
+    );
+}
+
+function checkWireId(level, id) {
+  return level.byId.get(id)?.size > 1
+    ? [`${level.where}: duplicate wire id ${id}`]
+    : [];
+}
+
+/**
+ * Re-check the gates stored under `keys` and the `added` and `removed`
+ * wires of a level, with the wires attached to those gates and the inputs
+ * and ids the wires share. Returns the problems the level did not have.
+ */
+function updateLevel(level, definitions, keys, added, removed) {
+  const before = [];
+  const after = [];
+  const wires = new Set(added);
+  const pins = new Set();
+  const ids = new Set();
+  const touch = (wire) => {
+    if (pinKey(wire) !== null) pins.add(pinKey(wire));
+    if (wireId(wire) !== null) ids.add(wireId(wire));
+  };
+  // Replace the entry of `problems` under `key` with `check()`
+  const recheck = (problems, key, check) => {
+    before.push(...(problems.get(key) ?? []));
+    const found = check();
+    if (found === null) problems.delete(key);
+    else problems.set(key, found);
+    after.push(...(found ?? []));
+  };
+
+  removed.forEach((wire) => {
+    before.push(...(level.wireProblems.get(wire) ?? []));
+    level.wireProblems.delete(wire);
+    indexWire(level, wire, false);
+    touch(wire);
+  });
+  added.forEach((wire) => indexWire(level, wire, true));
+
+  keys.forEach((key) => {
+    before.push(...(level.checked.get(key)?.problems ?? []));
+    if (level.gates.has(key)) {
+      const checked = checkGate(
+        level.gates.get(key),
+        key,
+        level.where,
+        definitions,
+      );
+      level.checked.set(key, checked);
+      after.push(...checked.problems);
+    } else {
+      level.checked.delete(key);
+    }
+    level.byGate.get(key)?.forEach((wire) => wires.add(wire));
+  });
+
+  wires.forEach((wire) => {
+    recheck(level.wireProblems, wire, () => checkWire(level, wire));
+    touch(wire);
+  });
+  pins.forEach((pin) =>
+    recheck(level.pinProblems, pin, () =>
+      level.byPin.has(pin) ? checkPin(level, pin) : null,
+    ),
+  );
+  ids.forEach((id) =>
+    recheck(level.idProblems, id, () =>
+      level.byId.has(id) ? checkWireId(level, id) : null,
+    ),
+  );
+
+  const existing = new Set(before);
+  return after.filter((problem) => !existing.has(problem));
+}
+
+function levelProblems(level) {
+  return [
+    ...Array.from(level.checked.values()).flatMap(({ problems }) => problems),
+    ...[level.wireProblems, level.pinProblems, level.idProblems].flatMap(
+      (problems) => Array.from(problems.values()).flat(),
+    ),
+  ];
+}
+
+// Check the circuit stored in `doc` from scratch. Levels are found by
+// their gates map and their wires array.
+function checkCircuit(doc) {
+  try {
+    const subcircuits = doc.getMap("subcircuits");
+    const definitions = readDefinitions(subcircuits);
+    const levels = [
+      createLevel("Circuit", doc.getMap("gates"), doc.getArray("wires")),
+    ];
+    subcircuits.forEach((definition, id) =>
+      levels.push(
+        createLevel(
+          `Subcircuit ${definitions.get(id).name}`,
+          definition.get("gates"),
+          definition.get("wires"),
+          true,
+        ),
+      ),
+    );
+    const byType = new Map();
+    levels.forEach((level) => {
+      updateLevel(
+        level,
+        definitions,
+        Array.from(level.gates.keys()),
+        level.wires.toArray(),
+        [],
+      );
+      byType.set(level.gates, level);
+      byType.set(level.wires, level);
+    });
+    return { definitions, levels, byType, broken: false };
+  } catch {
+    return { levels: [], byType: new Map(), broken: true };
+  }
+}
+
+// Everything wrong with a checked circuit
+function allProblems(circuit) {
+  return circuit.broken
+    ? [LAYOUT_PROBLEM]
+    : circuit.levels.flatMap((level) => levelProblems(level));
+}
+
+// Everything wrong with the circuit stored in `doc`
+export function circuitProblems(doc) {
+  return allProblems(checkCircuit(doc));
+}
+
+const isPort = (gate) => gate?.type === "INPUT" || gate?.type === "OUTPUT";
+
+// Whether replacing a definition's gate `before` with `after` changes the
+// pins of the definition's instances
+function changesPorts(before, after) {
+  return (
+    (isPort(before) || isPort(after)) &&
+    (before?.type !== after?.type ||
+      before?.id !== after?.id ||
+      before?.bits !== after?.bits)
+  );
+}
+
+// The problems a transaction on a tracker's mirror added
+function transactionProblems(tracker, transaction) {
+  const { mirror, circuit } = tracker;
+  if (circuit.broken && transaction.changed.size === 0) return [];
+  const changes = new Map();
+  let full = circuit.broken;
+  if (!full) {
+    const events = [
+      mirror.getMap("gates"),
+      mirror.getArray("wires"),
+      mirror.getMap("subcircuits"),
+    ].flatMap((type) => transaction.changedParentTypes.get(type) ?? []);
+    for (const event of events) {
+      const level = circuit.byType.get(event.target);
+      if (!level) {
+        full = true;
+        break;
+      }
+      if (!changes.has(level)) {
+        changes.set(level, { keys: new Set(), added: [], removed: [] });
+      }
+      const change = changes.get(level);
+      if (event.target === level.gates) {
+        event.changes.keys.forEach(({ oldValue }, key) => {
+          if (level.port && changesPorts(oldValue, level.gates.get(key))) {
+            full = true;
+          }
+          change.keys.add(key);
+        });
+      } else {
+        event.changes.added.forEach((item) =>
+          change.added.push(...item.content.getContent()),
+        );
+        event.changes.deleted.forEach((item) =>
+          change.removed.push(...item.content.getContent()),
+        );
+      }
+      if (full) break;
+    }
+  }
+
+  if (full) {
+    const existing = new Set(allProblems(circuit));
+    tracker.circuit = checkCircuit(mirror);
+    return allProblems(tracker.circuit).filter(
+      (problem) => !existing.has(problem),
+    );
+  }
+  return Array.from(changes).flatMap(([level, { keys, added, removed }]) =>
+    updateLevel(level, circuit.definitions, keys, added, removed),
+  );
+}
+
+// Copy the tracked document into a new mirror and check it from scratch
+function rebuild(tracker) {
+  tracker.mirror?.destroy();
+  const mirror = new Y.Doc();
+  Y.applyUpdate(mirror, Y.encodeStateAsUpdate(tracker.doc));
+  tracker.mirror = mirror;
+  tracker.circuit = checkCircuit(mirror);
+  mirror.on("afterTransaction", (transaction) =>
+    tracker.added.push(...transactionProblems(tracker, transaction)),
+  );
+}
+
+// The tracker of `doc`; its mirror follows every change to the document
+function trackerOf(doc) {
+  let tracker = trackers.get(doc);
+  if (!tracker) {
+    tracker = { doc, mirror: null, circuit: null, added: [] };
+    rebuild(tracker);
+    doc.on("update", (update) => Y.applyUpdate(tracker.mirror, update));
+    trackers.set(doc, tracker);
+  }
+  return tracker;
+}
+
+/**
+ * Check an update to `doc` without applying it. An accepted update is
+ * already in the mirror, so applying it to `doc` next costs no re-check.
+ * Returns { ok: true } or { ok: false, problems: string[] }.
+ */
+export function validateUpdate(doc, update) {
+  const tracker = trackerOf(doc);
+  tracker.added = [];
+  try {
+    Y.applyUpdate(tracker.mirror, update);
+  } catch {
+    rebuild(tracker);
+    return { ok: false, problems: ["The update could not be decoded"] };
+  }
+
+  // Changes building on ones the document does not have (e.g. an earlier
+  // rejected update) would wait in the document until those arrive
+  const { store } = tracker.mirror;
+  if (store.pendingStructs || store.pendingDs) {
+    rebuild(tracker);
+    return {
+      ok: false,
+      problems: ["The update depends on changes the server does not have"],
+    };
+  }
+
+  const problems = tracker.added;
+  if (problems.length > 0) {
+    rebuild(tracker);
+    return { ok: false, problems };
+  }
+  return { ok: true };
+}